@@ -0,0 +1,187 @@
+// End to end: the subbit lifecycle against the emulator.
+// Needs nothing beyond the local machine. Run with `pnpm test:e2e`.
+
+import * as assert from "node:assert";
+import { test, before, after } from "node:test";
+import Fastify from "fastify";
+
+import main, { options } from "../src/index.js";
+import * as cred from "../src/cred/index.js";
+import * as msg from "../src/cred/msg.js";
+import * as ed25519 from "../src/ed25519.js";
+
+const closePeriod = 60 * 60 * 1000;
+process.env.SUBBIT_MAN_CHAIN_PROVIDER = "emulator";
+process.env.SUBBIT_MAN_CLOSE_PERIOD = String(closePeriod);
+process.env.SUBBIT_MAN_LIAISON_ENABLED = "false";
+
+const fastify = Fastify();
+fastify.register(main, {
+  ...options,
+  dbStore: "memory",
+  closePeriod: String(closePeriod),
+  stampSweepInterval: "0",
+});
+
+/** @type {{ privateKey : string, keyHash : string, address : string }} */
+let consumer;
+const CONSUMER = 1;
+const iouSkey = "11".repeat(32);
+const iouKey = Buffer.from(ed25519.verificationKey(iouSkey)).toString("hex");
+
+before(async () => {
+  await fastify.ready();
+  consumer = (await get("/l1/emulator")).wallets[CONSUMER];
+});
+after(() => fastify.close());
+
+/**
+ * @param {string} url
+ * @param {number} [status]
+ */
+async function get(url, status = 200) {
+  const res = await fastify.inject({ method: "GET", url });
+  assert.strictEqual(res.statusCode, status, res.body);
+  return res.json();
+}
+
+/**
+ * @param {string} url
+ * @param {object} payload
+ * @param {number} [status]
+ */
+async function post(url, payload, status = 200) {
+  const res = await fastify.inject({ method: "POST", url, payload });
+  assert.strictEqual(res.statusCode, status, res.body);
+  return res.json();
+}
+
+/**
+ * The consumer's UTxOs, as the wallet sends them
+ */
+async function walletUtxos() {
+  const utxos = await fastify.lucidCtx.lucid.utxosAt(consumer.address);
+  return utxos.map((u) => ({
+    input: { txHash: u.txHash, outputIndex: u.outputIndex },
+    output: {
+      address: u.address,
+      amount: Object.entries(u.assets).map(([unit, quantity]) => ({
+        unit,
+        quantity: String(quantity),
+      })),
+    },
+  }));
+}
+
+/**
+ * Build with the consumer's wallet, sign as the consumer, and submit.
+ * @param {string} url
+ * @param {object} body
+ */
+async function asConsumer(url, body) {
+  const { unsignedTx } = await post(url, {
+    ...body,
+    walletUtxos: await walletUtxos(),
+    changeAddress: consumer.address,
+  });
+  return post("/l1/emulator/submit", { tx: unsignedTx, wallet: CONSUMER });
+}
+
+/**
+ * @param {string} tag
+ * @param {bigint} amount
+ */
+function iou(tag, amount) {
+  const c = cred.Cred.mk(iouSkey, new msg.Iou(Buffer.from(tag), amount));
+  return encodeURIComponent(c.toB64());
+}
+
+/**
+ * @param {string} tag
+ */
+function onChain(tag) {
+  return post("/l1/channel-on-chain-state", {
+    tag,
+    consumerKeyHash: consumer.keyHash,
+  });
+}
+
+test("e2e: open, IOU, sub, close, settle, end", async () => {
+  const tag = "e2e-settle";
+  await asConsumer("/l1/build-open", {
+    tag,
+    amount: "20000000",
+    iouKey,
+    consumerKeyHash: consumer.keyHash,
+  });
+  assert.deepEqual(await onChain(tag), { state: "opened" });
+  const synced = await post("/l1/sync-from-chain", {});
+  assert.strictEqual(synced.channelCount, 1);
+
+  await get(`/l2/tot?cred=${iou(tag, 5000000n)}`);
+  const subbed = await post("/l1/process-ious", {});
+  assert.strictEqual(subbed.successful, 1, JSON.stringify(subbed));
+  const info = await get(`/l2/info?cred=${iou(tag, 8000000n)}`);
+  assert.strictEqual(info.sub, "5000000");
+
+  await asConsumer("/l1/build-close", { tag });
+  const closed = await onChain(tag);
+  assert.strictEqual(closed.state, "closed");
+
+  const settled = await post("/l1/settle-channel", { tag });
+  assert.ok(settled.success, JSON.stringify(settled));
+  fastify.lucidCtx.emulator?.awaitBlock();
+  assert.deepEqual(await onChain(tag), { state: "settled" });
+
+  await asConsumer("/l1/build-end", { consumerKeyHash: consumer.keyHash });
+  assert.deepEqual(await onChain(tag), { state: "not-found" });
+});
+
+test("e2e: settle and sub in one batch tx", async () => {
+  const [closing, opened] = ["e2e-batch-settle", "e2e-batch-sub"];
+  for (const tag of [closing, opened]) {
+    await asConsumer("/l1/build-open", {
+      tag,
+      amount: "20000000",
+      iouKey,
+      consumerKeyHash: consumer.keyHash,
+    });
+  }
+  await post("/l1/sync-from-chain", {});
+  await get(`/l2/tot?cred=${iou(closing, 5000000n)}`);
+  await get(`/l2/tot?cred=${iou(opened, 5000000n)}`);
+  await asConsumer("/l1/build-close", { tag: closing });
+
+  const batch = await post("/l1/process-channels", {});
+  assert.strictEqual(batch.mode, "combined", JSON.stringify(batch));
+  const done = batch.results.filter((/** @type {any} */ r) => r.success);
+  assert.deepEqual(
+    done.map((/** @type {any} */ r) => r.step),
+    ["settle", "sub"],
+  );
+  assert.strictEqual(done[0].txHash, done[1].txHash);
+  fastify.lucidCtx.emulator?.awaitBlock();
+  assert.deepEqual(await onChain(closing), { state: "settled" });
+});
+
+test("e2e: expire after the close deadline", async () => {
+  const tag = "e2e-expire";
+  await asConsumer("/l1/build-open", {
+    tag,
+    amount: "10000000",
+    iouKey,
+    consumerKeyHash: consumer.keyHash,
+  });
+  await asConsumer("/l1/build-close", { tag });
+  const { deadline } = await onChain(tag);
+
+  await post(
+    "/l1/build-expire",
+    { tag, walletUtxos: await walletUtxos(), changeAddress: consumer.address },
+    400,
+  );
+  const { now } = await get("/l1/emulator");
+  await post("/l1/emulator/advance", { ms: deadline - now + 60 * 1000 });
+  await asConsumer("/l1/build-expire", { tag });
+  assert.deepEqual(await onChain(tag), { state: "not-found" });
+});
@@ -0,0 +1,90 @@
+// Export or restore the DB of a stopped SubbitMan.
+// While SubbitMan is running, use the exec endpoints instead.
+
+import fs from "node:fs";
+import { pipeline } from "node:stream/promises";
+import { Readable } from "node:stream";
+import Fastify from "fastify";
+import { Command } from "commander";
+
+import db from "../src/db/index.js";
+import { env } from "../src/config.js";
+
+/**
+ * @param {{ store : string, path : string }} opts
+ */
+async function open(opts) {
+  const fastify = Fastify();
+  fastify.register(db, {
+    config: {
+      store: opts.store,
+      dbPath: opts.path,
+      initCost: 0n,
+      stampSweepInterval: 0,
+    },
+  });
+  await fastify.ready();
+  return fastify;
+}
+
+/**
+ * @param {{ store : string, path : string, format : "cbor" | "ndjson", out? : string }} opts
+ */
+async function exportDb(opts) {
+  const fastify = await open(opts);
+  try {
+    await pipeline(
+      Readable.from(fastify.exportDb(opts.format)),
+      opts.out ? fs.createWriteStream(opts.out) : process.stdout,
+    );
+  } finally {
+    await fastify.close();
+  }
+}
+
+/**
+ * @param {string} file
+ * @param {{ store : string, path : string, force : boolean }} opts
+ */
+async function restoreDb(file, opts) {
+  const archive = fs.readFileSync(file);
+  const format = file.endsWith(".ndjson") ? "ndjson" : "cbor";
+  const fastify = await open(opts);
+  try {
+    const r = await fastify.restoreDb(archive, format, opts.force);
+    if (r.kind == "Left") {
+      console.error(`Restore failed: ${r.error}`);
+      process.exitCode = 1;
+    } else {
+      console.log(JSON.stringify(r.value));
+    }
+  } finally {
+    await fastify.close();
+  }
+}
+
+function cli() {
+  const defaults = { dbStore: "leveldb", dbPath: "./db", ...env() };
+  const cmd = new Command();
+  cmd
+    .name("db-archive")
+    .description("Export or restore the SubbitMan DB")
+    .version("0.0.1")
+    .option("--store <store>", "DB store", defaults.dbStore)
+    .option("--path <path>", "DB path", defaults.dbPath);
+  cmd
+    .command("export")
+    .description("Write an archive of the DB")
+    .option("--format <format>", "cbor or ndjson", "cbor")
+    .option("--out <file>", "Output file. Defaults to stdout")
+    .action((opts) => exportDb({ ...cmd.opts(), ...opts }));
+  cmd
+    .command("restore")
+    .description("Restore the DB from an archive. Ndjson if it ends .ndjson")
+    .argument("<file>", "Archive file")
+    .option("--force", "Replace the entries of a non-empty DB", false)
+    .action((file, opts) => restoreDb(file, { ...cmd.opts(), ...opts }));
+  return cmd;
+}
+
+cli().parseAsync();
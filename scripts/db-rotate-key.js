@@ -0,0 +1,69 @@
+// Reseal the signatures in the DB of a stopped SubbitMan under a new key.
+// Restart SubbitMan with the new keyfile or passphrase after.
+
+import Fastify from "fastify";
+import { Command } from "commander";
+
+import db from "../src/db/index.js";
+import { env } from "../src/config.js";
+
+/**
+ * @param {string | undefined} keyfile
+ * @param {string | undefined} passphrase
+ * @returns {import("../src/db/types.ts").Encryption | undefined}
+ */
+function encryption(keyfile, passphrase) {
+  if (keyfile) return { kind: "keyfile", path: keyfile };
+  if (passphrase) return { kind: "passphrase", passphrase };
+  return undefined;
+}
+
+/**
+ * @param {{ store : string, path : string, keyfile? : string, passphrase? : string, newKeyfile? : string, newPassphrase? : string }} opts
+ */
+async function rotate(opts) {
+  const next = encryption(opts.newKeyfile, opts.newPassphrase);
+  if (next === undefined) {
+    throw new Error("Set one of --new-keyfile or --new-passphrase");
+  }
+  const fastify = Fastify();
+  fastify.register(db, {
+    config: {
+      store: opts.store,
+      dbPath: opts.path,
+      encryption: encryption(opts.keyfile, opts.passphrase),
+      initCost: 0n,
+      stampSweepInterval: 0,
+    },
+  });
+  await fastify.ready();
+  try {
+    const cnt = await fastify.rotateDbKey(next);
+    console.log(`Resealed ${cnt} values`);
+  } finally {
+    await fastify.close();
+  }
+}
+
+function cli() {
+  const defaults = { dbStore: "leveldb", dbPath: "./db", ...env() };
+  const cmd = new Command();
+  cmd
+    .name("db-rotate-key")
+    .description("Reseal the DB signatures under a new keyfile or passphrase")
+    .version("0.0.1")
+    .option("--store <store>", "DB store", defaults.dbStore)
+    .option("--path <path>", "DB path", defaults.dbPath)
+    .option("--keyfile <file>", "Current keyfile", defaults.dbKeyfile)
+    .option(
+      "--passphrase <passphrase>",
+      "Current passphrase",
+      defaults.dbPassphrase,
+    )
+    .option("--new-keyfile <file>", "New keyfile")
+    .option("--new-passphrase <passphrase>", "New passphrase")
+    .action(rotate);
+  return cmd;
+}
+
+cli().parseAsync();
@@ -0,0 +1,288 @@
+import * as decisions from "./decisions.js";
+import { isNetworkError, isTxLimitError, isWalletError } from "./errors.js";
+
+/**
+ * @import { FastifyInstance } from "fastify";
+ * @import { TxStep } from "./db/types.ts";
+ * @import { Currency } from "./types.ts";
+ */
+
+/**
+ * An Opened channel to sub, with an IOU above what is subbed
+ * @typedef {{keytag: string, subbit: any, utxo: any, iouAmount: bigint, iouSignature: string}} SubJob
+ */
+
+/**
+ * A Closed channel to settle, with its IOU
+ * @typedef {{keytag: string, subbit: any, iouAmount: bigint, iouSignature: string, tagHex: string}} SettleJob
+ */
+
+/**
+ * A sub not worth its fee
+ * @typedef {{keytag: string, claimable: string, feeShare: string, margin: string, reason: string}} Skip
+ */
+
+/**
+ * A step planned for a batch tx
+ * @typedef {{step: "settle", job: SettleJob} | {step: "sub", job: SubJob}} Planned
+ */
+
+/**
+ * What batching needs of the chain and the DB
+ * @typedef Deps
+ * @type {object}
+ * @property {(settles : SettleJob[], subs : SubJob[]) => Promise<any>} mkTx -
+ * the unsigned batch tx of the steps, settles first
+ * @property {(txHash : string) => Promise<unknown>} awaitTx
+ * @property {(txHash : string, step : TxStep, jobs : (SettleJob | SubJob)[], signed : string) => Promise<unknown>} track
+ * - record a submitted tx
+ * @property {Pick<FastifyInstance, "getQuarantined" | "putQuarantined" | "delQuarantined">} db
+ * @property {Pick<FastifyInstance["log"], "warn" | "error">} log
+ * @property {number} maxSteps - of a batch tx
+ * @property {Currency} currency - of the subbits, and so of their claims
+ * @property {bigint} margin - a sub of Ada must claim beyond its share of the
+ * fee, in lovelace
+ * @property {bigint} minClaim - a sub of another currency must claim beyond
+ * this, in its units
+ */
+
+/**
+ * Does the claim of a sub cover its share of the tx fee, plus the margin?
+ * If not, it is recorded as skipped. The fee is in lovelace, so a claim of
+ * another currency cannot be weighed against it, and need only be above the
+ * min claim.
+ * @param {SubJob} job
+ * @param {bigint} share
+ * @param {Pick<Deps, "currency" | "margin" | "minClaim">} deps
+ * @param {Skip[]} skipped
+ */
+export function coversFee(job, share, { currency, margin, minClaim }, skipped) {
+  const isAda = currency.kind == "Ada";
+  const subbed = job.subbit.state.value.subbed;
+  const iouData = { iouAmt: String(job.iouAmount), sig: job.iouSignature };
+  const threshold = isAda ? share + margin : minClaim;
+  if (decisions.shouldSub(iouData, subbed, threshold)) return true;
+  skipped.push({
+    keytag: job.keytag,
+    claimable: String(job.iouAmount - subbed),
+    feeShare: String(share),
+    margin: String(isAda ? margin : minClaim),
+    reason: isAda
+      ? "Claim does not cover its share of the tx fee plus margin"
+      : "Claim does not exceed the min claim of its currency",
+  });
+  return false;
+}
+
+/**
+ * Build a batch tx of settles and subs. Drop the subs whose claim does not
+ * cover their share of the fee. The shares of the rest grow as the batch
+ * shrinks, so rebuild until each sub left covers its share. Settles are
+ * never dropped, as their claim is lost once the channel expires.
+ * @param {Deps} deps
+ * @param {SettleJob[]} settleJobs
+ * @param {SubJob[]} subJobs
+ * @param {Skip[]} skipped
+ */
+export async function buildBatch(deps, settleJobs, subJobs, skipped) {
+  while (settleJobs.length + subJobs.length > 0) {
+    const unsignedTx = await deps.mkTx(settleJobs, subJobs);
+    const fee = unsignedTx.toTransaction().body().fee();
+    const share = decisions.feeShare(fee, settleJobs.length + subJobs.length);
+    const covered = subJobs.filter((job) =>
+      coversFee(job, share, deps, skipped),
+    );
+    if (covered.length === subJobs.length) return { unsignedTx, subJobs };
+    subJobs = covered;
+  }
+  return { unsignedTx: undefined, subJobs };
+}
+
+/**
+ * Step channels in batch txs of at most `maxSteps` steps, settles first.
+ * A batch that fails is bisected, to isolate the channels at fault, eg with a
+ * bad IOU signature or a spent UTxO. These are quarantined, while the rest are
+ * still stepped. A batch too large for a tx, in bytes or ex-units, is bisected
+ * too. Quarantined channels are left out until their UTxO or IOU changes.
+ *
+ * A network or wallet error is no channel's fault: the batch fails, and is
+ * left to the next cycle. Each tx is awaited, the last too, so that a sync
+ * after sees its outputs. If one cannot be, its steps fail, as does every batch
+ * after it.
+ * @param {Deps} deps
+ * @param {SettleJob[]} settleJobs
+ * @param {SubJob[]} subJobs
+ * @param {Skip[]} skipped
+ */
+export async function processBatches(deps, settleJobs, subJobs, skipped) {
+  const { db, log } = deps;
+  /** @type {any[]} */
+  const results = [];
+  /** @type {Planned[]} */
+  const planned = [
+    ...settleJobs.map((job) => ({
+      step: /** @type {const} */ ("settle"),
+      job,
+    })),
+    ...subJobs.map((job) => ({ step: /** @type {const} */ ("sub"), job })),
+  ];
+
+  /**
+   * @param {Planned} p
+   * @param {object} outcome
+   */
+  const resultOf = ({ step, job }, outcome) => ({
+    step,
+    keytag: job.keytag,
+    ...("tagHex" in job ? { tag: job.tagHex } : {}),
+    ...outcome,
+  });
+
+  /**
+   * @param {Planned[]} batch
+   * @param {string} error
+   */
+  const fail = (batch, error) => {
+    log.error(`[batch] Batch of ${batch.length} failed: ${error}`);
+    for (const p of batch) {
+      results.push(resultOf(p, { success: false, error }));
+    }
+  };
+
+  const quarantined = new Map(
+    (await db.getQuarantined()).map((q) => [q.keytag, q]),
+  );
+  /** @type {Planned[]} */
+  const live = [];
+  for (const p of planned) {
+    const q = quarantined.get(p.job.keytag);
+    const { txHash, outputIndex } = p.job.subbit.utxo;
+    if (
+      q &&
+      q.txId === txHash &&
+      q.outputIdx === outputIndex &&
+      q.iouAmt === p.job.iouAmount
+    ) {
+      results.push(
+        resultOf(p, { success: false, quarantined: true, error: q.reason }),
+      );
+      continue;
+    }
+    if (q) await db.delQuarantined(q.keytag);
+    live.push(p);
+  }
+
+  // The tx last submitted. It is awaited before the next is built, as it
+  // spends wallet UTxOs the next would otherwise select.
+  /** @type {string | undefined} */
+  let last;
+  /** @type {string | undefined} */
+  let stuck;
+
+  /**
+   * Await the tx last submitted. If it cannot be, its steps fail.
+   * @returns {Promise<string | undefined>} - the error, if any
+   */
+  const awaitLast = async () => {
+    if (!last || stuck) return stuck;
+    const txHash = last;
+    try {
+      await deps.awaitTx(txHash);
+      last = undefined;
+    } catch (error) {
+      const err = /** @type {Error} */ (error);
+      stuck = `Awaiting tx ${txHash} failed: ${err.message}`;
+      log.error(`[batch] ${stuck}`);
+      for (const r of results) {
+        if (r.txHash == txHash) {
+          Object.assign(r, { success: false, error: stuck });
+        }
+      }
+    }
+    return stuck;
+  };
+
+  /**
+   * @param {Planned[]} batch
+   * @returns {Promise<void>}
+   */
+  const submit = async (batch) => {
+    const error = await awaitLast();
+    if (error) return fail(batch, error);
+    const settles = batch.flatMap((p) => (p.step === "settle" ? [p.job] : []));
+    const subs = batch.flatMap((p) => (p.step === "sub" ? [p.job] : []));
+    try {
+      const built = await buildBatch(deps, settles, subs, skipped);
+      if (!built.unsignedTx) return;
+      const signedTx = await built.unsignedTx.sign.withWallet().complete();
+      const txHash = await signedTx.submit();
+      const step =
+        settles.length == 0
+          ? "sub"
+          : built.subJobs.length == 0
+            ? "settle"
+            : "batch";
+      await deps.track(
+        txHash,
+        step,
+        [...settles, ...built.subJobs],
+        signedTx.toCBOR(),
+      );
+      last = txHash;
+      for (const p of batch) {
+        if (p.step === "settle" || built.subJobs.includes(p.job)) {
+          results.push(resultOf(p, { success: true, txHash }));
+        }
+      }
+    } catch (error) {
+      const err = /** @type {Error} */ (error);
+      // No channel is at fault: let the next cycle retry
+      if (isNetworkError(err) || isWalletError(err)) {
+        return fail(batch, err.message);
+      }
+      if (batch.length > 1) {
+        log.warn(
+          isTxLimitError(err)
+            ? `[batch] Batch of ${batch.length} too large for a tx, bisecting`
+            : `[batch] Batch of ${batch.length} failed, bisecting: ${err.message}`,
+        );
+        const half = Math.ceil(batch.length / 2);
+        await submit(batch.slice(0, half));
+        await submit(batch.slice(half));
+        return;
+      }
+      const [p] = batch;
+      const { txHash, outputIndex } = p.job.subbit.utxo;
+      await db.putQuarantined({
+        keytag: p.job.keytag,
+        step: p.step,
+        reason: err.message,
+        txId: txHash,
+        outputIdx: outputIndex,
+        iouAmt: p.job.iouAmount,
+        at: Date.now(),
+      });
+      log.warn(`[batch] Quarantined ${p.job.keytag}: ${err.message}`);
+      results.push(
+        resultOf(p, { success: false, quarantined: true, error: err.message }),
+      );
+    }
+  };
+
+  for (let i = 0; i < live.length; i += deps.maxSteps) {
+    await submit(live.slice(i, i + deps.maxSteps));
+  }
+  await awaitLast();
+
+  // A sub skipped from a batch that then failed may since have been stepped,
+  // or skipped again from a half
+  const stepped = new Set(results.map((r) => r.keytag));
+  const skips = new Map(skipped.map((s) => [s.keytag, s]));
+  skipped.splice(
+    0,
+    skipped.length,
+    ...[...skips.values()].filter((s) => !stepped.has(s.keytag)),
+  );
+
+  return results;
+}
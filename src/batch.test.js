@@ -0,0 +1,291 @@
+import * as assert from "node:assert";
+import { test, before, after } from "node:test";
+import * as fs from "node:fs";
+import * as os from "node:os";
+import * as path from "node:path";
+import Fastify from "fastify";
+import * as lucid from "@lucid-evolution/lucid";
+
+import db from "./db/index.js";
+import * as batch from "./batch.js";
+import { FixtureProvider } from "./chain/fixture.js";
+
+/**
+ * @import { Deps, SettleJob, Skip, SubJob } from "./batch.js";
+ */
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "subbit-man-batch-"));
+const skey = lucid.generatePrivateKey();
+const address = lucid.credentialToAddress(
+  "Preview",
+  lucid.keyHashToCredential(
+    lucid.CML.PrivateKey.from_bech32(skey).to_public().hash().to_hex(),
+  ),
+);
+const file = path.join(dir, "fixture.json");
+fs.writeFileSync(
+  file,
+  JSON.stringify({
+    utxos: [
+      {
+        txHash: "22".repeat(32),
+        outputIndex: 0,
+        address,
+        assets: { lovelace: "500000000" },
+      },
+    ],
+  }),
+);
+
+const p = new FixtureProvider(file);
+const l = await lucid.Lucid(p, "Preview");
+l.selectWallet.fromPrivateKey(skey);
+
+const fastify = Fastify();
+fastify.register(db, {
+  config: {
+    store: "memory",
+    dbPath: dir,
+    initCost: 1000n,
+    stampSweepInterval: 0,
+  },
+});
+
+before(() => fastify.ready());
+after(() => fastify.close().then(() => fs.rmSync(dir, { recursive: true })));
+
+const silent = { warn: () => {}, error: () => {} };
+
+/**
+ * A channel at its own UTxO, with an IOU
+ * @param {number} n
+ * @param {bigint} iouAmount
+ */
+function job(n, iouAmount = 10n ** 7n) {
+  const utxo = { txHash: "33".repeat(32), outputIndex: n };
+  return {
+    keytag: "01".repeat(32) + n.toString(16).padStart(2, "0"),
+    subbit: { utxo, state: { value: { subbed: 0n } } },
+    utxo,
+    iouAmount,
+    iouSignature: "ab".repeat(64),
+    tagHex: n.toString(16).padStart(2, "0"),
+  };
+}
+
+/**
+ * Batch txs as payments to the wallet, one per step. A step of a channel in
+ * `bad` fails its tx, as does a batch of more than `limit` steps.
+ * @param {{ bad? : string[], limit? : number }} opts
+ * @returns {Deps & { built : string[][], tracked : string[] }}
+ */
+function mkDeps({ bad = [], limit = 100 }) {
+  /** @type {string[][]} */
+  const built = [];
+  /** @type {string[]} */
+  const tracked = [];
+  return {
+    built,
+    tracked,
+    mkTx: async (settles, subs) => {
+      const jobs = [...settles, ...subs];
+      built.push(jobs.map((j) => j.keytag));
+      if (jobs.length > limit) throw new Error("MaxTxSize exceeded");
+      const at = jobs.find((j) => bad.includes(j.keytag));
+      if (at) throw new Error(`Bad IOU signature of ${at.keytag}`);
+      const txBuilder = jobs.reduce(
+        (t) => t.pay.ToAddress(address, { lovelace: 2000000n }),
+        l.newTx(),
+      );
+      return txBuilder.complete();
+    },
+    awaitTx: (txHash) => l.awaitTx(txHash),
+    track: async (txHash) => tracked.push(txHash),
+    db: fastify,
+    log: silent,
+    maxSteps: 4,
+    currency: { kind: "Ada" },
+    margin: 0n,
+    minClaim: 0n,
+  };
+}
+
+/**
+ * @param {any[]} results
+ */
+function outcomes(results) {
+  return Object.fromEntries(
+    results.map((r) => [
+      r.keytag,
+      r.quarantined ? "quarantined" : r.success ? "stepped" : "failed",
+    ]),
+  );
+}
+
+test("batch: a bad step is quarantined, and the rest still go through", async () => {
+  const settles = /** @type {SettleJob[]} */ ([job(0), job(1)]);
+  const subs = /** @type {SubJob[]} */ ([2, 3, 4, 5, 6].map((n) => job(n)));
+  const [bad] = subs;
+  const deps = mkDeps({ bad: [bad.keytag], limit: 3 });
+
+  const results = await batch.processBatches(deps, settles, subs, []);
+  assert.deepEqual(
+    outcomes(results),
+    Object.fromEntries(
+      [...settles, ...subs].map((j) => [
+        j.keytag,
+        j == bad ? "quarantined" : "stepped",
+      ]),
+    ),
+  );
+  assert.deepEqual(
+    results.find((r) => r.keytag == settles[0].keytag).tag,
+    "00",
+  );
+  // Chunked to 4, bisected to fit 3, then to isolate the bad step
+  assert.deepEqual(deps.built.slice(0, 2), [
+    [settles[0].keytag, settles[1].keytag, bad.keytag, subs[1].keytag],
+    [settles[0].keytag, settles[1].keytag],
+  ]);
+  assert.strictEqual(
+    deps.tracked.length,
+    new Set(results.filter((r) => r.success).map((r) => r.txHash)).size,
+  );
+  const [held] = await fastify.getQuarantined();
+  assert.deepEqual(
+    [held.keytag, held.step, held.iouAmt],
+    [bad.keytag, "sub", bad.iouAmount],
+  );
+
+  // Left out until its IOU changes
+  const again = mkDeps({ bad: [bad.keytag] });
+  const r = await batch.processBatches(again, [], [bad], []);
+  assert.deepEqual(outcomes(r), { [bad.keytag]: "quarantined" });
+  assert.deepEqual(again.built, []);
+  const raised = /** @type {SubJob} */ (job(2, bad.iouAmount + 1n));
+  const released = await batch.processBatches(mkDeps({}), [], [raised], []);
+  assert.deepEqual(outcomes(released), { [bad.keytag]: "stepped" });
+  assert.deepEqual(await fastify.getQuarantined(), []);
+});
+
+test("batch: subs short of their fee share are skipped, settles are not", async () => {
+  const settle = /** @type {SettleJob} */ (job(10, 1n));
+  const sub = /** @type {SubJob} */ (job(11));
+  const short = /** @type {SubJob} */ (job(12, 1000n));
+  const deps = mkDeps({});
+  /** @type {Skip[]} */
+  const skipped = [];
+
+  const results = await batch.processBatches(
+    deps,
+    [settle],
+    [sub, short],
+    skipped,
+  );
+  assert.deepEqual(outcomes(results), {
+    [settle.keytag]: "stepped",
+    [sub.keytag]: "stepped",
+  });
+  assert.deepEqual(
+    skipped.map((s) => [s.keytag, s.claimable]),
+    [[short.keytag, "1000"]],
+  );
+  // Rebuilt without the short sub
+  assert.deepEqual(deps.built, [
+    [settle.keytag, sub.keytag, short.keytag],
+    [settle.keytag, sub.keytag],
+  ]);
+});
+
+test("batch: subs of a native asset are not weighed against the fee in lovelace", async () => {
+  const small = /** @type {SubJob} */ (job(13, 1000n));
+  const least = /** @type {SubJob} */ (job(14, 100n));
+  const deps = mkDeps({});
+  deps.currency = {
+    kind: "ByClass",
+    value: Buffer.from("ab".repeat(29), "hex"),
+  };
+  deps.margin = 10n ** 6n;
+  deps.minClaim = 100n;
+  /** @type {Skip[]} */
+  const skipped = [];
+
+  const results = await batch.processBatches(deps, [], [small, least], skipped);
+  assert.deepEqual(outcomes(results), { [small.keytag]: "stepped" });
+  assert.deepEqual(
+    skipped.map((s) => [s.keytag, s.claimable, s.margin]),
+    [[least.keytag, "100", "100"]],
+  );
+});
+
+test("batch: a tx that cannot be awaited fails, as do the batches after it", async () => {
+  const subs = /** @type {SubJob[]} */ (
+    [20, 21, 22, 23, 24, 25].map((n) => job(n))
+  );
+  const deps = mkDeps({});
+  deps.maxSteps = 2;
+  deps.awaitTx = async () => {
+    throw new Error("Timeout");
+  };
+
+  const results = await batch.processBatches(deps, [], subs, []);
+  const [txHash] = deps.tracked;
+  assert.deepEqual(
+    results.map((r) => [r.keytag, r.success, r.quarantined, r.txHash]),
+    subs.map((s, i) => [
+      s.keytag,
+      false,
+      undefined,
+      i < 2 ? txHash : undefined,
+    ]),
+  );
+  assert.ok(
+    results.every((r) => r.error == `Awaiting tx ${txHash} failed: Timeout`),
+  );
+  assert.strictEqual(deps.built.length, 1);
+  assert.strictEqual(deps.tracked.length, 1);
+  assert.deepEqual(await fastify.getQuarantined(), []);
+});
+
+test("batch: the last tx is awaited too", async () => {
+  const subs = /** @type {SubJob[]} */ ([40, 41, 42].map((n) => job(n)));
+  const deps = mkDeps({});
+  deps.maxSteps = 2;
+  /** @type {string[]} */
+  const awaited = [];
+  deps.awaitTx = async (txHash) => awaited.push(txHash);
+
+  const results = await batch.processBatches(deps, [], subs, []);
+  assert.ok(results.every((r) => r.success));
+  assert.deepEqual(awaited, deps.tracked);
+  assert.strictEqual(awaited.length, 2);
+
+  const again = mkDeps({});
+  again.maxSteps = 2;
+  again.awaitTx = async (txHash) => {
+    if (txHash == again.tracked[1]) throw new Error("Dropped");
+  };
+  const dropped = await batch.processBatches(again, [], subs, []);
+  assert.deepEqual(
+    dropped.map((r) => r.success),
+    [true, true, false],
+  );
+  assert.strictEqual(
+    dropped[2].error,
+    `Awaiting tx ${again.tracked[1]} failed: Dropped`,
+  );
+});
+
+test("batch: a wallet error fails the batch, and quarantines none", async () => {
+  const subs = /** @type {SubJob[]} */ ([30, 31].map((n) => job(n)));
+  const deps = mkDeps({});
+  deps.mkTx = async () => {
+    throw new Error("Your wallet does not have enough funds");
+  };
+  const results = await batch.processBatches(deps, [], subs, []);
+  assert.deepEqual(outcomes(results), {
+    [subs[0].keytag]: "failed",
+    [subs[1].keytag]: "failed",
+  });
+  assert.deepEqual(await fastify.getQuarantined(), []);
+});
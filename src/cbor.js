@@ -1,6 +1,6 @@
 import { Buffer } from "node:buffer";
 import { registerEncoder } from "cbor2/encoder";
-import { encode, decode, Writer } from "cbor2";
+import { encode, decode, decodeSequence, Writer } from "cbor2";
 
 /**
  * @typedef Options
@@ -21,4 +21,4 @@ registerEncoder(
   ],
 );
 
-export { encode, decode, Writer };
+export { encode, decode, decodeSequence, Writer };
@@ -0,0 +1,124 @@
+/**
+ * Block info, where the chain provider has it. Lucid providers do not.
+ *
+ * @typedef Block
+ * @type {object}
+ * @property {number} height
+ * @property {string} hash
+ */
+
+/**
+ * @typedef Blocks
+ * @type {object}
+ * @property {() => Promise<Block>} tip
+ * @property {(height : number) => Promise<Block | undefined>} block - the
+ * block at the height on the chain as now. `undefined` if above the tip.
+ * @property {(txHash : string) => Promise<Block | undefined>} txBlock - the
+ * block including the tx. `undefined` if in none yet.
+ */
+
+/**
+ * @param {string} url
+ * @param {RequestInit} init
+ * @param {string} name - of the service, for errors
+ * @returns {Promise<any>} - `undefined` if not found
+ */
+function fetchJson(url, init, name) {
+  return fetch(url, init).then((res) => {
+    if (res.status == 404) return undefined;
+    if (!res.ok) throw new Error(`${name} ${res.status}: ${url}`);
+    return res.json();
+  });
+}
+
+/**
+ * @param {string} url
+ * @param {string} projectId
+ * @returns {Blocks}
+ */
+export function blockfrost(url, projectId) {
+  /** @param {string} path */
+  const get = (path) =>
+    fetchJson(
+      `${url}${path}`,
+      { headers: { project_id: projectId } },
+      "Blockfrost",
+    );
+  return {
+    tip: () =>
+      get("/blocks/latest").then((b) => ({ height: b.height, hash: b.hash })),
+    block: (height) =>
+      get(`/blocks/${height}`).then(
+        (b) => b && { height: b.height, hash: b.hash },
+      ),
+    txBlock: (txHash) =>
+      get(`/txs/${txHash}`).then(
+        (t) => t && { height: t.block_height, hash: t.block },
+      ),
+  };
+}
+
+/**
+ * @param {string} url
+ * @param {string} [token]
+ * @returns {Blocks}
+ */
+export function koios(url, token) {
+  /** @type {Record<string, string>} */
+  const headers = {
+    "Content-Type": "application/json",
+    ...(token ? { Authorization: `Bearer ${token}` } : {}),
+  };
+  return {
+    tip: () =>
+      fetchJson(`${url}/tip`, { headers }, "Koios").then(([b]) => ({
+        height: b.block_no,
+        hash: b.hash,
+      })),
+    block: (height) =>
+      fetchJson(
+        `${url}/blocks?block_height=eq.${height}&select=hash`,
+        { headers },
+        "Koios",
+      ).then((bs) => bs?.[0] && { height, hash: bs[0].hash }),
+    txBlock: (txHash) =>
+      fetchJson(
+        `${url}/tx_info`,
+        {
+          method: "POST",
+          headers,
+          body: JSON.stringify({ _tx_hashes: [txHash] }),
+        },
+        "Koios",
+      ).then((ts) => {
+        const t = ts?.[0];
+        return t && { height: t.block_height, hash: t.block_hash };
+      }),
+  };
+}
+
+/**
+ * @param {string} url
+ * @param {string} apiKey
+ * @returns {Blocks}
+ */
+export function maestro(url, apiKey) {
+  /** @param {string} path */
+  const get = (path) =>
+    fetchJson(`${url}${path}`, { headers: { "api-key": apiKey } }, "Maestro");
+  return {
+    tip: () =>
+      get("/chain-tip").then(({ data }) => ({
+        height: data.height,
+        hash: data.block_hash,
+      })),
+    block: (height) =>
+      get(`/blocks/${height}`).then(
+        (b) => b && { height: b.data.height, hash: b.data.hash },
+      ),
+    txBlock: (txHash) =>
+      get(`/transactions/${txHash}`).then(
+        (t) => t && { height: t.data.block_height, hash: t.data.block_hash },
+      ),
+  };
+}
@@ -0,0 +1,183 @@
+import { createHash } from "node:crypto";
+import * as lucid from "@lucid-evolution/lucid";
+
+/**
+ * @import { EmulatorAccount, LucidEvolution, Script, UTxO } from "@lucid-evolution/lucid";
+ * @import { Block } from "./blocks.js";
+ */
+
+/**
+ * Lucid's emulator, recording the block height at which each tx is included,
+ * so it has block info. Block hashes are made up. Genesis is at height 0.
+ */
+export class Emulator extends lucid.Emulator {
+  /**
+   * Of txs included, from the genesis tx of Lucid's emulator on
+   * @type {Map<string, number>}
+   */
+  heights = new Map([["00".repeat(32), 0]]);
+  /** @type {string[]} */
+  mempoolTxs = [];
+
+  /**
+   * @param {string} tx
+   */
+  async submitTx(tx) {
+    const txHash = await super.submitTx(tx);
+    this.mempoolTxs.push(txHash);
+    return txHash;
+  }
+
+  /**
+   * @param {number} [height]
+   */
+  awaitBlock(height) {
+    super.awaitBlock(height);
+    this.included();
+  }
+
+  /**
+   * @param {number} [length]
+   */
+  awaitSlot(length) {
+    const before = this.blockHeight;
+    super.awaitSlot(length);
+    if (this.blockHeight > before) this.included();
+  }
+
+  included() {
+    for (const txHash of this.mempoolTxs) {
+      this.heights.set(txHash, this.blockHeight);
+    }
+    this.mempoolTxs = [];
+  }
+
+  /**
+   * @returns {Promise<Block>}
+   */
+  async tip() {
+    return block(this.blockHeight);
+  }
+
+  /**
+   * @param {number} height
+   * @returns {Promise<Block | undefined>}
+   */
+  async block(height) {
+    return height <= this.blockHeight ? block(height) : undefined;
+  }
+
+  /**
+   * @param {string} txHash
+   * @returns {Promise<Block | undefined>}
+   */
+  async txBlock(txHash) {
+    const height = this.heights.get(txHash);
+    return height === undefined ? undefined : block(height);
+  }
+}
+
+/**
+ * @param {number} height
+ * @returns {Block}
+ */
+function block(height) {
+  return {
+    height,
+    hash: createHash("sha256").update(`emulator:${height}`).digest("hex"),
+  };
+}
+
+/**
+ * @typedef Config
+ * @type {object}
+ * @property {string} PROVIDER_SIGNING_KEY - the provider wallet, if set
+ * @property {string} EMULATOR_SEED - from which wallet keys are derived
+ * @property {string} EMULATOR_WALLETS - number of consumer wallets
+ * @property {string} EMULATOR_LOVELACE - in each wallet at genesis
+ */
+
+/**
+ * @typedef Wallet
+ * @type {object}
+ * @property {string} privateKey - bech32
+ * @property {string} keyHash - hex
+ * @property {string} address - enterprise, testnet
+ */
+
+/**
+ * The seeded wallets: the provider's first, then the consumers'.
+ * Keys are derived from the seed, so are the same on each start.
+ * The provider's is the provider signing key if set.
+ * @param {Config} config
+ * @returns {Wallet[]}
+ */
+export function wallets(config) {
+  const count = parseInt(config.EMULATOR_WALLETS, 10);
+  return Array.from({ length: count + 1 }, (_, i) =>
+    wallet(
+      i == 0 && config.PROVIDER_SIGNING_KEY
+        ? lucid.CML.PrivateKey.from_bech32(config.PROVIDER_SIGNING_KEY)
+        : lucid.CML.PrivateKey.from_normal_bytes(
+            createHash("sha256")
+              .update(`${config.EMULATOR_SEED}:${i}`)
+              .digest(),
+          ),
+    ),
+  );
+}
+
+/**
+ * @param {import("@lucid-evolution/lucid").CML.PrivateKey} key
+ * @returns {Wallet}
+ */
+function wallet(key) {
+  const keyHash = key.to_public().hash().to_hex();
+  return {
+    privateKey: key.to_bech32(),
+    keyHash,
+    address: lucid.credentialToAddress(
+      "Custom",
+      lucid.keyHashToCredential(keyHash),
+    ),
+  };
+}
+
+/**
+ * @param {Config} config
+ */
+export function mkEmulator(config) {
+  const lovelace = BigInt(config.EMULATOR_LOVELACE);
+  /** @type {EmulatorAccount[]} */
+  const accounts = wallets(config).map((w) => ({
+    seedPhrase: "",
+    address: w.address,
+    privateKey: w.privateKey,
+    assets: { lovelace },
+  }));
+  return new Emulator(accounts);
+}
+
+/**
+ * Deploy the validator as a reference script, from the selected wallet, to
+ * an address no one can spend from.
+ * @param {LucidEvolution} l
+ * @param {lucid.Emulator} emulator
+ * @param {Script} validator
+ * @returns {Promise<UTxO>}
+ */
+export async function deployReference(l, emulator, validator) {
+  const nowhere = lucid.credentialToAddress(
+    "Custom",
+    lucid.keyHashToCredential("00".repeat(28)),
+  );
+  const signed = await l
+    .newTx()
+    .pay.ToAddressWithData(nowhere, undefined, {}, validator)
+    .complete()
+    .then((t) => t.sign.withWallet().complete());
+  const txHash = await signed.submit();
+  emulator.awaitBlock();
+  const [ref] = await l.utxosByOutRef([{ txHash, outputIndex: 0 }]);
+  return ref;
+}
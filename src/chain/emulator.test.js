@@ -0,0 +1,32 @@
+import * as assert from "node:assert";
+import { test } from "node:test";
+import * as lucid from "@lucid-evolution/lucid";
+
+import * as emulator from "./emulator.js";
+
+const config = {
+  PROVIDER_SIGNING_KEY: "",
+  EMULATOR_SEED: "emulator-test",
+  EMULATOR_WALLETS: "1",
+  EMULATOR_LOVELACE: "100000000",
+};
+
+test("emulator: a tx is in a block once included, and an unknown tx is not", async () => {
+  const e = emulator.mkEmulator(config);
+  const [own, other] = emulator.wallets(config);
+  const l = await lucid.Lucid(e, "Custom");
+  l.selectWallet.fromPrivateKey(own.privateKey);
+  const [seeded] = await e.getUtxos(own.address);
+  const signed = await l
+    .newTx()
+    .pay.ToAddress(other.address, { lovelace: 10000000n })
+    .complete()
+    .then((tx) => tx.sign.withWallet().complete());
+  const txHash = await signed.submit();
+
+  assert.strictEqual(await e.txBlock(txHash), undefined);
+  e.awaitBlock();
+  assert.strictEqual((await e.txBlock(txHash))?.height, e.blockHeight);
+  assert.strictEqual((await e.txBlock(seeded.txHash))?.height, 0);
+  assert.strictEqual(await e.txBlock("33".repeat(32)), undefined);
+});
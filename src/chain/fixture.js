@@ -0,0 +1,333 @@
+import fs from "node:fs";
+import path from "node:path";
+import { createHash } from "node:crypto";
+import * as lucid from "@lucid-evolution/lucid";
+
+/**
+ * @import { Provider, ProtocolParameters, UTxO, OutRef, Credential, Delegation, EvalRedeemer } from "@lucid-evolution/lucid";
+ * @import { Block } from "./blocks.js";
+ */
+
+/**
+ * The fixture file, as JSON. Amounts are strings or numbers.
+ * @typedef Fixture
+ * @type {object}
+ * @property {Partial<Record<keyof ProtocolParameters, any>>} [protocolParameters] - over the Lucid defaults
+ * @property {(Omit<UTxO, "assets"> & { assets : Record<string, string | number>, blockHeight? : number })[]} utxos - at block height 0 if not set
+ * @property {number} [height] - of the tip. Defaults to that of the latest UTxO
+ * @property {Record<string, { poolId : string | null, rewards : string | number }>} [delegations] - by reward address
+ * @property {Record<string, string>} [datums] - cbor hex by datum hash
+ */
+
+/**
+ * @typedef FixtureTx
+ * @type {object}
+ * @property {string} txHash
+ * @property {UTxO[]} spent - restored if rolled back
+ */
+
+/**
+ * @typedef FixtureBlock
+ * @type {object}
+ * @property {number} height
+ * @property {number} fork - the rollbacks before it was added
+ * @property {FixtureTx[]} txs
+ */
+
+/**
+ * A provider serving the UTxOs of a fixture file, so L1 routes run offline.
+ *
+ * A submitted tx is written to `submitted/<txHash>.cbor` beside the fixture,
+ * and applied to the UTxOs held in memory: its inputs are spent and its outputs
+ * added. Nothing is validated, and the fixture file itself is not changed, so
+ * a restart is back at the fixture.
+ *
+ * Each submitted tx is in a block of its own, on the tip. Block hashes are
+ * made up. Blocks added since the fixture can be rolled back, to stand in for
+ * a fork of the chain.
+ *
+ * Txs are not evaluated. Lucid evaluates scripts locally by default.
+ * @implements {Provider}
+ */
+export class FixtureProvider {
+  /**
+   * @param {string} file - path to the fixture
+   */
+  constructor(file) {
+    /** @type {Fixture} */
+    const fixture = JSON.parse(fs.readFileSync(file, "utf8"));
+    this.submittedDir = path.join(path.dirname(file), "submitted");
+    /** @type {ProtocolParameters} */
+    this.protocolParameters = parseProtocolParameters(
+      fixture.protocolParameters ?? {},
+    );
+    /** @type {UTxO[]} */
+    this.utxos = (fixture.utxos ?? []).map(({ blockHeight: _, ...u }) => ({
+      ...u,
+      assets: parseAssets(u.assets),
+    }));
+    /** @type {Map<string, number>} */
+    this.heights = new Map(
+      (fixture.utxos ?? []).map((u) => [u.txHash, u.blockHeight ?? 0]),
+    );
+    /** @type {number} */
+    this.height = fixture.height ?? Math.max(0, ...this.heights.values());
+    /**
+     * Blocks added since the fixture, oldest first
+     * @type {FixtureBlock[]}
+     */
+    this.blocks = [];
+    /** Rollbacks so far. Blocks on each fork have hashes of their own */
+    this.forks = 0;
+    /** @type {Record<string, Delegation>} */
+    this.delegations = Object.fromEntries(
+      Object.entries(fixture.delegations ?? {}).map(([addr, d]) => [
+        addr,
+        { poolId: d.poolId, rewards: BigInt(d.rewards) },
+      ]),
+    );
+    /** @type {Record<string, string>} */
+    this.datums = fixture.datums ?? {};
+    /** @type {Set<string>} */
+    this.submitted = new Set();
+  }
+
+  async getProtocolParameters() {
+    return this.protocolParameters;
+  }
+
+  /**
+   * @param {string | Credential} addressOrCredential
+   */
+  async getUtxos(addressOrCredential) {
+    return this.utxos.filter((u) => isAt(u, addressOrCredential));
+  }
+
+  /**
+   * @param {string | Credential} addressOrCredential
+   * @param {string} unit
+   */
+  async getUtxosWithUnit(addressOrCredential, unit) {
+    return this.utxos.filter(
+      (u) => isAt(u, addressOrCredential) && (u.assets[unit] ?? 0n) > 0n,
+    );
+  }
+
+  /**
+   * @param {string} unit
+   */
+  async getUtxoByUnit(unit) {
+    const found = this.utxos.filter((u) => (u.assets[unit] ?? 0n) > 0n);
+    if (found.length != 1) {
+      throw new Error(
+        `Expect one UTxO with unit ${unit}, found ${found.length}`,
+      );
+    }
+    return found[0];
+  }
+
+  /**
+   * @param {OutRef[]} outRefs
+   */
+  async getUtxosByOutRef(outRefs) {
+    return this.utxos.filter((u) =>
+      outRefs.some(
+        (r) => r.txHash == u.txHash && r.outputIndex == u.outputIndex,
+      ),
+    );
+  }
+
+  /**
+   * @param {string} rewardAddress
+   * @returns {Promise<Delegation>}
+   */
+  async getDelegation(rewardAddress) {
+    return this.delegations[rewardAddress] ?? { poolId: null, rewards: 0n };
+  }
+
+  /**
+   * @param {string} datumHash
+   */
+  async getDatum(datumHash) {
+    const datum =
+      this.datums[datumHash] ??
+      this.utxos.find((u) => u.datumHash == datumHash)?.datum;
+    if (!datum) throw new Error(`No datum for hash ${datumHash}`);
+    return datum;
+  }
+
+  /**
+   * @param {string} txHash
+   */
+  async awaitTx(txHash) {
+    return this.submitted.has(txHash);
+  }
+
+  /**
+   * @param {string} tx - cbor hex
+   */
+  async submitTx(tx) {
+    const body = lucid.CML.Transaction.from_cbor_hex(tx).body();
+    const txHash = lucid.CML.hash_transaction(body).to_hex();
+    fs.mkdirSync(this.submittedDir, { recursive: true });
+    fs.writeFileSync(path.join(this.submittedDir, `${txHash}.cbor`), tx);
+
+    const inputs = body.inputs();
+    /** @type {OutRef[]} */
+    const spentRefs = [];
+    for (let i = 0; i < inputs.len(); i++) {
+      spentRefs.push(lucid.coreToOutRef(inputs.get(i)));
+    }
+    const isSpent = (/** @type {UTxO} */ u) =>
+      spentRefs.some(
+        (r) => r.txHash == u.txHash && r.outputIndex == u.outputIndex,
+      );
+    const outputs = body.outputs();
+    /** @type {UTxO[]} */
+    const created = [];
+    for (let i = 0; i < outputs.len(); i++) {
+      created.push({
+        txHash,
+        outputIndex: i,
+        ...lucid.coreToTxOutput(outputs.get(i)),
+      });
+    }
+    const spent = this.utxos.filter(isSpent);
+    this.utxos = [...this.utxos.filter((u) => !isSpent(u)), ...created];
+    this.submitted.add(txHash);
+    this.addBlock([{ txHash, spent }]);
+    return txHash;
+  }
+
+  /**
+   * Add empty blocks
+   * @param {number} [count]
+   */
+  awaitBlock(count = 1) {
+    for (let i = 0; i < count; i++) this.addBlock([]);
+  }
+
+  /**
+   * @param {FixtureTx[]} txs
+   */
+  addBlock(txs) {
+    this.height += 1;
+    this.blocks.push({ height: this.height, fork: this.forks, txs });
+    for (const { txHash } of txs) this.heights.set(txHash, this.height);
+  }
+
+  /**
+   * Roll back the latest blocks, undoing their txs, as in a switch to a fork.
+   * Blocks added after are on the new fork.
+   * @param {number} depth - at most the number of blocks since the fixture
+   */
+  rollback(depth) {
+    if (depth > this.blocks.length) {
+      throw new Error(
+        `Cannot roll back ${depth} blocks: only ${this.blocks.length} since the fixture`,
+      );
+    }
+    const undone = this.blocks.splice(this.blocks.length - depth).reverse();
+    for (const { txs } of undone) {
+      for (const { txHash, spent } of [...txs].reverse()) {
+        this.utxos = [
+          ...this.utxos.filter((u) => u.txHash != txHash),
+          ...spent,
+        ];
+        this.heights.delete(txHash);
+        this.submitted.delete(txHash);
+      }
+    }
+    this.height -= depth;
+    this.forks += 1;
+  }
+
+  /**
+   * @returns {Promise<Block>}
+   */
+  async tip() {
+    return this.blockAt(this.height);
+  }
+
+  /**
+   * @param {number} height
+   * @returns {Promise<Block | undefined>}
+   */
+  async block(height) {
+    return height <= this.height ? this.blockAt(height) : undefined;
+  }
+
+  /**
+   * @param {string} txHash
+   * @returns {Promise<Block | undefined>}
+   */
+  async txBlock(txHash) {
+    const height = this.heights.get(txHash);
+    return height === undefined ? undefined : this.blockAt(height);
+  }
+
+  /**
+   * @param {number} height - at most the tip
+   * @returns {Block}
+   */
+  blockAt(height) {
+    const fork = this.blocks.find((b) => b.height == height)?.fork ?? 0;
+    return {
+      height,
+      hash: createHash("sha256")
+        .update(`fixture:${fork}:${height}`)
+        .digest("hex"),
+    };
+  }
+
+  /**
+   * @returns {Promise<EvalRedeemer[]>}
+   */
+  async evaluateTx() {
+    throw new Error("The fixture provider does not evaluate txs");
+  }
+}
+
+/**
+ * @param {UTxO} utxo
+ * @param {string | Credential} addressOrCredential
+ */
+function isAt(utxo, addressOrCredential) {
+  if (typeof addressOrCredential == "string") {
+    return utxo.address == addressOrCredential;
+  }
+  return (
+    lucid.paymentCredentialOf(utxo.address).hash == addressOrCredential.hash
+  );
+}
+
+/**
+ * @param {Record<string, string | number>} assets
+ * @returns {Record<string, bigint>}
+ */
+function parseAssets(assets) {
+  return Object.fromEntries(
+    Object.entries(assets).map(([unit, amt]) => [unit, BigInt(amt)]),
+  );
+}
+
+/**
+ * Fields are as the Lucid defaults, with those that are bigints there parsed
+ * to bigints.
+ * @param {Partial<Record<keyof ProtocolParameters, any>>} overrides
+ * @returns {ProtocolParameters}
+ */
+function parseProtocolParameters(overrides) {
+  const defaults = lucid.PROTOCOL_PARAMETERS_DEFAULT;
+  return {
+    ...defaults,
+    ...Object.fromEntries(
+      Object.entries(overrides).map(([k, v]) => [
+        k,
+        typeof defaults[/** @type {keyof ProtocolParameters} */ (k)] == "bigint"
+          ? BigInt(v)
+          : v,
+      ]),
+    ),
+  };
+}
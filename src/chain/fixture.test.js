@@ -0,0 +1,114 @@
+import * as assert from "node:assert";
+import { test, after } from "node:test";
+import * as fs from "node:fs";
+import * as os from "node:os";
+import * as path from "node:path";
+import * as lucid from "@lucid-evolution/lucid";
+
+import { FixtureProvider } from "./fixture.js";
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "subbit-man-fixture-"));
+after(() => fs.rmSync(dir, { recursive: true }));
+
+const skey = lucid.generatePrivateKey();
+const address = lucid.credentialToAddress(
+  "Preview",
+  lucid.keyHashToCredential(
+    lucid.CML.PrivateKey.from_bech32(skey).to_public().hash().to_hex(),
+  ),
+);
+const other = lucid.credentialToAddress(
+  "Preview",
+  lucid.keyHashToCredential("00".repeat(28)),
+);
+const unit = "11".repeat(28) + "abcd";
+const file = path.join(dir, "fixture.json");
+fs.writeFileSync(
+  file,
+  JSON.stringify({
+    utxos: [
+      {
+        txHash: "22".repeat(32),
+        outputIndex: 0,
+        address,
+        assets: { lovelace: "50000000", [unit]: 1 },
+      },
+      {
+        txHash: "22".repeat(32),
+        outputIndex: 1,
+        address: other,
+        assets: { lovelace: "2000000" },
+      },
+    ],
+  }),
+);
+
+test("fixture: serves utxos", async () => {
+  const p = new FixtureProvider(file);
+  assert.strictEqual((await p.getUtxos(address)).length, 1);
+  assert.strictEqual(
+    (await p.getUtxos(lucid.paymentCredentialOf(other)))[0].outputIndex,
+    1,
+  );
+  assert.strictEqual((await p.getUtxoByUnit(unit)).assets.lovelace, 50000000n);
+  assert.strictEqual((await p.getUtxosWithUnit(other, unit)).length, 0);
+  const [u] = await p.getUtxosByOutRef([
+    { txHash: "22".repeat(32), outputIndex: 1 },
+  ]);
+  assert.strictEqual(u.address, other);
+});
+
+test("fixture: a submitted tx is applied", async () => {
+  const p = new FixtureProvider(file);
+  const l = await lucid.Lucid(p, "Preview");
+  l.selectWallet.fromPrivateKey(skey);
+  const signed = await l
+    .newTx()
+    .pay.ToAddress(other, { lovelace: 10000000n })
+    .complete()
+    .then((tx) => tx.sign.withWallet().complete());
+  const txHash = await signed.submit();
+
+  assert.ok(await p.awaitTx(txHash));
+  assert.strictEqual((await p.tip()).height, 1);
+  assert.strictEqual((await p.txBlock(txHash))?.height, 1);
+  assert.strictEqual((await p.txBlock("22".repeat(32)))?.height, 0);
+  assert.strictEqual(await p.txBlock("33".repeat(32)), undefined);
+  assert.ok(fs.existsSync(path.join(dir, "submitted", `${txHash}.cbor`)));
+  const [change] = await p.getUtxos(address);
+  assert.strictEqual(change.txHash, txHash);
+  assert.strictEqual(change.assets[unit], 1n);
+  const paid = await p.getUtxos(other);
+  assert.deepEqual(
+    paid.map((u) => u.assets.lovelace),
+    [2000000n, 10000000n],
+  );
+});
+
+test("fixture: a rollback undoes the txs of its blocks", async () => {
+  const p = new FixtureProvider(file);
+  const l = await lucid.Lucid(p, "Preview");
+  l.selectWallet.fromPrivateKey(skey);
+  const tip0 = await p.tip();
+  const txHash = await l
+    .newTx()
+    .pay.ToAddress(other, { lovelace: 10000000n })
+    .complete()
+    .then((tx) => tx.sign.withWallet().complete())
+    .then((signed) => signed.submit());
+  p.awaitBlock(2);
+  const { hash } = await p.tip();
+  assert.strictEqual((await p.tip()).height, 3);
+
+  assert.throws(() => p.rollback(4));
+  p.rollback(3);
+  assert.deepEqual(await p.tip(), tip0);
+  assert.strictEqual(await p.txBlock(txHash), undefined);
+  assert.strictEqual(await p.block(1), undefined);
+  const [u] = await p.getUtxos(address);
+  assert.strictEqual(u.txHash, "22".repeat(32));
+
+  p.awaitBlock(3);
+  assert.notStrictEqual((await p.tip()).hash, hash);
+  assert.strictEqual((await p.block(0))?.hash, tip0.hash);
+});
@@ -0,0 +1,74 @@
+/**
+ * @import { Block, Blocks } from "./blocks.js";
+ */
+
+/**
+ * @typedef Rollback
+ * @type {object}
+ * @property {Block} from - the tip as last seen
+ * @property {Block} [to] - the latest block seen that is still on the chain.
+ * `undefined` if none is, ie the rollback is deeper than the window.
+ */
+
+/**
+ * @typedef Polled
+ * @type {object}
+ * @property {Block} tip
+ * @property {Rollback} [rollback] - if the chain has switched forks since
+ * the last poll
+ */
+
+/**
+ * Follow the tip of the chain, by polling, and detect rollbacks.
+ *
+ * The follower keeps a window of the tips it has seen. A poll finds the latest
+ * of these whose hash is still that of the block at its height. If this is not
+ * the last tip seen, blocks after it were rolled back.
+ */
+export class Follower {
+  /**
+   * @param {Blocks} blocks
+   * @param {number} size - of the window of tips seen
+   */
+  constructor(blocks, size) {
+    this.blocks = blocks;
+    this.size = size;
+    /** @type {Block[]} */
+    this.window = [];
+  }
+
+  /**
+   * @returns {Promise<Polled>}
+   */
+  async poll() {
+    const tip = await this.blocks.tip();
+    const last = this.window.at(-1);
+    if (!last || last.hash == tip.hash) {
+      this.window = last ? this.window : [tip];
+      return { tip };
+    }
+    const to = await this.onChain(tip);
+    this.window = [
+      ...this.window.filter((b) => to && b.height <= to.height),
+      tip,
+    ].slice(-this.size);
+    return to?.hash == last.hash
+      ? { tip }
+      : { tip, rollback: { from: last, to } };
+  }
+
+  /**
+   * The latest block of the window that is still on the chain
+   * @param {Block} tip
+   * @returns {Promise<Block | undefined>}
+   */
+  async onChain(tip) {
+    for (const seen of [...this.window].reverse()) {
+      if (seen.height > tip.height) continue;
+      const block =
+        seen.height == tip.height ? tip : await this.blocks.block(seen.height);
+      if (block?.hash == seen.hash) return seen;
+    }
+    return undefined;
+  }
+}
@@ -0,0 +1,44 @@
+import * as assert from "node:assert";
+import { test, after } from "node:test";
+import * as fs from "node:fs";
+import * as os from "node:os";
+import * as path from "node:path";
+
+import { FixtureProvider } from "./fixture.js";
+import { Follower } from "./follow.js";
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "subbit-man-follow-"));
+after(() => fs.rmSync(dir, { recursive: true }));
+
+const file = path.join(dir, "fixture.json");
+fs.writeFileSync(file, JSON.stringify({ utxos: [], height: 10 }));
+
+test("follow: rollbacks are detected", async () => {
+  const p = new FixtureProvider(file);
+  const f = new Follower(p, 3);
+  assert.deepEqual(await f.poll(), { tip: await p.tip() });
+
+  p.awaitBlock(2);
+  const seen = await p.tip();
+  assert.strictEqual((await f.poll()).rollback, undefined);
+  p.awaitBlock();
+  assert.strictEqual((await f.poll()).rollback, undefined);
+  assert.strictEqual((await f.poll()).rollback, undefined);
+  const last = await p.tip();
+
+  // Onto a longer fork, from the block seen at height 12
+  p.rollback(1);
+  p.awaitBlock(3);
+  const { tip, rollback } = await f.poll();
+  assert.strictEqual(tip.height, 15);
+  assert.deepEqual(rollback, { from: last, to: seen });
+
+  // Deeper than the window
+  p.awaitBlock();
+  await f.poll();
+  p.rollback(6);
+  p.awaitBlock(6);
+  const deep = await f.poll();
+  assert.ok(deep.rollback && deep.rollback.to === undefined);
+  assert.strictEqual((await f.poll()).rollback, undefined);
+});
@@ -0,0 +1,166 @@
+import * as lucid from "@lucid-evolution/lucid";
+import { FixtureProvider } from "./fixture.js";
+import * as emulator from "./emulator.js";
+import * as blocks from "./blocks.js";
+
+/**
+ * @import { Provider, Network } from "@lucid-evolution/lucid";
+ * @import { Blocks } from "./blocks.js";
+ */
+
+/**
+ * Chain data providers, by name as in the config
+ * @typedef Kind
+ * @type {"blockfrost" | "kupmios" | "koios" | "maestro" | "fixture" | "emulator"}
+ */
+
+/**
+ * @typedef Config
+ * @type {Providers & emulator.Config}
+ */
+
+/**
+ * @typedef Providers
+ * @type {object}
+ * @property {string} CHAIN_PROVIDER
+ * @property {string} BLOCKFROST_API_KEY
+ * @property {string} BLOCKFROST_URL - defaults by network
+ * @property {string} KUPO_URL
+ * @property {string} OGMIOS_URL
+ * @property {string} KOIOS_URL - defaults by network
+ * @property {string} KOIOS_TOKEN
+ * @property {string} MAESTRO_API_KEY
+ * @property {string} CHAIN_FIXTURE - path to the fixture file
+ */
+
+/** @type {Kind[]} */
+export const kinds = [
+  "blockfrost",
+  "kupmios",
+  "koios",
+  "maestro",
+  "fixture",
+  "emulator",
+];
+
+/**
+ * Config each kind cannot do without
+ * @type {Record<Kind, (keyof Config)[]>}
+ */
+export const required = {
+  blockfrost: ["BLOCKFROST_API_KEY"],
+  kupmios: ["KUPO_URL", "OGMIOS_URL"],
+  koios: [],
+  maestro: ["MAESTRO_API_KEY"],
+  fixture: ["CHAIN_FIXTURE"],
+  emulator: [],
+};
+
+/**
+ * @param {string} s
+ * @returns {Kind}
+ */
+export function parseKind(s) {
+  const kind = /** @type {Kind} */ (s.toLowerCase());
+  if (!kinds.includes(kind)) {
+    throw new Error(
+      `Unknown chain provider ${s}. Expected one of ${kinds.join(", ")}`,
+    );
+  }
+  return kind;
+}
+
+/**
+ * The config each kind is missing
+ * @param {Kind} kind
+ * @param {Config} config
+ */
+export function missing(kind, config) {
+  return required[kind].filter((key) => !config[key]);
+}
+
+/**
+ * @param {Kind} kind
+ * @param {Config} config
+ * @param {Network} network
+ * @returns {Provider}
+ */
+export function mkProvider(kind, config, network) {
+  switch (kind) {
+    case "blockfrost":
+      return new lucid.Blockfrost(
+        blockfrostUrl(config, network),
+        config.BLOCKFROST_API_KEY,
+      );
+    case "kupmios":
+      return new lucid.Kupmios(config.KUPO_URL, config.OGMIOS_URL);
+    case "koios":
+      return new lucid.Koios(
+        koiosUrl(config, network),
+        config.KOIOS_TOKEN || undefined,
+      );
+    case "maestro":
+      return new lucid.Maestro({
+        network: /** @type {"Mainnet" | "Preprod" | "Preview"} */ (network),
+        apiKey: config.MAESTRO_API_KEY,
+      });
+    case "fixture":
+      return new FixtureProvider(config.CHAIN_FIXTURE);
+    case "emulator":
+      return emulator.mkEmulator(config);
+  }
+}
+
+/**
+ * Block info of the chain provider. `undefined` if it has none, as Kupmios.
+ * @param {Kind} kind
+ * @param {Config} config
+ * @param {Network} network
+ * @param {Provider} provider - as from `mkProvider`
+ * @returns {Blocks | undefined}
+ */
+export function mkBlocks(kind, config, network, provider) {
+  switch (kind) {
+    case "blockfrost":
+      return blocks.blockfrost(
+        blockfrostUrl(config, network),
+        config.BLOCKFROST_API_KEY,
+      );
+    case "koios":
+      return blocks.koios(koiosUrl(config, network), config.KOIOS_TOKEN);
+    case "maestro":
+      return blocks.maestro(
+        `https://${network.toLowerCase()}.gomaestro-api.org/v1`,
+        config.MAESTRO_API_KEY,
+      );
+    case "fixture":
+    case "emulator":
+      return /** @type {FixtureProvider | emulator.Emulator} */ (provider);
+    case "kupmios":
+      return undefined;
+  }
+}
+
+/**
+ * @param {Config} config
+ * @param {Network} network
+ */
+function blockfrostUrl(config, network) {
+  return (
+    config.BLOCKFROST_URL ||
+    `https://cardano-${network.toLowerCase()}.blockfrost.io/api/v0`
+  );
+}
+
+/**
+ * @param {Config} config
+ * @param {Network} network
+ */
+function koiosUrl(config, network) {
+  return (
+    config.KOIOS_URL ||
+    (network == "Mainnet"
+      ? "https://api.koios.rest/api/v1"
+      : `https://${network.toLowerCase()}.koios.rest/api/v1`)
+  );
+}
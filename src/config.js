@@ -1,13 +1,41 @@
+import fs from "node:fs";
 import { defaults } from "./options.js";
+import { kinds as storeKinds } from "./db/store/index.js";
+import { tenant as tenantNamespace } from "./db/keys.js";
 /**
  * @typedef Config
  * @type {object}
  * @property {import("./db/config.js").Config} db
  * @property {import("./routes.js").Config} routes
+ * @property {Tenant[]} [tenants] - if set, these replace the single provider
  * --@property {import("./l2/config.js").Config} l2
  * --@property {import("./l1/config.js").Config} l1
  */
 
+/**
+ * @typedef Tenant
+ * @type {object}
+ * @property {string} id - routes of the tenant are under `/t/<id>`
+ * @property {import("./db/config.js").Config} db
+ * @property {import("./routes.js").Config} routes
+ * @property {import("./lucid.js").Overrides} lucid
+ */
+
+/**
+ * As in the tenants option. Unset fields default to the top level options.
+ * @typedef TenantOptions
+ * @type {object}
+ * @property {string} id
+ * @property {string} provider - Provider vkh, hex encoded
+ * @property {string} [currency]
+ * @property {string} [closePeriod]
+ * @property {string} [tagLength]
+ * @property {string} [initCost]
+ * @property {string} [signingKey] - Provider signing key, for L1 txs
+ * @property {boolean} [rootNamespace] - Use the keys of a single provider DB.
+ * At most one tenant may.
+ */
+
 const OPTIONS_PREFIX = "SUBBIT_MAN_";
 
 /**
@@ -28,7 +56,10 @@ export function env() {
 /**
  * @typedef Options
  * @type {object}
+ * @property {string} dbStore - one of "leveldb", "memory", "sqlite"
  * @property {string} dbPath
+ * @property {string} [dbKeyfile] - to encrypt signatures at rest
+ * @property {string} [dbPassphrase] - to encrypt signatures at rest, if no keyfile
  * @property {string} provider - Provider vkh, hex encoded
  * @property {string} currency
  * @property {string} closePeriod
@@ -36,6 +67,11 @@ export function env() {
  * @property {string} nowThreshold
  * @property {string} fixedSeed
  * @property {string} initCost
+ * @property {string} stampReplay - "true" to reject replayed stamp credentials
+ * @property {string} stampSweepInterval - ms between sweeps of expired stamps
+ * @property {string} [trafficIous] - IOUs of a subbit since its last sub that trigger an early liaison run
+ * @property {string} [trafficExposurePct] - unclaimed IOU amount, as % of the subbit amount, that triggers an early liaison run
+ * @property {string} [tenants] - JSON array of tenant options, or a path to a file of it
  * */
 
 /**
@@ -45,7 +81,9 @@ export function env() {
 
 export function parseOptions(opts) {
   opts = opts;
+  const dbStore = parseStore(opts.dbStore);
   const dbPath = opts.dbPath;
+  const encryption = parseEncryption(opts.dbKeyfile, opts.dbPassphrase);
   const provider = Buffer.from(opts.provider, "hex");
   if (provider.equals(Buffer.from(defaults.provider, "hex"))) {
     console.warn(`Provider key set to default value`);
@@ -60,7 +98,19 @@ export function parseOptions(opts) {
   }
 
   const initCost = BigInt(opts.initCost);
-  return {
+  const stampReplay = opts.stampReplay == "true";
+  if (stampReplay && !nowThreshold) {
+    console.warn(`Stamp replay protection set without stamp credentials`);
+  }
+  const stampSweepInterval = stampReplay
+    ? parseNotNaN(opts.stampSweepInterval)
+    : 0;
+  const trafficIous = opts.trafficIous ? parseNotNaN(opts.trafficIous) : 0;
+  const trafficExposurePct = opts.trafficExposurePct
+    ? parseNotNaN(opts.trafficExposurePct)
+    : 0;
+  /** @type {Config} */
+  const config = {
     // l2: {
     //   nowThreshold,
     //   fixedSeed,
@@ -72,10 +122,89 @@ export function parseOptions(opts) {
       tagLength,
       nowThreshold,
       fixedSeed,
+      stampReplay,
     },
     db: {
+      store: dbStore,
       dbPath,
+      encryption,
       initCost,
+      stampSweepInterval,
+      trafficIous,
+      trafficExposurePct,
+    },
+  };
+  if (opts.tenants) {
+    config.tenants = parseTenants(opts.tenants).map((t) =>
+      parseTenant(t, opts, config),
+    );
+  }
+  return config;
+}
+
+/**
+ * @param {string} s - JSON, or a path to a file of JSON
+ * @returns {TenantOptions[]}
+ */
+function parseTenants(s) {
+  const json = s.trim().startsWith("[") ? s : fs.readFileSync(s, "utf8");
+  const tenants = JSON.parse(json);
+  if (!Array.isArray(tenants) || tenants.length == 0) {
+    throw new Error("Expected tenants to be a non-empty array");
+  }
+  const ids = new Set(tenants.map((t) => t.id));
+  if (ids.size != tenants.length) {
+    throw new Error("Expected tenant ids to be distinct");
+  }
+  // Namespaces are by provider
+  const providers = new Set(
+    tenants.map((t) => String(t.provider).toLowerCase()),
+  );
+  if (providers.size != tenants.length) {
+    throw new Error("Expected tenant providers to be distinct");
+  }
+  if (tenants.filter((t) => t.rootNamespace).length > 1) {
+    throw new Error("Expected at most one tenant with the root namespace");
+  }
+  return tenants;
+}
+
+/**
+ * @param {TenantOptions} t
+ * @param {Options} opts
+ * @param {Config} config - as from the top level options
+ * @returns {Tenant}
+ */
+function parseTenant(t, opts, config) {
+  if (typeof t.id != "string" || !/^[a-z0-9-]+$/.test(t.id)) {
+    throw new Error(`Cannot parse tenant id ${t.id}`);
+  }
+  // A fixed length, so no namespace is a prefix of another
+  const provider = Buffer.from(t.provider, "hex");
+  if (provider.length != 28) {
+    throw new Error(
+      `Expect tenant ${t.id} provider to be 28 bytes, hex encoded`,
+    );
+  }
+  const closePeriod = BigInt(t.closePeriod ?? opts.closePeriod);
+  return {
+    id: t.id,
+    db: {
+      ...config.db,
+      initCost: BigInt(t.initCost ?? opts.initCost),
+      namespace: t.rootNamespace ? undefined : tenantNamespace(provider),
+    },
+    routes: {
+      ...config.routes,
+      provider,
+      currency: parseCurrency(t.currency ?? opts.currency),
+      closePeriod,
+      tagLength: parseNotNaN(t.tagLength ?? opts.tagLength),
+    },
+    lucid: {
+      PROVIDER_KEY_HASH: provider.toString("hex"),
+      PROVIDER_SIGNING_KEY: t.signingKey ?? "",
+      CLOSE_PERIOD: String(closePeriod),
     },
   };
 }
@@ -91,31 +220,59 @@ const snakeToCamel = (str) =>
     );
 
 /**
+ * One of `ada`, `byHash:<script hash>` or `byClass:<unit>`, hex encoded
  * @param {string} currency
  * @returns {import("./types.ts").Currency}
  */
-function parseCurrency(currency) {
-  currency = currency.toLowerCase();
-  if (currency == "ada") {
+export function parseCurrency(currency) {
+  const [label, hex = ""] = currency.toLowerCase().split(":");
+  if (label == "ada" && !hex) {
     return { kind: "Ada" };
+  } else if (label == "byhash") {
+    return { kind: "ByHash", value: parseScriptHash(hex) };
+  } else if (label == "byclass") {
+    const { hash, name } = parseUnit(hex);
+    return { kind: "ByClass", value: Buffer.concat([hash, name]) };
   } else {
-    const [label, hex] = currency.split(":")[1];
-    if (label == "byhash") {
-      return { kind: "ByHash", value: Buffer.from(hex, "hex") };
-    } else if (label == "byclass") {
-      return { kind: "ByClass", value: Buffer.from(hex, "hex") };
-    } else {
-      throw new Error(`Cannot parse currency ${currency}`);
-    }
+    throw new Error(`Cannot parse currency ${currency}`);
+  }
+}
+
+/**
+ * @param {string | undefined} keyfile
+ * @param {string | undefined} passphrase
+ * @returns {import("./db/types.ts").Encryption | undefined}
+ */
+function parseEncryption(keyfile, passphrase) {
+  if (keyfile && passphrase) {
+    throw new Error("Set one of db keyfile or db passphrase, not both");
+  } else if (keyfile) {
+    return { kind: "keyfile", path: keyfile };
+  } else if (passphrase) {
+    return { kind: "passphrase", passphrase };
+  } else {
+    return undefined;
   }
 }
 
+/**
+ * @param {string} s
+ * @returns {import("./db/store/types.ts").Kind}
+ */
+function parseStore(s) {
+  const x = /** @type {import("./db/store/types.ts").Kind} */ (s.toLowerCase());
+  if (!storeKinds.includes(x)) {
+    throw new Error(`Cannot parse db store ${s}`);
+  }
+  return x;
+}
+
 /**
  * @param {string} s
  * */
 function parseScriptHash(s) {
   const x = Buffer.from(s, "hex");
-  if (x.length != 28) {
+  if (x.length != 28 || x.toString("hex") != s.toLowerCase()) {
     throw new Error("Expect script hash to be 28 bytes, hex encoded");
   }
   return x;
@@ -126,8 +283,8 @@ function parseScriptHash(s) {
  * */
 function parseAssetName(s) {
   const x = Buffer.from(s, "hex");
-  if (x.length <= 32) {
-    throw new Error("Expect script hash to be 28 bytes, hex encoded");
+  if (x.length > 32 || x.toString("hex") != s.toLowerCase()) {
+    throw new Error("Expect asset name to be at most 32 bytes, hex encoded");
   }
   return x;
 }
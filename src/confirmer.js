@@ -0,0 +1,230 @@
+import fastifyPlugin from "fastify-plugin";
+import { ToadScheduler, SimpleIntervalJob, AsyncTask } from "toad-scheduler";
+import * as lucid from "@lucid-evolution/lucid";
+import { isNetworkError } from "./errors.js";
+
+/**
+ * @import { FastifyInstance } from "fastify";
+ * @import { TrackedTx, TxStep } from "./db/types.ts";
+ */
+
+/**
+ * The routes that build each step, to rebuild a tx that failed
+ * @type {Record<TxStep, string>}
+ */
+const rebuildRoutes = {
+  sub: "/l1/process-ious",
+  settle: "/l1/process-closed-channels",
+  batch: "/l1/process-channels",
+};
+
+/**
+ * Confirmer plugin — sees the sub and settle txs submitted by the L1 routes
+ * onto the chain. These are recorded in the DB when submitted. Each poll, a
+ * tx still submitted is:
+ *
+ * - confirmed, once in a block;
+ * - expired, once its validity interval has passed;
+ * - resubmitted, if in no block some time after it was last submitted, as it
+ *   may have dropped from the mempool, eg on a restart of the node;
+ * - failed, if a resubmission is rejected, or after the last attempt.
+ *
+ * The step of a failed or expired tx is run again, by the route that built it,
+ * once no liaison cycle or settle is spending from the wallet.
+ *
+ * Config via env vars:
+ *   SUBBIT_MAN_CONFIRMER_ENABLED    (default: "true")
+ *   SUBBIT_MAN_CONFIRM_INTERVAL_MS  (default: "60000" = 1 min)
+ *   SUBBIT_MAN_RESUBMIT_AFTER_MS    (default: "180000" = 3 min)
+ *   SUBBIT_MAN_TX_MAX_ATTEMPTS      (default: "3" submissions)
+ *
+ * @param {FastifyInstance} fastify
+ */
+async function confirmer(fastify) {
+  const env = (/** @type {string} */ key, /** @type {string} */ fallback) =>
+    process.env[`SUBBIT_MAN_${key}`] ?? fallback;
+
+  if (env("CONFIRMER_ENABLED", "true") !== "true") {
+    fastify.log.info("[confirmer] Disabled");
+    return;
+  }
+
+  const ctx = /** @type {import("./lucid.js").LucidContext | undefined} */ (
+    /** @type {any} */ (fastify).lucidCtx
+  );
+  if (!ctx?.blocks) {
+    fastify.log.warn(
+      "[confirmer] No block info from the chain provider — confirmer disabled",
+    );
+    return;
+  }
+  const { lucid: l, blocks, withWallet } = ctx;
+
+  const intervalMs = parseInt(env("CONFIRM_INTERVAL_MS", "60000"), 10);
+  const resubmitAfterMs = parseInt(env("RESUBMIT_AFTER_MS", "180000"), 10);
+  const maxAttempts = parseInt(env("TX_MAX_ATTEMPTS", "3"), 10);
+
+  let running = false;
+
+  /**
+   * Poll the status of each submitted tx
+   * @param {string} trigger - What triggered this poll (e.g. "scheduled", "manual")
+   */
+  async function confirmTxs(trigger) {
+    if (running) {
+      return { skipped: true, reason: "already running" };
+    }
+    running = true;
+    try {
+      /** @type {Record<TrackedTx["status"] | "resubmitted", string[]>} */
+      const report = {
+        submitted: [],
+        resubmitted: [],
+        confirmed: [],
+        failed: [],
+        expired: [],
+      };
+      /** @type {TrackedTx[]} */
+      const toRebuild = [];
+      for (const t of await fastify.getTxs("submitted")) {
+        const next = await confirmTx(t);
+        await fastify.putTx(next);
+        const key = next.attempts > t.attempts ? "resubmitted" : next.status;
+        report[key].push(t.txHash);
+        if (next.status == "failed" || next.status == "expired") {
+          fastify.log.warn(
+            `[confirmer] ${t.step} tx ${t.txHash} ${next.status}: ${next.error}`,
+          );
+          toRebuild.push(next);
+        }
+      }
+      // Not while the liaison or the settler spend from the wallet
+      const rebuilt = await withWallet(() => rebuild(toRebuild));
+      return {
+        trigger,
+        ...report,
+        rebuilt,
+        timestamp: new Date().toISOString(),
+      };
+    } finally {
+      running = false;
+    }
+  }
+
+  /**
+   * @param {TrackedTx} t
+   * @returns {Promise<TrackedTx>}
+   */
+  async function confirmTx(t) {
+    const now = Date.now();
+    const block = await blocks.txBlock(t.txHash);
+    if (block) {
+      return {
+        ...t,
+        status: "confirmed",
+        blockHeight: block.height,
+        updatedAt: now,
+      };
+    }
+    const ttl = lucid.CML.Transaction.from_cbor_hex(t.cbor).body().ttl();
+    if (ttl !== undefined && BigInt(l.currentSlot()) > ttl) {
+      return {
+        ...t,
+        status: "expired",
+        error: `Past its validity interval, at slot ${ttl}`,
+        updatedAt: now,
+      };
+    }
+    if (now - t.updatedAt < resubmitAfterMs) {
+      return t;
+    }
+    if (t.attempts >= maxAttempts) {
+      return {
+        ...t,
+        status: "failed",
+        error: `In no block after ${t.attempts} submissions`,
+        updatedAt: now,
+      };
+    }
+    try {
+      await l.wallet().submitTx(t.cbor);
+      return { ...t, attempts: t.attempts + 1, updatedAt: now };
+    } catch (err) {
+      // Try again next poll, rather than give up on a flaky provider
+      if (isNetworkError(/** @type {Error} */ (err))) return t;
+      const error = err instanceof Error ? err.message : String(err);
+      return { ...t, status: "failed", error, updatedAt: now };
+    }
+  }
+
+  /**
+   * Run again the steps of failed and expired txs, each step once, and record
+   * the txs built in their place
+   * @param {TrackedTx[]} failed
+   * @returns {Promise<Record<string, string | null>>} - the replacement by tx
+   */
+  async function rebuild(failed) {
+    /** @type {Record<string, string | null>} */
+    const rebuilt = {};
+    for (const step of /** @type {TxStep[]} */ (["sub", "settle", "batch"])) {
+      const txs = failed.filter((t) => t.step == step);
+      if (txs.length == 0) continue;
+      const res = await fastify.inject({
+        method: "POST",
+        url: `${fastify.prefix}${rebuildRoutes[step]}`,
+        payload: {},
+      });
+      /** @type {{ keytag? : string, tag? : string, success : boolean, txHash? : string }[]} */
+      const results = JSON.parse(res.payload).results ?? [];
+      for (const t of txs) {
+        const found = results.find(
+          (r) =>
+            r.success &&
+            t.keytags.some((kt) => kt == r.keytag || kt.slice(64) == r.tag),
+        );
+        rebuilt[t.txHash] = found?.txHash ?? null;
+        if (found?.txHash) {
+          await fastify.putTx({
+            ...t,
+            replacedBy: found.txHash,
+            updatedAt: Date.now(),
+          });
+        }
+      }
+    }
+    return rebuilt;
+  }
+
+  fastify.decorate("confirmTxs", confirmTxs);
+
+  const scheduler = new ToadScheduler();
+
+  const task = new AsyncTask(
+    "confirm-txs",
+    () => confirmTxs("scheduled"),
+    (err) => {
+      fastify.log.error(`[confirmer] Scheduled task error: ${err.message}`);
+    },
+  );
+
+  const job = new SimpleIntervalJob(
+    { milliseconds: intervalMs, runImmediately: false },
+    task,
+    { id: "confirm-txs", preventOverrun: true },
+  );
+
+  fastify.ready().then(() => {
+    scheduler.addSimpleIntervalJob(job);
+    fastify.log.info(
+      `[confirmer] Enabled — polling every ${intervalMs / 1000}s`,
+    );
+  });
+
+  // Stop before the db closes
+  fastify.addHook("preClose", (done) => {
+    scheduler.stop();
+    done();
+  });
+}
+
+export default fastifyPlugin(confirmer);
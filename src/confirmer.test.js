@@ -0,0 +1,125 @@
+import * as assert from "node:assert";
+import { test, before, after } from "node:test";
+import * as fs from "node:fs";
+import * as os from "node:os";
+import * as path from "node:path";
+import Fastify from "fastify";
+import * as lucid from "@lucid-evolution/lucid";
+
+import db from "./db/index.js";
+import confirmer from "./confirmer.js";
+import { FixtureProvider } from "./chain/fixture.js";
+
+process.env.SUBBIT_MAN_CONFIRM_INTERVAL_MS = String(60 * 60 * 1000);
+process.env.SUBBIT_MAN_RESUBMIT_AFTER_MS = "0";
+process.env.SUBBIT_MAN_TX_MAX_ATTEMPTS = "2";
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "subbit-man-confirmer-"));
+const skey = lucid.generatePrivateKey();
+const address = lucid.credentialToAddress(
+  "Preview",
+  lucid.keyHashToCredential(
+    lucid.CML.PrivateKey.from_bech32(skey).to_public().hash().to_hex(),
+  ),
+);
+const file = path.join(dir, "fixture.json");
+fs.writeFileSync(
+  file,
+  JSON.stringify({
+    utxos: [
+      {
+        txHash: "22".repeat(32),
+        outputIndex: 0,
+        address,
+        assets: { lovelace: "50000000" },
+      },
+    ],
+  }),
+);
+
+const p = new FixtureProvider(file);
+const l = await lucid.Lucid(p, "Preview");
+l.selectWallet.fromPrivateKey(skey);
+
+const fastify = Fastify();
+fastify.register(db, {
+  config: {
+    store: "memory",
+    dbPath: dir,
+    initCost: 1000n,
+    stampSweepInterval: 0,
+  },
+});
+fastify.decorate("lucidCtx", {
+  lucid: l,
+  blocks: p,
+  withWallet: (/** @type {() => Promise<any>} */ task) => task(),
+});
+fastify.register(confirmer);
+
+before(() => fastify.ready());
+after(() => fastify.close().then(() => fs.rmSync(dir, { recursive: true })));
+
+/**
+ * @returns {Promise<any>}
+ */
+function confirmTxs() {
+  return /** @type {any} */ (fastify).confirmTxs("test");
+}
+
+/**
+ * Submit a tx, and track it as a sub
+ */
+async function submit() {
+  const signed = await l
+    .newTx()
+    .pay.ToAddress(address, { lovelace: 5000000n })
+    .complete()
+    .then((tx) => tx.sign.withWallet().complete());
+  const txHash = await signed.submit();
+  const now = Date.now();
+  await fastify.putTx({
+    txHash,
+    step: "sub",
+    status: "submitted",
+    keytags: ["01".repeat(33)],
+    amounts: [5000n],
+    cbor: signed.toCBOR(),
+    attempts: 1,
+    submittedAt: now,
+    updatedAt: now,
+  });
+  return txHash;
+}
+
+test("confirmer: a tx in a block is confirmed", async () => {
+  const txHash = await submit();
+  assert.deepEqual((await confirmTxs()).confirmed, [txHash]);
+  const t = await fastify.getTx(txHash);
+  assert.strictEqual(t?.status, "confirmed");
+  assert.strictEqual(t?.blockHeight, p.height);
+  assert.deepEqual(t?.amounts, [5000n]);
+});
+
+test("confirmer: a dropped tx is resubmitted, then failed", async () => {
+  const txHash = await submit();
+  p.rollback(1);
+  assert.deepEqual((await confirmTxs()).resubmitted, [txHash]);
+  assert.ok(await p.txBlock(txHash));
+  assert.deepEqual((await confirmTxs()).confirmed, [txHash]);
+
+  const dropped = await submit();
+  p.rollback(1);
+  await confirmTxs();
+  p.rollback(1);
+  const report = await confirmTxs();
+  assert.deepEqual(report.failed, [dropped]);
+  assert.deepEqual(report.rebuilt, { [dropped]: null });
+  const t = await fastify.getTx(dropped);
+  assert.strictEqual(t?.status, "failed");
+  assert.strictEqual(t?.attempts, 2);
+  assert.deepEqual(
+    (await fastify.getTxs("failed")).map((t) => t.txHash),
+    [dropped],
+  );
+});
@@ -0,0 +1,93 @@
+/**
+ * A currency is as in the config, as in the API (eg the body of `/l1/sync`),
+ * or as in the datum of a subbit. Script hashes and units are hex encoded in
+ * the latter two.
+ *
+ * @import { Currency } from "./types.ts";
+ * @import * as types from "./schemaTypes.ts";
+ */
+
+/**
+ * @typedef DatumCurrency
+ * @type {"Ada" | { ByHash : string } | { ByClass : string }}
+ */
+
+/**
+ * @param {Currency} currency
+ * @param {types.Currency} c
+ * @returns {boolean}
+ */
+export function isCurrency(currency, c) {
+  if (currency.kind == "Ada") {
+    return c == "Ada";
+  } else if (currency.kind == "ByHash") {
+    return (
+      typeof c == "object" &&
+      "byHash" in c &&
+      currency.value.equals(Buffer.from(c.byHash, "hex"))
+    );
+  } else {
+    return (
+      typeof c == "object" &&
+      "byClass" in c &&
+      currency.value.equals(Buffer.from(c.byClass, "hex"))
+    );
+  }
+}
+
+/**
+ * @param {DatumCurrency} c
+ * @returns {types.Currency}
+ */
+export function fromDatum(c) {
+  if (typeof c == "object" && "ByHash" in c) {
+    return { byHash: c.ByHash };
+  } else if (typeof c == "object" && "ByClass" in c) {
+    return { byClass: c.ByClass };
+  }
+  return "Ada";
+}
+
+/**
+ * @param {Currency} currency
+ * @returns {DatumCurrency}
+ */
+export function toDatum(currency) {
+  if (currency.kind == "ByHash") {
+    return { ByHash: currency.value.toString("hex") };
+  } else if (currency.kind == "ByClass") {
+    return { ByClass: currency.value.toString("hex") };
+  }
+  return "Ada";
+}
+
+/**
+ * The amount of the currency in assets. By hash, this is of all the asset
+ * names under the script hash.
+ * @param {Currency} currency
+ * @param {Record<string, bigint>} assets - by unit, as in Lucid
+ * @returns {bigint}
+ */
+export function amountOf(currency, assets) {
+  const hex = currency.kind == "Ada" ? "" : currency.value.toString("hex");
+  return Object.entries(assets)
+    .filter(([unit]) =>
+      currency.kind == "Ada"
+        ? unit == "lovelace"
+        : currency.kind == "ByHash"
+          ? unit.toLowerCase().startsWith(hex)
+          : unit.toLowerCase() == hex,
+    )
+    .reduce((total, [, qty]) => total + BigInt(qty), 0n);
+}
+
+/**
+ * For messages
+ * @param {Currency} currency
+ * @returns {string}
+ */
+export function show(currency) {
+  return currency.kind == "Ada"
+    ? "lovelace"
+    : `${currency.kind}:${currency.value.toString("hex")}`;
+}
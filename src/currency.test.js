@@ -0,0 +1,62 @@
+import * as assert from "node:assert";
+import { test } from "node:test";
+import { parseCurrency } from "./config.js";
+import { amountOf, fromDatum, isCurrency, toDatum } from "./currency.js";
+
+const hash = "ab".repeat(28);
+const name = "5553444d"; // USDM
+const unit = hash + name;
+
+// ── parseCurrency ─────────────────────────────────────────
+
+test("parseCurrency: ada, by hash and by class", () => {
+  assert.deepEqual(parseCurrency("Ada"), { kind: "Ada" });
+  assert.deepEqual(parseCurrency(`byHash:${hash}`), {
+    kind: "ByHash",
+    value: Buffer.from(hash, "hex"),
+  });
+  assert.deepEqual(parseCurrency(`byClass:${unit.toUpperCase()}`), {
+    kind: "ByClass",
+    value: Buffer.from(unit, "hex"),
+  });
+  assert.deepEqual(parseCurrency(`byClass:${hash}`), {
+    kind: "ByClass",
+    value: Buffer.from(hash, "hex"),
+  });
+});
+
+test("parseCurrency: bad hash or asset name → throws", () => {
+  assert.throws(() => parseCurrency("byHash:abcd"), /script hash/);
+  assert.throws(() => parseCurrency(`byHash:${hash}00`), /script hash/);
+  assert.throws(
+    () => parseCurrency(`byClass:${hash}${"00".repeat(33)}`),
+    /asset name/,
+  );
+  assert.throws(() => parseCurrency(`byClass:${hash}xy`), /asset name/);
+  assert.throws(() => parseCurrency(`byUnit:${unit}`), /Cannot parse/);
+});
+
+// ── isCurrency ────────────────────────────────────────────
+
+test("isCurrency: a datum currency matches that configured", () => {
+  const byClass = parseCurrency(`byClass:${unit}`);
+  assert.ok(isCurrency(byClass, fromDatum(toDatum(byClass))));
+  assert.ok(isCurrency(byClass, fromDatum({ ByClass: unit })));
+  assert.ok(!isCurrency(byClass, fromDatum({ ByHash: hash })));
+  assert.ok(!isCurrency(byClass, fromDatum("Ada")));
+  assert.ok(isCurrency(parseCurrency("ada"), fromDatum("Ada")));
+});
+
+// ── amountOf ──────────────────────────────────────────────
+
+test("amountOf: by class counts the unit, by hash the policy", () => {
+  const assets = {
+    lovelace: 2000000n,
+    [unit]: 50n,
+    [hash + "00"]: 7n,
+    ["cd".repeat(28) + name]: 1000n,
+  };
+  assert.strictEqual(amountOf(parseCurrency("Ada"), assets), 2000000n);
+  assert.strictEqual(amountOf(parseCurrency(`byClass:${unit}`), assets), 50n);
+  assert.strictEqual(amountOf(parseCurrency(`byHash:${hash}`), assets), 57n);
+});
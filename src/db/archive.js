@@ -0,0 +1,196 @@
+import { createHash } from "node:crypto";
+import * as cbor from "../cbor.js";
+
+/**
+ * @import * as t from "./types.ts";
+ */
+
+/**
+ * An archive is a copy of every entry of the DB, as raw keys and values.
+ * It is a sequence of records:
+ *
+ * 1. A header: `{ format, version, createdAt }`
+ * 2. The entries, in key order: `[key, value]`
+ * 3. A trailer: `{ entries, sha256 }`, the number of entries and a checksum
+ *
+ * As `cbor`, each record is a CBOR item, ie the archive is a CBOR sequence.
+ * As `ndjson`, each record is a line of JSON, with bytes hex encoded.
+ * The checksum is of the CBOR of the entries, whatever the format.
+ */
+
+export const FORMAT = "subbit-man-db";
+export const VERSION = 1;
+
+/** @type {t.ArchiveFormat[]} */
+export const formats = ["cbor", "ndjson"];
+
+/**
+ * @param {t.ArchiveFormat} format
+ */
+export function contentType(format) {
+  return format == "cbor" ? "application/cbor" : "application/x-ndjson";
+}
+
+/**
+ * Records of the archive of the entries.
+ * @param {AsyncIterable<[Buffer, Buffer]>} entries
+ * @param {t.ArchiveFormat} format
+ * @param {number} createdAt
+ * @returns {AsyncGenerator<Buffer | string>}
+ */
+export async function* encode(entries, format, createdAt) {
+  const enc = format == "cbor" ? toCbor : toNdjson;
+  yield enc({ format: FORMAT, version: VERSION, createdAt });
+  const hash = createHash("sha256");
+  let cnt = 0;
+  for await (const entry of entries) {
+    hash.update(cbor.encode(entry));
+    cnt++;
+    yield format == "cbor"
+      ? toCbor(entry)
+      : toNdjson({ k: entry[0].toString("hex"), v: entry[1].toString("hex") });
+  }
+  yield enc({ entries: cnt, sha256: hash.digest("hex") });
+}
+
+/**
+ * Validate and decode an archive.
+ * Entries must be in strictly increasing key order.
+ * @param {Buffer} archive
+ * @param {t.ArchiveFormat} format
+ * @returns {t.Either<t.Archive, t.ArchiveFail>}
+ */
+export function decode(archive, format) {
+  /** @type {unknown[]} */
+  let records;
+  try {
+    records = format == "cbor" ? fromCbor(archive) : fromNdjson(archive);
+  } catch (_) {
+    return { kind: "Left", error: "Malformed" };
+  }
+  const [header, ...rest] = records;
+  if (!isHeader(header)) return { kind: "Left", error: "Malformed" };
+  if (header.format != FORMAT) return { kind: "Left", error: "UnknownFormat" };
+  if (header.version != VERSION) {
+    return { kind: "Left", error: "UnsupportedVersion" };
+  }
+  const trailer = rest.pop();
+  if (!isTrailer(trailer)) return { kind: "Left", error: "Truncated" };
+
+  /** @type {[Buffer, Buffer][]} */
+  const entries = [];
+  const hash = createHash("sha256");
+  for (const record of rest) {
+    const entry =
+      format == "cbor"
+        ? cborEntry(record)
+        : ndjsonEntry(/** @type {any} */ (record));
+    if (entry === undefined) return { kind: "Left", error: "Malformed" };
+    const prev = entries[entries.length - 1];
+    if (prev && Buffer.compare(prev[0], entry[0]) >= 0) {
+      return { kind: "Left", error: "Malformed" };
+    }
+    hash.update(cbor.encode(entry));
+    entries.push(entry);
+  }
+  if (trailer.entries != entries.length) {
+    return { kind: "Left", error: "CountMismatch" };
+  }
+  if (trailer.sha256 != hash.digest("hex")) {
+    return { kind: "Left", error: "ChecksumMismatch" };
+  }
+  return { kind: "Right", value: { header, entries } };
+}
+
+/**
+ * @param {any} x
+ */
+function toCbor(x) {
+  return Buffer.from(cbor.encode(x));
+}
+
+/**
+ * @param {any} x
+ */
+function toNdjson(x) {
+  return JSON.stringify(x) + "\n";
+}
+
+/**
+ * @param {Buffer} archive
+ */
+function fromCbor(archive) {
+  return [...cbor.decodeSequence(archive)];
+}
+
+/**
+ * @param {Buffer} archive
+ */
+function fromNdjson(archive) {
+  return archive
+    .toString("utf8")
+    .split("\n")
+    .filter((line) => line.length > 0)
+    .map((line) => JSON.parse(line));
+}
+
+/**
+ * @param {unknown} x
+ * @returns {x is t.ArchiveHeader}
+ */
+function isHeader(x) {
+  return (
+    typeof x == "object" &&
+    x !== null &&
+    "format" in x &&
+    "version" in x &&
+    "createdAt" in x &&
+    typeof x.createdAt == "number"
+  );
+}
+
+/**
+ * @param {unknown} x
+ * @returns {x is { entries : number, sha256 : string }}
+ */
+function isTrailer(x) {
+  return (
+    typeof x == "object" &&
+    x !== null &&
+    "entries" in x &&
+    "sha256" in x &&
+    typeof x.sha256 == "string"
+  );
+}
+
+/**
+ * @param {unknown} x
+ * @returns {[Buffer, Buffer] | undefined}
+ */
+function cborEntry(x) {
+  if (
+    Array.isArray(x) &&
+    x.length == 2 &&
+    x[0] instanceof Uint8Array &&
+    x[1] instanceof Uint8Array
+  ) {
+    return [Buffer.from(x[0]), Buffer.from(x[1])];
+  }
+  return undefined;
+}
+
+/**
+ * @param {{ k? : unknown, v? : unknown }} x
+ * @returns {[Buffer, Buffer] | undefined}
+ */
+function ndjsonEntry(x) {
+  const isHex = (/** @type {unknown} */ s) =>
+    typeof s == "string" && /^([0-9a-f]{2})*$/.test(s);
+  if (typeof x == "object" && x !== null && isHex(x.k) && isHex(x.v)) {
+    return [
+      Buffer.from(/** @type {string} */ (x.k), "hex"),
+      Buffer.from(/** @type {string} */ (x.v), "hex"),
+    ];
+  }
+  return undefined;
+}
@@ -0,0 +1,315 @@
+import * as keys from "./keys.js";
+import * as values from "./values.js";
+import * as events from "./events.js";
+import * as stages from "./stages.js";
+import { replay } from "./replay.js";
+
+/**
+ * @import * as t from "./types.ts";
+ * @import { Store } from "./store/types.ts";
+ */
+
+const suffKind = /** @type {Record<number, t.StateKind>} */ (
+  Object.fromEntries(
+    Object.entries(keys.suff).map(([kind, idx]) => [idx, kind]),
+  )
+);
+
+/**
+ * Scan the whole DB for keytags, with state or events.
+ * Keys that fit no known layout are reported.
+ * Stamp and metadata keys are not keytag keys.
+ * @param {Store} db
+ * @returns {Promise<{ keytags : Buffer[], issues : t.Issue[] }>}
+ */
+export async function scan(db) {
+  /** @type {Set<string>} */
+  const keytags = new Set();
+  /** @type {t.Issue[]} */
+  const issues = [];
+  for await (const [key, _] of db.iterator()) {
+    if (key[0] == keys.pref.state && key[key.length - 1] in suffKind) {
+      keytags.add(keys.state2keytag(key).toString("hex"));
+    } else if (key[0] == keys.pref.event) {
+      keytags.add(keys.event2keytag(key).toString("hex"));
+    } else if (key[0] == keys.pref.index && key[1] == keys.index.tag) {
+      keytags.add(keys.tagIndex2keytag(key).toString("hex"));
+    } else if (key[0] == keys.pref.index && key[1] == keys.index.stage) {
+      keytags.add(keys.stageIndex2keytag(key).toString("hex"));
+    } else if (key[0] == keys.pref.index && key[1] == keys.index.block) {
+      keytags.add(keys.blockIndex2keytag(key).toString("hex"));
+    } else if (key[0] != keys.pref.stamp && key[0] != keys.pref.meta) {
+      issues.push({ kind: "UnknownKey", key: key.toString("hex") });
+    }
+  }
+  return { keytags: [...keytags].map((k) => Buffer.from(k, "hex")), issues };
+}
+
+/**
+ * @typedef Checked
+ * @type {object}
+ * @property {t.Issue[]} issues
+ * @property {stages.Stage} [stage] - as stored
+ * @property {bigint} [cost] - as stored
+ * @property {t.Info} [replayed]
+ */
+
+/**
+ * Check the state entries of a keytag are complete and decode,
+ * its events decode, and that the state agrees with a replay of the events.
+ * A replay is not possible if earlier events have been dropped:
+ * then the state is not compared. Events missing other than by a drop are
+ * reported.
+ * Check also the index entries agree with the stored stage.
+ *
+ * The replay starts from the init cost as configured now, which may not be
+ * that when the subbit was inserted. So the cost is not compared.
+ *
+ * @param {Store} db
+ * @param {bigint} initCost
+ * @param {Buffer} keytag
+ * @returns {Promise<Checked>}
+ */
+export async function checkKeytag(db, initCost, keytag) {
+  const keytagHex = keytag.toString("hex");
+  /** @type {t.Issue[]} */
+  const issues = [];
+
+  /** @type {Partial<Record<t.StateKind, Buffer>>} */
+  const raw = {};
+  for await (const [key, value] of db.iterator(keys.stateBounds(keytag))) {
+    if (keys.state2keytag(key).equals(keytag)) {
+      raw[suffKind[key[key.length - 1]]] = value;
+    }
+  }
+  const stored = decodeState(keytag, raw, issues);
+  const stage = stored?.stage ?? decodeStage(raw.stage);
+  const cost = stored?.cost ?? decodeAmt(raw.cost);
+  if (raw.stage == undefined || stage != undefined) {
+    if (!(await isIndexed(db, keytag, stage))) {
+      issues.push({ kind: "Index", keytag: keytagHex });
+    }
+  }
+
+  const logged = [];
+  let decodable = true;
+  for await (const [key, value] of db.iterator(keys.eventBounds(keytag))) {
+    if (!keys.event2keytag(key).equals(keytag)) continue;
+    const seq = keys.event2seq(key);
+    try {
+      const { timestamp, event } = events.Logged.fromCbor(value);
+      logged.push({ seq, timestamp, event });
+    } catch (_) {
+      decodable = false;
+      issues.push({
+        kind: "Undecodable",
+        keytag: keytagHex,
+        key: `event:${seq}`,
+      });
+    }
+  }
+
+  if (Object.keys(raw).length == 0 && logged.length > 0) {
+    issues.push({ kind: "Orphan", keytag: keytagHex });
+  }
+  if (!decodable) return { issues, stage, cost };
+  const r = replay(initCost, keytag, logged);
+  if (r.kind == "Left") {
+    if (r.error == "Incomplete" && !(await isDropped(db, keytag, logged))) {
+      issues.push({ kind: "Incomplete", keytag: keytagHex });
+    }
+    return { issues, stage, cost };
+  }
+  if (stored) {
+    const fields = diff(stored, r.value);
+    if (fields.length > 0) {
+      issues.push({ kind: "Mismatch", keytag: keytagHex, fields });
+    }
+  }
+  return { issues, stage, cost, replayed: r.value };
+}
+
+/**
+ * Whether the events missing of a keytag are those dropped: the events left
+ * are consecutive from the first not dropped.
+ * @param {Store} db
+ * @param {Buffer} keytag
+ * @param {t.LoggedEvent[]} logged
+ */
+async function isDropped(db, keytag, logged) {
+  const dropped = decodeAmt(await db.get(keys.dropped(keytag)));
+  if (dropped == undefined) return false;
+  const first = logged[0]?.seq ?? dropped;
+  return (
+    first == dropped && logged.every(({ seq }, i) => seq == first + BigInt(i))
+  );
+}
+
+/**
+ * The repair of the keytag, if there is one.
+ * If its state is at fault, the state is rewritten from the replayed events,
+ * but for the cost, kept as stored if it decodes.
+ * Events missing are not repaired.
+ * Otherwise, if its index entries are at fault, they are rewritten from the
+ * stored stage.
+ * @param {Buffer} keytag
+ * @param {Checked} checked
+ */
+export function repairOps(keytag, { issues, stage, cost, replayed }) {
+  const isStateFault = issues.some(
+    (i) =>
+      i.kind == "Partial" ||
+      i.kind == "Orphan" ||
+      i.kind == "Mismatch" ||
+      (i.kind == "Undecodable" && !i.key.startsWith("event")),
+  );
+  if (isStateFault && replayed) {
+    return putInfo(keytag, { ...replayed, cost: cost ?? replayed.cost });
+  } else if (issues.some((i) => i.kind == "Index")) {
+    return [
+      ...values.delIndexes(keytag),
+      ...(stage ? values.putIndexes(keytag, stage) : []),
+    ];
+  } else {
+    return undefined;
+  }
+}
+
+/**
+ * Puts of every state entry of the keytag
+ * @param {Buffer} keytag
+ * @param {t.Info} info
+ */
+export function putInfo(keytag, info) {
+  return [
+    values.putStage(keytag, info.stage),
+    values.putCost(keytag, info.cost),
+    values.putIouAmt(keytag, info.iouAmt),
+    values.putSub(keytag, info.sub),
+    values.putSubbitAmt(keytag, info.subbitAmt),
+    values.putSig(keytag, info.sig),
+    values.putSeq(keytag, info.seq),
+    ...values.putIndexes(keytag, info.stage),
+  ];
+}
+
+/**
+ * @param {Buffer} keytag
+ * @param {Partial<Record<t.StateKind, Buffer>>} raw
+ * @param {t.Issue[]} issues - appended to
+ * @returns {t.Info | undefined} - if complete and decodable
+ */
+function decodeState(keytag, raw, issues) {
+  const keytagHex = keytag.toString("hex");
+  const present = Object.keys(raw);
+  if (present.length == 0) return undefined;
+  const missing = Object.values(suffKind).filter((k) => !(k in raw));
+  if (missing.length > 0) {
+    issues.push({ kind: "Partial", keytag: keytagHex, missing });
+  }
+  /**
+   * @template T
+   * @param {t.StateKind} kind
+   * @param {(x : Buffer) => T} fromCbor
+   * @returns {T | undefined}
+   */
+  const decode = (kind, fromCbor) => {
+    const x = raw[kind];
+    if (x == undefined) return undefined;
+    try {
+      return fromCbor(x);
+    } catch (_) {
+      issues.push({ kind: "Undecodable", keytag: keytagHex, key: kind });
+      return undefined;
+    }
+  };
+  const info = {
+    iouKey: keytag.subarray(0, 32),
+    tag: keytag.subarray(32),
+    stage: decode("stage", stages.fromCbor),
+    cost: decode("cost", values.amtFromCbor),
+    iouAmt: decode("iouAmt", values.amtFromCbor),
+    sub: decode("sub", values.amtFromCbor),
+    subbitAmt: decode("subbitAmt", values.amtFromCbor),
+    sig: raw.sig,
+    seq: decode("seq", values.amtFromCbor),
+  };
+  if (Object.values(info).some((x) => x === undefined)) return undefined;
+  return /** @type {t.Info} */ (info);
+}
+
+/**
+ * @param {Buffer | undefined} raw
+ */
+function decodeStage(raw) {
+  try {
+    return raw == undefined ? undefined : stages.fromCbor(raw);
+  } catch (_) {
+    return undefined;
+  }
+}
+
+/**
+ * @param {Buffer | undefined} raw
+ */
+function decodeAmt(raw) {
+  try {
+    return raw == undefined ? undefined : values.amtFromCbor(raw);
+  } catch (_) {
+    return undefined;
+  }
+}
+
+/**
+ * Whether the index entries are exactly those of the stage.
+ * Without a stage, there should be none.
+ * @param {Store} db
+ * @param {Buffer} keytag
+ * @param {stages.Stage} [stage]
+ */
+async function isIndexed(db, keytag, stage) {
+  const has = (/** @type {Buffer} */ key) =>
+    db.get(key).then((value) => value !== undefined);
+  const opened = stage != undefined && !stages.isSuspended(stage);
+  const suspended = stage != undefined && stages.isSuspended(stage);
+  return (
+    (await has(keys.tagIndex(keytag))) == (stage != undefined) &&
+    (await has(keys.stageIndex(Number(stages.stageIdx.Opened), keytag))) ==
+      opened &&
+    (await has(keys.stageIndex(Number(stages.stageIdx.Suspended), keytag))) ==
+      suspended
+  );
+}
+
+/**
+ * Fields in which stored and replayed state differ.
+ * Stage timestamps, and the cost, are not compared.
+ * @param {t.Info} a
+ * @param {t.Info} b
+ * @returns {t.StateKind[]}
+ */
+function diff(a, b) {
+  /** @type {t.StateKind[]} */
+  const fields = [];
+  if (!sameStage(a.stage, b.stage)) fields.push("stage");
+  if (a.iouAmt != b.iouAmt) fields.push("iouAmt");
+  if (a.sub != b.sub) fields.push("sub");
+  if (a.subbitAmt != b.subbitAmt) fields.push("subbitAmt");
+  if (!a.sig.equals(b.sig)) fields.push("sig");
+  if (a.seq != b.seq) fields.push("seq");
+  return fields;
+}
+
+/**
+ * @param {stages.Stage} a
+ * @param {stages.Stage} b
+ */
+function sameStage(a, b) {
+  if (a instanceof stages.Opened && b instanceof stages.Opened) {
+    return a.txId.equals(b.txId) && a.outputIdx == b.outputIdx;
+  } else if (a instanceof stages.Suspended && b instanceof stages.Suspended) {
+    return a.reason == b.reason;
+  } else {
+    return false;
+  }
+}
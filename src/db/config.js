@@ -1,8 +1,14 @@
 /**
  * @typedef Config
  * @type {object}
- * @property {string} dbPath
+ * @property {import("./store/types.ts").Kind} store
+ * @property {string} dbPath - ignored by the memory store
  * @property {bigint} initCost
+ * @property {import("./types.ts").Encryption} [encryption] - of sealed values at rest. None if not set
+ * @property {Buffer} [namespace] - prefix of all keys, when the store is shared
+ * @property {number} stampSweepInterval - ms between sweeps of expired stamps. 0 disables.
+ * @property {number} [trafficIous] - IOUs of a subbit since its last sub that trigger an early liaison run. 0 or unset disables.
+ * @property {number} [trafficExposurePct] - unclaimed IOU amount, as % of the subbit amount, that triggers an early liaison run. 0 or unset disables.
  * */
 const x = 0;
 export default x;
@@ -0,0 +1,339 @@
+import {
+  createCipheriv,
+  createDecipheriv,
+  randomBytes,
+  scryptSync,
+} from "node:crypto";
+import fs from "node:fs";
+import * as cbor from "../cbor.js";
+import * as keys from "./keys.js";
+import * as events from "./events.js";
+import { fromGenerator } from "./store/index.js";
+
+/**
+ * @import { Store, Op } from "./store/types.ts";
+ * @import { Encryption } from "./types.ts";
+ */
+
+/**
+ * @typedef Log
+ * @type {{ info: (msg : string) => void }}
+ * */
+
+/**
+ * Envelope encryption at rest.
+ *
+ * The values sealed are those of `sig` state entries, and of IOU events.
+ * They are sealed with AES-256-GCM under a data key, with the DB key as
+ * associated data, so a sealed value cannot be moved to another key.
+ * The data key is random, and is itself sealed under a key encryption key,
+ * from a keyfile or a passphrase. The sealed data key is stored in the
+ * metadata entry `dataKey`.
+ *
+ * A sealed value is the CBOR `#6.1701([iv, ciphertext])`.
+ */
+
+const SEAL_TAG = 1701;
+/** CBOR head of the tag */
+const SEAL_HEAD = Buffer.from([0xd9, 0x06, 0xa5]);
+const SIG_LENGTH = 64;
+
+class Sealed {
+  /**
+   * @param {Buffer} iv
+   * @param {Buffer} ciphertext - with the auth tag appended
+   */
+  constructor(iv, ciphertext) {
+    this.iv = iv;
+    this.ciphertext = ciphertext;
+  }
+
+  toCBOR() {
+    return [SEAL_TAG, [this.iv, this.ciphertext]];
+  }
+
+  /**
+   * @param {Uint8Array} raw
+   */
+  static fromCbor(raw) {
+    // @ts-ignore
+    const { tag, contents } = cbor.decode(raw);
+    if (tag != SEAL_TAG) throw new Error(`wrong tag ${tag}`);
+    return new this(Buffer.from(contents[0]), Buffer.from(contents[1]));
+  }
+}
+
+/**
+ * @param {Buffer} key
+ */
+function isSigKey(key) {
+  return key[0] == keys.pref.state && key[key.length - 1] == keys.suff.sig;
+}
+
+/**
+ * Whether the value at the key is to be sealed
+ * @param {Buffer} key
+ * @param {Buffer | Uint8Array} value - plain
+ */
+export function isSealable(key, value) {
+  if (isSigKey(key)) return true;
+  if (key[0] != keys.pref.event) return false;
+  try {
+    return events.Logged.fromCbor(value).event instanceof events.Iou;
+  } catch (_) {
+    return false;
+  }
+}
+
+/**
+ * Sealed values begin with the seal tag. Plain signatures are 64 bytes, or
+ * empty before an IOU. Plain events begin with a CBOR array.
+ * @param {Buffer} key
+ * @param {Buffer} value
+ */
+export function isSealed(key, value) {
+  const head = value.subarray(0, 3).equals(SEAL_HEAD);
+  if (isSigKey(key)) return head && value.length != SIG_LENGTH;
+  return key[0] == keys.pref.event && head;
+}
+
+/**
+ * @param {Buffer} secret - 32 bytes
+ * @param {Buffer} aad
+ * @param {Buffer | Uint8Array} plain
+ */
+function seal(secret, aad, plain) {
+  const iv = randomBytes(12);
+  const cipher = createCipheriv("aes-256-gcm", secret, iv);
+  cipher.setAAD(aad);
+  const ciphertext = Buffer.concat([
+    cipher.update(plain),
+    cipher.final(),
+    cipher.getAuthTag(),
+  ]);
+  return Buffer.from(cbor.encode(new Sealed(iv, ciphertext)));
+}
+
+/**
+ * @param {Buffer} secret - 32 bytes
+ * @param {Buffer} aad
+ * @param {Buffer} sealed
+ * @throws if the secret or associated data are wrong, or the value altered
+ */
+function unseal(secret, aad, sealed) {
+  const { iv, ciphertext } = Sealed.fromCbor(sealed);
+  const decipher = createDecipheriv("aes-256-gcm", secret, iv);
+  decipher.setAAD(aad);
+  decipher.setAuthTag(ciphertext.subarray(ciphertext.length - 16));
+  return Buffer.concat([
+    decipher.update(ciphertext.subarray(0, ciphertext.length - 16)),
+    decipher.final(),
+  ]);
+}
+
+/**
+ * The key encryption key.
+ * A keyfile holds 32 bytes, raw or hex encoded.
+ * A passphrase is stretched with scrypt.
+ * @param {Encryption} encryption
+ * @param {Buffer} salt
+ */
+export function kek(encryption, salt) {
+  if (encryption.kind == "passphrase") {
+    return scryptSync(encryption.passphrase, salt, 32);
+  }
+  const raw = fs.readFileSync(encryption.path);
+  const text = raw.toString("utf8").trim();
+  const secret = /^[0-9a-fA-F]{64}$/.test(text)
+    ? Buffer.from(text, "hex")
+    : raw;
+  if (secret.length != 32) {
+    throw new Error("Expect keyfile to hold 32 bytes, raw or hex encoded");
+  }
+  return secret;
+}
+
+/**
+ * The data key, sealed, as stored
+ * @param {Encryption} encryption
+ * @param {Buffer} dek
+ */
+function wrap(encryption, dek) {
+  const salt = randomBytes(16);
+  return Buffer.from(
+    cbor.encode({
+      kdf: encryption.kind,
+      salt,
+      dek: seal(kek(encryption, salt), keys.dataKey(), dek),
+    }),
+  );
+}
+
+/**
+ * @param {Encryption} encryption
+ * @param {Buffer} wrapped
+ * @throws if the key encryption key is wrong
+ */
+export function unwrap(encryption, wrapped) {
+  const { salt, dek } = /** @type {{ salt : Uint8Array, dek : Uint8Array }} */ (
+    cbor.decode(wrapped)
+  );
+  try {
+    return unseal(
+      kek(encryption, Buffer.from(salt)),
+      keys.dataKey(),
+      Buffer.from(dek),
+    );
+  } catch (_) {
+    throw new Error(
+      "Cannot unseal the DB data key: wrong keyfile or passphrase",
+    );
+  }
+}
+
+/**
+ * Ops resealing under the new data key every sealable value.
+ * Values that are sealed are first unsealed with the old data key.
+ * @param {Store} raw
+ * @param {Buffer | undefined} oldDek
+ * @param {Buffer} newDek
+ * @returns {Promise<Op[]>}
+ */
+async function resealOps(raw, oldDek, newDek) {
+  /** @type {Op[]} */
+  const ops = [];
+  for (const range of [keys.allStateBounds(), keys.allEventBounds()]) {
+    for await (const [key, value] of raw.iterator(range)) {
+      if (isSealed(key, value)) {
+        if (oldDek === undefined) {
+          throw new Error("Found a sealed value without a data key");
+        }
+        const plain = unseal(oldDek, key, value);
+        ops.push({ type: "put", key, value: seal(newDek, key, plain) });
+      } else if (isSealable(key, value)) {
+        ops.push({ type: "put", key, value: seal(newDek, key, value) });
+      }
+    }
+  }
+  return ops;
+}
+
+/**
+ * A store sealing and unsealing values over the raw store.
+ * Without encryption, it is the raw store.
+ *
+ * `load` reads the data key, and must be called before use,
+ * and again after the raw store is replaced, eg by a restore.
+ * If the DB has no data key, one is made, and existing values are sealed.
+ * A DB with a data key is refused without encryption.
+ *
+ * @param {Store} raw
+ * @param {Encryption | undefined} encryption
+ * @param {Log} log
+ * @returns {{ store : Store, load : () => Promise<void> }}
+ */
+export function mkStore(raw, encryption, log) {
+  if (encryption === undefined) {
+    return {
+      store: raw,
+      load: () =>
+        raw.get(keys.dataKey()).then((wrapped) => {
+          if (wrapped !== undefined) {
+            throw new Error("The DB is encrypted. Set a keyfile or passphrase");
+          }
+        }),
+    };
+  }
+  /** @type {Buffer | undefined} */
+  let dek;
+  const getDek = () => {
+    if (dek === undefined) throw new Error("Data key not loaded");
+    return dek;
+  };
+
+  /**
+   * @param {Buffer} key
+   * @param {Buffer} value
+   */
+  const open = (key, value) =>
+    isSealed(key, value) ? unseal(getDek(), key, value) : value;
+
+  /**
+   * @param {Iterable<[Buffer, Buffer]> | AsyncIterable<[Buffer, Buffer]>} entries
+   * @returns {AsyncGenerator<[Buffer, Buffer], void>}
+   */
+  async function* opened(entries) {
+    for await (const [key, value] of entries) {
+      yield [key, open(key, value)];
+    }
+  }
+
+  /** @type {Store} */
+  const store = {
+    get: (key) =>
+      raw
+        .get(key)
+        .then((value) => (value === undefined ? value : open(key, value))),
+    batch: (ops) =>
+      raw.batch(
+        ops.map((op) =>
+          op.type == "put" && isSealable(op.key, op.value)
+            ? { ...op, value: seal(getDek(), op.key, op.value) }
+            : op,
+        ),
+      ),
+    iterator: (range) => fromGenerator(opened(raw.iterator(range))),
+    close: () => raw.close(),
+  };
+
+  async function load() {
+    const wrapped = await raw.get(keys.dataKey());
+    if (wrapped !== undefined) {
+      dek = unwrap(/** @type {Encryption} */ (encryption), wrapped);
+      return;
+    }
+    const next = randomBytes(32);
+    const ops = await resealOps(raw, undefined, next);
+    if (ops.length > 0) log.info(`[db] Encrypting ${ops.length} values`);
+    await raw.batch([
+      ...ops,
+      {
+        type: "put",
+        key: keys.dataKey(),
+        value: wrap(/** @type {Encryption} */ (encryption), next),
+      },
+    ]);
+    dek = next;
+  }
+
+  return { store, load };
+}
+
+/**
+ * Reseal every sealable value under a new data key, sealed under the new
+ * key encryption key, in one batch.
+ * Run with nothing else writing to the DB.
+ * @param {Store} raw
+ * @param {Encryption | undefined} current - if the DB is encrypted
+ * @param {Encryption} next
+ * @returns {Promise<number>} - number of values resealed
+ */
+export async function rotate(raw, current, next) {
+  const wrapped = await raw.get(keys.dataKey());
+  if (wrapped !== undefined && current === undefined) {
+    throw new Error(
+      "The DB is encrypted. Set the current keyfile or passphrase",
+    );
+  }
+  const oldDek =
+    wrapped === undefined
+      ? undefined
+      : unwrap(/** @type {Encryption} */ (current), wrapped);
+  const newDek = randomBytes(32);
+  const ops = await resealOps(raw, oldDek, newDek);
+  await raw.batch([
+    ...ops,
+    { type: "put", key: keys.dataKey(), value: wrap(next, newDek) },
+  ]);
+  return ops.length;
+}
@@ -0,0 +1,86 @@
+import * as assert from "node:assert";
+import { test, after } from "node:test";
+import * as fs from "node:fs";
+import * as os from "node:os";
+import * as path from "node:path";
+
+import * as keys from "./keys.js";
+import * as values from "./values.js";
+import * as events from "./events.js";
+import * as crypt from "./crypt.js";
+import * as memory from "./store/memory.js";
+
+const log = { info: (/** @type {string} */ _) => {} };
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "subbit-man-crypt-"));
+after(() => fs.rmSync(dir, { recursive: true }));
+const keyfile = path.join(dir, "key");
+fs.writeFileSync(keyfile, Buffer.alloc(32, 9).toString("hex") + "\n");
+
+/** @type {import("./types.ts").Encryption} */
+const byKeyfile = { kind: "keyfile", path: keyfile };
+
+const keytag = keys.keytag(Buffer.alloc(32, 1), Buffer.from([1]));
+const sig = Buffer.alloc(64, 3);
+const iouEvent = {
+  type: /** @type {const} */ ("put"),
+  key: keys.event(keytag, 0n),
+  value: Buffer.from(
+    new events.Logged(1000n, new events.Iou(10n, sig)).toCbor(),
+  ),
+};
+
+test("crypt: seals signatures and IOU events", async (t) => {
+  const raw = await memory.mkStore();
+  t.after(() => raw.close());
+  const { store, load } = crypt.mkStore(raw, byKeyfile, log);
+  await load();
+  await store.batch([values.putSig(keytag, sig), iouEvent]);
+
+  const sealedSig = await raw.get(keys.sig(keytag));
+  assert.ok(sealedSig && !sealedSig.equals(sig));
+  assert.ok(!(await raw.get(iouEvent.key))?.equals(iouEvent.value));
+  assert.deepEqual(await store.get(keys.sig(keytag)), sig);
+  const read = [];
+  for await (const entry of store.iterator(keys.eventBounds(keytag))) {
+    read.push(entry);
+  }
+  assert.deepEqual(read, [[iouEvent.key, iouEvent.value]]);
+
+  // A sealed value is bound to its key
+  const other = keys.keytag(Buffer.alloc(32, 1), Buffer.from([2]));
+  await raw.batch([values.putKey(keys.sig(other), sealedSig)]);
+  await assert.rejects(store.get(keys.sig(other)));
+});
+
+test("crypt: an empty signature, before an IOU, is plain", async (t) => {
+  const raw = await memory.mkStore();
+  t.after(() => raw.close());
+  const empty = Buffer.alloc(0);
+  await raw.batch([values.putSig(keytag, empty)]);
+
+  const { store, load } = crypt.mkStore(raw, byKeyfile, log);
+  await load();
+  const sealed = await raw.get(keys.sig(keytag));
+  assert.ok(sealed && crypt.isSealed(keys.sig(keytag), sealed));
+  assert.deepEqual(await store.get(keys.sig(keytag)), empty);
+});
+
+test("crypt: existing values are sealed, and keys rotate", async (t) => {
+  const raw = await memory.mkStore();
+  t.after(() => raw.close());
+  await raw.batch([values.putSig(keytag, sig), iouEvent]);
+
+  await crypt.mkStore(raw, byKeyfile, log).load();
+  assert.ok(!(await raw.get(keys.sig(keytag)))?.equals(sig));
+  await assert.rejects(crypt.mkStore(raw, undefined, log).load(), /encrypted/);
+
+  /** @type {import("./types.ts").Encryption} */
+  const byPassphrase = { kind: "passphrase", passphrase: "correct horse" };
+  assert.strictEqual(await crypt.rotate(raw, byKeyfile, byPassphrase), 2);
+  await assert.rejects(crypt.mkStore(raw, byKeyfile, log).load(), /wrong/);
+  const { store, load } = crypt.mkStore(raw, byPassphrase, log);
+  await load();
+  assert.deepEqual(await store.get(keys.sig(keytag)), sig);
+  assert.deepEqual(await store.get(iouEvent.key), iouEvent.value);
+});
@@ -165,6 +165,55 @@ export class Edit {
  * @type {Iou | Mod | L1 | Edit }
  * */
 
+/**
+ * @typedef Kind
+ * @type {"Iou" | "Mod" | "L1" | "Edit"}
+ * */
+
+/**
+ * @param {Event} ev
+ * @returns {Kind}
+ */
+export function kind(ev) {
+  if (ev instanceof Iou) return "Iou";
+  if (ev instanceof Mod) return "Mod";
+  if (ev instanceof L1) return "L1";
+  return "Edit";
+}
+
+/**
+ * An event as stored: the event together with when it occurred.
+ * The order of events is kept by the sequence number in the key.
+ */
+export class Logged {
+  /**
+   * @param {bigint} timestamp
+   * @param {Event} event
+   */
+  constructor(timestamp, event) {
+    this.timestamp = timestamp;
+    this.event = event;
+  }
+
+  toCBOR() {
+    // Don't write a tag
+    return [NaN, [this.timestamp, this.event]];
+  }
+
+  toCbor() {
+    return cbor.encode(this);
+  }
+
+  /**
+   * @param {Uint8Array<ArrayBufferLike>} raw
+   */
+  static fromCbor(raw) {
+    const c = cbor.decode(raw);
+    if (!Array.isArray(c)) throw new Error("Expected logged event");
+    return new this(BigInt(c[0]), fromCborDecoded(c[1]));
+  }
+}
+
 /**
  * @param {Uint8Array<ArrayBufferLike>} raw
  */
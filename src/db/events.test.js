@@ -63,3 +63,13 @@ test("roundtrip l1", (t) => {
     assert.deepEqual(x, events.fromCbor(cbor.encode(x)));
   });
 });
+
+test("roundtrip logged", (t) => {
+  testInputs.forEach(([sig, amount]) => {
+    const x = new events.Logged(
+      BigInt(Date.now()),
+      new events.Iou(amount, sig),
+    );
+    assert.deepEqual(x, events.Logged.fromCbor(cbor.encode(x)));
+  });
+});
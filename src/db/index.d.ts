@@ -1,34 +1,66 @@
-import { FastifyPluginCallback } from "fastify";
+import { FastifyPluginCallback, FastifyInstance } from "fastify";
 import {
   Either,
   Stage,
   Stages,
   L1Subbit,
+  L1Block,
+  TrackedTx,
+  TxStatus,
+  Quarantined,
+  Traffic,
+  ClosedSubbit,
   L1Action,
   TotFail,
   Info,
   InfoFail,
+  InfoAtFail,
+  InfosPage,
   Ious,
   IousFail,
   IouFail,
   ModFail,
   L1Fail,
   EditFail,
+  StampFail,
   DropSubbitFail,
   DropEventsFail,
+  EventsFilter,
+  EventsPage,
+  EventsFail,
+  CheckReport,
+  ArchiveFormat,
+  Restored,
+  RestoreFail,
+  Encryption,
 } from "./types.ts";
 import { Config } from "./config.js";
+import { Store } from "./store/types.ts";
 
 declare module "fastify" {
   interface FastifyInstance {
+    /**
+     * The underlying key-value store
+     */
+    store: Store;
+
     /**
      * Get
      */
     getTot(keytag: Buffer): Promise<Either<bigint, TotFail>>;
     getInfo(keytag: Buffer): Promise<Either<Info, InfoFail>>;
-    getInfos(): Promise<Either<Info, InfoFail>[]>;
+    getInfos(page?: InfosPage): Promise<Either<Info, InfoFail>[]>;
+    streamInfos(after?: Buffer): AsyncGenerator<Either<Info, InfoFail>>;
     getOpened(): Promise<Buffer[]>;
+    getKeytagsByTag(tag: Buffer): Promise<Buffer[]>;
+    getKeytagsByIouKey(iouKey: Buffer): Promise<Buffer[]>;
+    getIousByTag(tag: Buffer): Promise<Ious>;
     getIous(): Promise<Either<Ious, IousFail>>;
+    getEvents(
+      keytag: Buffer,
+      filter: EventsFilter,
+    ): Promise<Either<EventsPage, EventsFail>>;
+    getInfoAt(keytag: Buffer, at: bigint): Promise<Either<Info, InfoAtFail>>;
 
     /**
      * Put/events:
@@ -43,13 +75,60 @@ declare module "fastify" {
       keytag: Buffer,
       l1Subbits: L1Subbit[],
     ): Promise<Either<L1Action, L1Fail>>;
+    restoreL1(
+      keytag: Buffer,
+      l1Block: L1Block,
+    ): Promise<Either<L1Action, L1Fail>>;
+    putL1Block(keytag: Buffer, l1Block: L1Block): Promise<void>;
+    getL1Blocks(): Promise<[Buffer, L1Block][]>;
+    putTx(trackedTx: TrackedTx): Promise<void>;
+    getTx(txHash: string): Promise<TrackedTx | undefined>;
+    getTxs(status?: TxStatus): Promise<TrackedTx[]>;
+    putQuarantined(quarantined: Quarantined): Promise<void>;
+    getQuarantined(): Promise<Quarantined[]>;
+    delQuarantined(keytag: string): Promise<boolean>;
+    onTraffic(listener: (traffic: Traffic) => void): void;
+    putClosed(closed: ClosedSubbit): Promise<void>;
+    getClosed(): Promise<ClosedSubbit[]>;
+    delClosed(keytag: string): Promise<void>;
     putEdit(keytag: Buffer, edit: Edit): Promise<Either<null, EditFail>>;
+    putStamp(
+      keytag: Buffer,
+      signature: Buffer,
+      expiresAt: bigint,
+    ): Promise<Either<null, StampFail>>;
+    sweepStamps(before: bigint): Promise<number>;
 
     /**
      * Delete/drop:
      * */
     dropSubbit(keytag: Buffer): Promise<Either<null, DropSubbitFail>>;
-    dropEvents(olderThan: bigint): Promise<Either<null, DropEventsFail>>;
+    dropSuspended(
+      olderThan: bigint,
+    ): Promise<[Buffer, Either<null, DropSubbitFail>][]>;
+    dropEvents(
+      olderThan: bigint,
+    ): Promise<[Buffer, Either<null, DropEventsFail>][]>;
+
+    /**
+     * Integrity:
+     * */
+    checkDb(repair: boolean): Promise<CheckReport>;
+
+    /**
+     * Backup:
+     * */
+    exportDb(format: ArchiveFormat): AsyncGenerator<Buffer | string>;
+    restoreDb(
+      archive: Buffer,
+      format: ArchiveFormat,
+      force: boolean,
+    ): Promise<Either<Restored, RestoreFail>>;
+
+    /**
+     * Encryption at rest:
+     * */
+    rotateDbKey(next: Encryption): Promise<number>;
   }
 }
 
@@ -58,8 +137,13 @@ type Db = FastifyPluginCallback<db.FastifyDbOptions>;
 declare namespace db {
   export interface FastifyDbOptions {
     config: Config;
+    store?: Store;
   }
   export const db: Db;
+  export function openStore(
+    fastify: FastifyInstance,
+    config: Config,
+  ): Promise<Store>;
   export { db as default };
 }
 
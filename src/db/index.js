@@ -1,31 +1,63 @@
 import fastifyPlugin from "fastify-plugin";
 import fastifyLeveldb from "@fastify/leveldb";
+import { ToadScheduler, SimpleIntervalJob, AsyncTask } from "toad-scheduler";
 
 import * as keys from "./keys.js";
 import * as values from "./values.js";
 import * as events from "./events.js";
 import * as stages from "./stages.js";
+import * as migrations from "./migrations.js";
+import { replay } from "./replay.js";
+import * as check from "./check.js";
+import * as archive from "./archive.js";
+import * as crypt from "./crypt.js";
+import { mkSerial } from "./serial.js";
+import * as leveldb from "./store/leveldb.js";
+import * as memory from "./store/memory.js";
+import * as sqlite from "./store/sqlite.js";
+import * as namespace from "./store/namespace.js";
 
 /**
  * @import * as t from "./types.ts";
+ * @import { Store, Iterator, Range, Op } from "./store/types.ts";
  */
 
 /**
  * @import { FastifyInstance } from "fastify";
  * @import { Config } from "./config.js";
  * @param {FastifyInstance} fastify
- * @param {{ config : Config }} opts
+ * @param {{ config : Config, store? : Store }} opts - with `store`, a store
+ * opened with `openStore` and shared, eg by tenants. Otherwise the store of
+ * the config is opened.
  */
 
-async function Db(fastify, { config }) {
-  fastify.register(fastifyLeveldb, {
-    name: "db",
-    path: config.dbPath,
-    options: {
-      keyEncoding: "binary",
-      valueEncoding: "binary",
-    },
-  });
+async function Db(fastify, { config, store: shared }) {
+  const opened = shared ?? (await openStore(fastify, config));
+  // A tenant without a namespace keeps the keys of a DB of its own,
+  // and does not see those of other tenants.
+  const raw = config.namespace
+    ? namespace.mkStore(opened, config.namespace)
+    : shared
+      ? namespace.mkStore(opened, Buffer.alloc(0), keys.tenant(Buffer.alloc(0)))
+      : opened;
+  const crypted = crypt.mkStore(raw, config.encryption, fastify.log);
+  await crypted.load();
+  const store = crypted.store;
+  fastify.decorate("store", store);
+
+  await migrations.run(store, fastify.log);
+
+  /**
+   * For reads that do not consume the iterator to the end.
+   * @template T
+   * @param {Range} range
+   * @param {(i : Iterator) => Promise<T>} read
+   * @returns {Promise<T>}
+   */
+  function withIterator(range, read) {
+    const i = store.iterator(range);
+    return read(i).finally(() => i.close());
+  }
 
   //   /**
   //    * Get
@@ -33,56 +65,274 @@ async function Db(fastify, { config }) {
   //   getTot(keytag : Buffer) : Promise<Either<bigint, TotFail>>
 
   fastify.decorate("getTot", function (/** @type {Buffer} */ keytag) {
-    return values.getTot(fastify.level.db.iterator(keys.stateBounds(keytag)));
+    return withIterator(keys.stateBounds(keytag), values.getTot);
   });
 
   //   getInfo(keytag : Buffer) : Promise<Either<Info, InfoFail>>
 
   fastify.decorate("getInfo", function (/** @type {Buffer} */ keytag) {
-    return values.getInfo(fastify.level.db.iterator(keys.stateBounds(keytag)));
+    return withIterator(keys.stateBounds(keytag), values.getInfo);
   });
 
-  fastify.decorate("getInfos", function () {
-    return values.getAll(fastify.level.db.iterator(keys.allStateBounds()));
-  });
+  //   getInfos(page? : InfosPage) : Promise<Either<Info, InfoFail>[]>
+
+  fastify.decorate(
+    "getInfos",
+    /**
+     * @param {t.InfosPage} [page]
+     * @returns {Promise<t.Either<t.Info, t.InfoFail>[]>}
+     */
+    function ({ after, limit } = {}) {
+      return values.getAll(store.iterator(keys.allStateBounds(after)), limit);
+    },
+  );
+
+  //   streamInfos(after? : Buffer) : AsyncGenerator<Either<Info, InfoFail>>
+
+  fastify.decorate(
+    "streamInfos",
+    /**
+     * @param {Buffer} [after]
+     * @returns {AsyncGenerator<t.Either<t.Info, t.InfoFail>>}
+     */
+    function (after) {
+      return values.iterInfos(store.iterator(keys.allStateBounds(after)));
+    },
+  );
+
+  /**
+   * @param {t.Either<t.Info, t.InfoFail>} infoOrFail
+   */
+  function info2iou(infoOrFail) {
+    if (infoOrFail.kind == "Right") {
+      const { iouKey, tag, iouAmt, sig, stage } = infoOrFail.value;
+      const keytag = keys.keytag(iouKey, tag).toString("hex");
+      const iou = { iouAmt: String(iouAmt), sig: sig.toString("hex") };
+      if ("txId" in stage) {
+        return [
+          keytag,
+          {
+            ...iou,
+            txId: stage.txId.toString("hex"),
+            outputIdx: String(stage.outputIdx),
+          },
+        ];
+      } else {
+        return [keytag, iou];
+      }
+    } else {
+      throw new Error("not yet implemented");
+    }
+  }
 
   //   getIous() : Promise<Either<Ious, IousFail>>
 
   fastify.decorate("getIous", function (/** @type {Buffer} */ keytag) {
     return values
-      .getAll(fastify.level.db.iterator(keys.allStateBounds()))
-      .then((res) =>
-        res.map((infoOrFail) => {
-          if (infoOrFail.kind == "Right") {
-            const { iouKey, tag, iouAmt, sig, stage } = infoOrFail.value;
-            const keytag = keys.keytag(iouKey, tag).toString("hex");
-            const iou = { iouAmt: String(iouAmt), sig: sig.toString("hex") };
-            if ("txId" in stage) {
-              return [
-                keytag,
-                {
-                  ...iou,
-                  txId: stage.txId.toString("hex"),
-                  outputIdx: String(stage.outputIdx),
-                },
-              ];
-            } else {
-              return [keytag, iou];
-            }
-          } else {
-            throw new Error("not yet implemented");
-          }
-        }),
-      )
+      .getAll(store.iterator(keys.allStateBounds()))
+      .then((res) => res.map(info2iou))
+      .then(Object.fromEntries);
+  });
+
+  //   getIousByTag(tag : Buffer) : Promise<Ious>
+
+  fastify.decorate("getIousByTag", function (/** @type {Buffer} */ tag) {
+    return fastify
+      .getKeytagsByTag(tag)
+      .then((keytags) => Promise.all(keytags.map(fastify.getInfo)))
+      .then((res) => res.map(info2iou))
       .then(Object.fromEntries);
   });
 
   fastify.decorate("getOpened", function () {
     return values.getOpened(
-      fastify.level.db.iterator({ ...keys.allStateBounds() }),
+      store.iterator({
+        ...keys.stageIndexBounds(stages.stageIdx.Opened),
+        values: false,
+      }),
     );
   });
 
+  //   getKeytagsByTag(tag : Buffer) : Promise<Buffer[]>
+
+  fastify.decorate("getKeytagsByTag", function (/** @type {Buffer} */ tag) {
+    return values.getByTag(
+      store.iterator({ ...keys.tagIndexBounds(tag), values: false }),
+      tag,
+    );
+  });
+
+  //   getKeytagsByIouKey(iouKey : Buffer) : Promise<Buffer[]>
+
+  fastify.decorate(
+    "getKeytagsByIouKey",
+    async function (/** @type {Buffer} */ iouKey) {
+      const keytags = [];
+      for await (const keytag of keys.keytagIter(
+        store.iterator({
+          ...keys.iouKeyBounds(iouKey),
+          values: false,
+        }),
+      )) {
+        keytags.push(keytag);
+      }
+      return keytags;
+    },
+  );
+
+  //   getEvents(keytag : Buffer, filter : EventsFilter) : Promise<Either<EventsPage, EventsFail>>
+
+  fastify.decorate(
+    "getEvents",
+    /**
+     * @param {Buffer<ArrayBufferLike>} keytag
+     * @param {t.EventsFilter} filter
+     * @returns {Promise<t.Either<t.EventsPage, t.EventsFail>>}
+     * */
+    function (keytag, filter) {
+      return values
+        .getEvents(
+          store.iterator(keys.eventBounds(keytag, filter.after)),
+          keytag,
+          filter,
+        )
+        .then(
+          (page) => ({ kind: "Right", value: page }),
+          (_rej) => ({ kind: "Left", error: "Other" }),
+        );
+    },
+  );
+
+  //   getInfoAt(keytag : Buffer, at : bigint) : Promise<Either<Info, InfoAtFail>>
+
+  fastify.decorate(
+    "getInfoAt",
+    /**
+     * Info as it was at the timestamp `at`, replayed from the events.
+     * @param {Buffer<ArrayBufferLike>} keytag
+     * @param {bigint} at
+     * @returns {Promise<t.Either<t.Info, t.InfoAtFail>>}
+     * */
+    function (keytag, at) {
+      return values
+        .getEvents(store.iterator(keys.eventBounds(keytag)), keytag, {
+          limit: Infinity,
+        })
+        .then(
+          // Events are in order, so take those until one is after `at`
+          ({ events }) => {
+            const idx = events.findIndex(({ timestamp }) => timestamp > at);
+            return replay(
+              config.initCost,
+              keytag,
+              idx < 0 ? events : events.slice(0, idx),
+            );
+          },
+        )
+        .then(
+          (r) => r,
+          (_rej) => ({ kind: "Left", error: "Other" }),
+        );
+    },
+  );
+
+  /**
+   * Puts of the next event of the keytag, and of its sequence number.
+   * @param {Buffer<ArrayBufferLike>} keytag
+   * @param {bigint} seq - as read with `getInfo`
+   * @param {events.Event} ev
+   */
+  function putNextEvent(keytag, seq, ev) {
+    return [values.putEvent(keytag, seq, ev), values.putSeq(keytag, seq + 1n)];
+  }
+
+  /**
+   * Put of the stage of the keytag, together with its index entries.
+   * @param {Buffer<ArrayBufferLike>} keytag
+   * @param {stages.Stage} stage
+   */
+  function putStage(keytag, stage) {
+    return [
+      values.putStage(keytag, stage),
+      ...values.putIndexes(keytag, stage),
+    ];
+  }
+
+  /**
+   * All state transitions of a keytag are serialized: each reads with `getInfo`
+   * and then writes in a `batch`, and must not interleave with another.
+   */
+  const serial = mkSerial();
+
+  /**
+   * @template T
+   * @param {Buffer<ArrayBufferLike>} keytag
+   * @param {() => Promise<T>} task
+   * @returns {Promise<T>}
+   */
+  function serialize(keytag, task) {
+    return serial(keytag.toString("hex"), task);
+  }
+
+  /**
+   * IOUs of each keytag since its last sub, as seen by `putIou`. Kept in
+   * memory: a restart only delays an early liaison run.
+   * @type {Map<string, { sub : bigint, ious : number }>}
+   */
+  const traffic = new Map();
+  /** @type {((traffic : t.Traffic) => void)[]} */
+  const trafficListeners = [];
+
+  /**
+   * Count an IOU, and tell the listeners if the traffic of its keytag crosses
+   * a threshold
+   * @param {Buffer<ArrayBufferLike>} keytag
+   * @param {t.Info} info - as before the IOU
+   * @param {bigint} amount
+   */
+  function countIou(keytag, info, amount) {
+    const k = keytag.toString("hex");
+    const prev = traffic.get(k);
+    const ious = prev && prev.sub == info.sub ? prev.ious + 1 : 1;
+    traffic.set(k, { sub: info.sub, ious });
+    const exposure = amount - info.sub;
+    const { trafficIous = 0, trafficExposurePct = 0 } = config;
+    const reason =
+      trafficIous > 0 && ious >= trafficIous
+        ? "ious"
+        : trafficExposurePct > 0 &&
+            Number(exposure) * 100 >=
+              trafficExposurePct * Number(info.subbitAmt)
+          ? "exposure"
+          : undefined;
+    if (reason === undefined) return;
+    for (const listener of trafficListeners) {
+      try {
+        listener({
+          keytag: k,
+          reason,
+          ious,
+          exposure,
+          subbitAmt: info.subbitAmt,
+        });
+      } catch (err) {
+        fastify.log.error(`Traffic listener failed: ${err}`);
+      }
+    }
+  }
+
+  //   onTraffic(listener : (traffic : Traffic) => void) : void
+  fastify.decorate(
+    "onTraffic",
+    /**
+     * Listen for IOU traffic of a subbit crossing a threshold
+     * @param {(traffic : t.Traffic) => void} listener
+     * */
+    function (listener) {
+      trafficListeners.push(listener);
+    },
+  );
+
   //   /**
   //    * Put/events:
   //    * */
@@ -96,16 +346,15 @@ async function Db(fastify, { config }) {
      * @returns {Promise<t.Either<null, t.IouFail>>}
      * */
     function (keytag, amount, signature) {
-      return values
-        .getInfo(fastify.level.db.iterator(keys.stateBounds(keytag)))
-        .then(
+      return serialize(keytag, () => {
+        return withIterator(keys.stateBounds(keytag), values.getInfo).then(
           /**
            * FIXME :: Without this hint typescript is upset; with it typescript does not check types?!
            * @returns {Promise<t.Either<null, t.IouFail>>}
            * */
           (infoOrFail) => {
             if (infoOrFail.kind == "Right") {
-              const { stage, iouAmt: currIouAmt } = infoOrFail.value;
+              const { stage, iouAmt: currIouAmt, seq } = infoOrFail.value;
               if (amount <= currIouAmt) {
                 return Promise.resolve({
                   kind: "Left",
@@ -114,14 +363,21 @@ async function Db(fastify, { config }) {
               } else if (stages.isSuspended(stage)) {
                 return Promise.resolve({ kind: "Left", error: "Suspended" });
               } else {
-                return fastify.level.db
+                return store
                   .batch([
-                    values.putEvent(keytag, new events.Iou(amount, signature)),
+                    ...putNextEvent(
+                      keytag,
+                      seq,
+                      new events.Iou(amount, signature),
+                    ),
                     values.putIouAmt(keytag, amount),
                     values.putSig(keytag, signature),
                   ])
                   .then(
-                    (_) => Promise.resolve({ kind: "Right", value: null }),
+                    (_) => {
+                      countIou(keytag, infoOrFail.value, amount);
+                      return Promise.resolve({ kind: "Right", value: null });
+                    },
                     (err) => {
                       throw new Error(JSON.stringify(err.toString()));
                     },
@@ -133,6 +389,7 @@ async function Db(fastify, { config }) {
           },
           () => Promise.resolve({ kind: "Left", error: "Other" }),
         );
+      });
     },
   );
 
@@ -145,22 +402,21 @@ async function Db(fastify, { config }) {
      * @returns {Promise<t.Either<null, t.ModFail>>}
      * */
     function (keytag, by) {
-      return values
-        .getInfo(fastify.level.db.iterator(keys.stateBounds(keytag)))
-        .then(
+      return serialize(keytag, () => {
+        return withIterator(keys.stateBounds(keytag), values.getInfo).then(
           /**
            * FIXME :: Without this hint typescript is upset; with it typescript does not check types?!
            * @returns {Promise<t.Either<null, t.ModFail>>}
            * */
           (infoOrFail) => {
             if (infoOrFail.kind == "Right") {
-              const { stage, cost: currCost } = infoOrFail.value;
+              const { stage, cost: currCost, seq } = infoOrFail.value;
               if (stages.isSuspended(stage)) {
                 return Promise.resolve({ kind: "Left", error: "Suspended" });
               } else {
-                return fastify.level.db
+                return store
                   .batch([
-                    values.putEvent(keytag, new events.Mod(by)),
+                    ...putNextEvent(keytag, seq, new events.Mod(by)),
                     values.putCost(keytag, currCost - by),
                   ])
                   .then(
@@ -176,6 +432,7 @@ async function Db(fastify, { config }) {
           },
           () => Promise.resolve({ kind: "Left", error: "Other" }),
         );
+      });
     },
   );
 
@@ -185,14 +442,14 @@ async function Db(fastify, { config }) {
    * @returns {Promise<t.Either<t.L1Action, t.L1Fail>>}
    * */
   function insertL1(keytag, l1Subbits) {
-    const { txId, outputIdx, sub, subbitAmt } = selectL1Subbit(0n, l1Subbits);
-    return fastify.level.db
+    const { txId, outputIdx, sub, subbitAmt } = values.selectL1Subbit(
+      0n,
+      l1Subbits,
+    );
+    return store
       .batch([
-        values.putEvent(keytag, new events.L1(l1Subbits)),
-        values.putStage(
-          keytag,
-          new stages.Opened(Buffer.from(txId), outputIdx),
-        ),
+        ...putNextEvent(keytag, 0n, new events.L1(l1Subbits)),
+        ...putStage(keytag, new stages.Opened(Buffer.from(txId), outputIdx)),
         values.putCost(keytag, config.initCost),
         values.putIouAmt(keytag, 0n),
         values.putSub(keytag, sub),
@@ -208,24 +465,22 @@ async function Db(fastify, { config }) {
    * @param {Buffer<ArrayBufferLike>} keytag
    * @param {stages.Opened} openedStage
    * @param {bigint} iouAmt
+   * @param {bigint} seq
    * @param {t.L1Subbit[]} l1Subbits
    * @returns {Promise<t.Either<t.L1Action, t.L1Fail>>}
    * */
-  function update(keytag, openedStage, iouAmt, l1Subbits) {
-    const { txId, outputIdx, sub, subbitAmt } = selectL1Subbit(
+  function update(keytag, openedStage, iouAmt, seq, l1Subbits) {
+    const { txId, outputIdx, sub, subbitAmt } = values.selectL1Subbit(
       iouAmt,
       l1Subbits,
     );
     if (openedStage.txId.equals(txId)) {
       return Promise.resolve({ kind: "Right", value: "NoneOpened" });
     } else {
-      return fastify.level.db
+      return store
         .batch([
-          values.putEvent(keytag, new events.L1(l1Subbits)),
-          values.putStage(
-            keytag,
-            new stages.Opened(Buffer.from(txId), outputIdx),
-          ),
+          ...putNextEvent(keytag, seq, new events.L1(l1Subbits)),
+          ...putStage(keytag, new stages.Opened(Buffer.from(txId), outputIdx)),
           values.putSub(keytag, sub),
           values.putSubbitAmt(keytag, subbitAmt),
         ])
@@ -240,16 +495,14 @@ async function Db(fastify, { config }) {
 
   /**
    * @param {Buffer<ArrayBufferLike>} keytag,
+   * @param {bigint} seq
    * @returns {Promise<t.Either<t.L1Action, t.L1Fail>>}
    * */
-  function suspend(keytag) {
-    return fastify.level.db
+  function suspend(keytag, seq) {
+    return store
       .batch([
-        values.putEvent(keytag, new events.L1([])),
-        values.putStage(
-          keytag,
-          new stages.Suspended(BigInt(Date.now()), "Closed"),
-        ),
+        ...putNextEvent(keytag, seq, new events.L1([])),
+        ...putStage(keytag, new stages.Suspended(BigInt(Date.now()), "Closed")),
       ])
       .then(
         (_) => Promise.resolve({ kind: "Right", value: "Suspend" }),
@@ -268,9 +521,8 @@ async function Db(fastify, { config }) {
      * @returns {Promise<t.Either<t.L1Action, t.L1Fail>>}
      * */
     function (keytag, l1Subbits) {
-      return values
-        .getInfo(fastify.level.db.iterator(keys.stateBounds(keytag)))
-        .then(
+      return serialize(keytag, () => {
+        return withIterator(keys.stateBounds(keytag), values.getInfo).then(
           /**
            * FIXME :: Without this hint typescript is upset; with it typescript does not check types?!
            * @returns {Promise<t.Either<t.L1Action, t.L1Fail>>}
@@ -282,13 +534,16 @@ async function Db(fastify, { config }) {
               return Promise.resolve({ kind: "Left", error: "Other" });
             }
             const info = infoOrFail.value;
-            const { stage, iouAmt } = info;
+            const { stage, iouAmt, seq } = info;
             if ("timestamp" in stage) {
-              return Promise.resolve({ kind: "Right", value: "NoneSuspended" });
+              return Promise.resolve({
+                kind: "Right",
+                value: "NoneSuspended",
+              });
             } else if (l1Subbits.length == 0) {
-              return suspend(keytag);
+              return suspend(keytag, seq);
             } else {
-              return update(keytag, stage, iouAmt, l1Subbits);
+              return update(keytag, stage, iouAmt, seq, l1Subbits);
             }
           },
           (_rej) => {
@@ -296,9 +551,168 @@ async function Db(fastify, { config }) {
             return { kind: "Left", error: "Other" };
           },
         );
+      });
+    },
+  );
+  //   restoreL1(keytag : Buffer, l1Block : L1Block) : Promise<Either<L1Action, L1Fail>>
+  fastify.decorate(
+    "restoreL1",
+    /**
+     * Reopen a subbit suspended as its UTxO vanished, now that the UTxO of its
+     * L1 block is back on the chain, eg as its tx is included again after a
+     * rollback. The UTxO is as before, so the sub and the subbit amount are
+     * those kept. A subbit suspended by an edit is left suspended.
+     * @param {Buffer<ArrayBufferLike>} keytag,
+     * @param {t.L1Block} l1Block,
+     * @returns {Promise<t.Either<t.L1Action, t.L1Fail>>}
+     * */
+    function (keytag, { txId, outputIdx }) {
+      return serialize(keytag, () => {
+        return withIterator(keys.stateBounds(keytag), values.getInfo).then(
+          /**
+           * @returns {Promise<t.Either<t.L1Action, t.L1Fail>>}
+           * */
+          (infoOrFail) => {
+            if (infoOrFail.kind == "Left") {
+              return Promise.resolve({ kind: "Left", error: "Other" });
+            }
+            const { stage, seq, sub, subbitAmt } = infoOrFail.value;
+            if (!("timestamp" in stage)) {
+              return Promise.resolve({ kind: "Right", value: "NoneOpened" });
+            } else if (stage.reason != "Closed") {
+              return Promise.resolve({
+                kind: "Right",
+                value: "NoneSuspended",
+              });
+            }
+            return store
+              .batch([
+                ...putNextEvent(
+                  keytag,
+                  seq,
+                  new events.L1([{ txId, outputIdx, sub, subbitAmt }]),
+                ),
+                ...putStage(keytag, new stages.Opened(txId, outputIdx)),
+              ])
+              .then(
+                (_) => ({ kind: "Right", value: "Restore" }),
+                (_) => ({ kind: "Left", error: "Other" }),
+              );
+          },
+          (_rej) => ({ kind: "Left", error: "Other" }),
+        );
+      });
+    },
+  );
+
+  //   putL1Block(keytag : Buffer, l1Block : L1Block) : Promise<void>
+  fastify.decorate(
+    "putL1Block",
+    /**
+     * Record the L1 block of the UTxO of a synced subbit.
+     * @param {Buffer<ArrayBufferLike>} keytag,
+     * @param {t.L1Block} l1Block,
+     * @returns {Promise<void>}
+     * */
+    function (keytag, l1Block) {
+      return serialize(keytag, () =>
+        store.batch([values.putL1Block(keytag, l1Block)]),
+      );
+    },
+  );
+
+  //   getL1Blocks() : Promise<[Buffer, L1Block][]>
+  fastify.decorate("getL1Blocks", function () {
+    return values.getL1Blocks(store.iterator(keys.blockIndexBounds()));
+  });
+
+  //   putTx(trackedTx : TrackedTx) : Promise<void>
+  fastify.decorate(
+    "putTx",
+    /**
+     * Record a submitted tx, or its new status
+     * @param {t.TrackedTx} trackedTx
+     * @returns {Promise<void>}
+     * */
+    function (trackedTx) {
+      return store.batch([values.putTx(trackedTx)]);
+    },
+  );
+
+  //   getTx(txHash : string) : Promise<TrackedTx | undefined>
+  fastify.decorate("getTx", function (/** @type {string} */ txHash) {
+    return store.get(keys.tx(Buffer.from(txHash, "hex"))).then(values.fromTx);
+  });
+
+  //   getTxs(status? : TxStatus) : Promise<TrackedTx[]>
+  fastify.decorate(
+    "getTxs",
+    function (/** @type {t.TxStatus | undefined} */ status) {
+      return values
+        .getTxs(store.iterator(keys.txBounds()))
+        .then((txs) =>
+          status === undefined ? txs : txs.filter((t) => t.status == status),
+        );
+    },
+  );
+
+  //   putQuarantined(quarantined : Quarantined) : Promise<void>
+  fastify.decorate(
+    "putQuarantined",
+    /**
+     * Keep a subbit out of L1 txs, until its UTxO or IOU changes
+     * @param {t.Quarantined} quarantined
+     * @returns {Promise<void>}
+     * */
+    function (quarantined) {
+      return store.batch([values.putQuarantined(quarantined)]);
+    },
+  );
+
+  //   getQuarantined() : Promise<Quarantined[]>
+  fastify.decorate("getQuarantined", function () {
+    return values.getQuarantined(store.iterator(keys.quarantineBounds()));
+  });
+
+  //   delQuarantined(keytag : string) : Promise<boolean>
+  fastify.decorate(
+    "delQuarantined",
+    /**
+     * Release a subbit from quarantine
+     * @param {string} keytag - hex
+     * @returns {Promise<boolean>} - whether it was quarantined
+     * */
+    async function (keytag) {
+      const key = keys.quarantine(Buffer.from(keytag, "hex"));
+      if ((await store.get(key)) === undefined) return false;
+      await store.batch([values.delKey(key)]);
+      return true;
     },
   );
-  //   putEdit(keytag : Buffer,  edit : ) : Promise<Either<null, EditFail>>
+
+  //   putClosed(closed : ClosedSubbit) : Promise<void>
+  fastify.decorate(
+    "putClosed",
+    /**
+     * Record a subbit closed on the L1, or a settle of it tried
+     * @param {t.ClosedSubbit} closed
+     * @returns {Promise<void>}
+     * */
+    function (closed) {
+      return store.batch([values.putClosed(closed)]);
+    },
+  );
+
+  //   getClosed() : Promise<ClosedSubbit[]>
+  fastify.decorate("getClosed", function () {
+    return values.getClosed(store.iterator(keys.closedBounds()));
+  });
+
+  //   delClosed(keytag : string) : Promise<void>
+  fastify.decorate("delClosed", function (/** @type {string} */ keytag) {
+    const key = keys.closed(Buffer.from(keytag, "hex"));
+    return store.batch([values.delKey(key)]);
+  });
 
   fastify.decorate(
     "putEdit",
@@ -308,62 +722,168 @@ async function Db(fastify, { config }) {
      * @returns {Promise<t.Either<null, t.EditFail>>}
      * */
     function (keytag, edit) {
-      return fastify.getInfo(keytag).then(
-        /**
-         * FIXME :: Without this hint typescript is upset; with it typescript does not check types?!
-         * @returns {Promise<t.Either<null, t.EditFail>>}
-         * */
-        (r) => {
-          if (r.kind == "Left") {
-            // return r
-            throw r;
-          } else {
-            if (edit.kind == "mod") {
-              const by = "by" in edit ? BigInt(edit.by) : 0n;
-              return fastify.level.db
-                .batch([
-                  values.putEvent(keytag, new events.Edit("Mod", by)),
-                  values.putCost(keytag, r.value.cost + by),
-                ])
-                .then(
-                  (_) => ({ kind: "Right", value: null }),
-                  (_) => ({ kind: "Left", error: "Other" }),
-                );
-            } else if (edit.kind == "suspend") {
-              return fastify.level.db
-                .batch([
-                  values.putEvent(keytag, new events.Edit("Suspend")),
-                  values.putStage(
-                    keytag,
-                    new stages.Suspended(BigInt(Date.now()), "Edit"),
-                  ),
-                ])
-                .then(
-                  (_) => ({ kind: "Right", value: null }),
-                  (_) => ({ kind: "Left", error: "Other" }),
-                );
-            } else if (edit.kind == "unsuspened") {
-              return fastify.level.db
-                .batch([
-                  values.putEvent(keytag, new events.Edit("Suspend")),
-                  values.putStage(
-                    keytag,
-                    new stages.Suspended(BigInt(Date.now()), "Edit"),
-                  ),
-                ])
-                .then(
-                  (_) => ({ kind: "Right", value: null }),
-                  (_) => ({ kind: "Left", error: "Other" }),
-                );
+      return serialize(keytag, () => {
+        return fastify.getInfo(keytag).then(
+          /**
+           * FIXME :: Without this hint typescript is upset; with it typescript does not check types?!
+           * @returns {Promise<t.Either<null, t.EditFail>>}
+           * */
+          (r) => {
+            if (r.kind == "Left") {
+              // return r
+              throw r;
             } else {
-              return Promise.resolve({ kind: "Left", error: "UnknownEdit" });
+              if (edit.kind == "mod") {
+                const by = "by" in edit ? BigInt(edit.by) : 0n;
+                return store
+                  .batch([
+                    ...putNextEvent(
+                      keytag,
+                      r.value.seq,
+                      new events.Edit("Mod", by),
+                    ),
+                    values.putCost(keytag, r.value.cost + by),
+                  ])
+                  .then(
+                    (_) => ({ kind: "Right", value: null }),
+                    (_) => ({ kind: "Left", error: "Other" }),
+                  );
+              } else if (edit.kind == "suspend") {
+                return store
+                  .batch([
+                    ...putNextEvent(
+                      keytag,
+                      r.value.seq,
+                      new events.Edit("Suspend"),
+                    ),
+                    ...putStage(
+                      keytag,
+                      new stages.Suspended(BigInt(Date.now()), "Edit"),
+                    ),
+                  ])
+                  .then(
+                    (_) => ({ kind: "Right", value: null }),
+                    (_) => ({ kind: "Left", error: "Other" }),
+                  );
+              } else if (edit.kind == "unsuspened") {
+                return store
+                  .batch([
+                    ...putNextEvent(
+                      keytag,
+                      r.value.seq,
+                      new events.Edit("Suspend"),
+                    ),
+                    ...putStage(
+                      keytag,
+                      new stages.Suspended(BigInt(Date.now()), "Edit"),
+                    ),
+                  ])
+                  .then(
+                    (_) => ({ kind: "Right", value: null }),
+                    (_) => ({ kind: "Left", error: "Other" }),
+                  );
+              } else {
+                return Promise.resolve({ kind: "Left", error: "UnknownEdit" });
+              }
             }
-          }
-        },
-      );
+          },
+        );
+      });
+    },
+  );
+
+  //   putStamp(keytag : Buffer, signature : Buffer, expiresAt : bigint) : Promise<Either<null, StampFail>>
+  fastify.decorate(
+    "putStamp",
+    /**
+     * Record a stamp credential as seen until it expires.
+     * A stamp seen before, and not yet expired, is a replay.
+     * @param {Buffer<ArrayBufferLike>} keytag,
+     * @param {Buffer<ArrayBufferLike>} signature,
+     * @param {bigint} expiresAt,
+     * @returns {Promise<t.Either<null, t.StampFail>>}
+     * */
+    function (keytag, signature, expiresAt) {
+      return serialize(keytag, () => {
+        const key = keys.stamp(keytag, signature);
+        return store
+          .get(key)
+          .then(
+            (res) =>
+              res !== undefined &&
+              values.amtFromCbor(res) >= BigInt(Date.now()),
+          )
+          .then(
+            /**
+             * @returns {Promise<t.Either<null, t.StampFail>>}
+             * */
+            (seen) => {
+              if (seen) {
+                return Promise.resolve({
+                  kind: "Left",
+                  error: "StampReplayed",
+                });
+              }
+              return store
+                .batch([values.putStamp(keytag, signature, expiresAt)])
+                .then((_) => ({ kind: "Right", value: null }));
+            },
+          )
+          .then(
+            (r) => r,
+            /**
+             * @returns {t.Either<null, t.StampFail>}
+             * */
+            (_rej) => ({ kind: "Left", error: "Other" }),
+          );
+      });
     },
   );
 
+  //   sweepStamps(before : bigint) : Promise<number>
+  fastify.decorate(
+    "sweepStamps",
+    /**
+     * Evict stamps that expired before the given timestamp.
+     * @param {bigint} before,
+     * @returns {Promise<number>} - number of stamps evicted
+     * */
+    function (before) {
+      return values
+        .getStampKeysExpired(store.iterator(keys.allStampBounds()), before)
+        .then((stampKeys) =>
+          store
+            .batch(stampKeys.map((key) => ({ type: "del", key })))
+            .then((_) => stampKeys.length),
+        );
+    },
+  );
+
+  if (config.stampSweepInterval > 0) {
+    const scheduler = new ToadScheduler();
+    const task = new AsyncTask(
+      "stamp-sweep",
+      () =>
+        fastify.sweepStamps(BigInt(Date.now())).then((n) => {
+          if (n > 0) fastify.log.info(`[db] Swept ${n} expired stamps`);
+        }),
+      (err) => {
+        fastify.log.error(`[db] Stamp sweep error: ${err.message}`);
+      },
+    );
+    const job = new SimpleIntervalJob(
+      { milliseconds: config.stampSweepInterval, runImmediately: true },
+      task,
+      { id: "stamp-sweep", preventOverrun: true },
+    );
+    fastify.ready().then(() => scheduler.addSimpleIntervalJob(job));
+    // Stop before the db closes
+    fastify.addHook("preClose", (done) => {
+      scheduler.stop();
+      done();
+    });
+  }
+
   //   /**
   //    * Delete/drop:
   //    * */
@@ -371,75 +891,324 @@ async function Db(fastify, { config }) {
   fastify.decorate(
     "dropSubbit",
     /**
+     * Drops the state entries and the event history of a suspended subbit.
      * @param {Buffer<ArrayBufferLike>} keytag,
      * @returns {Promise<t.Either<null,t.DropSubbitFail>>}
      * */
     function (keytag) {
-      return fastify.level.db.get(keys.stage(keytag)).then(
-        /**
-         * @returns {Promise<t.Either<null,t.DropSubbitFail>>}
-         * */
-        (res) => {
-          const stage = stages.fromCbor(res);
-          if ("timestamp" in stage) {
-            return fastify.level.db
-              .batch(
-                keys.stateKeys(keytag).map((key) => ({ type: "del", key })),
-              )
-              .then(
-                (_res) => Promise.resolve({ kind: "Right", value: null }),
-                (_rej) => Promise.resolve({ kind: "Left", error: "Other" }),
-              );
-          } else {
-            return Promise.resolve({ kind: "Left", error: "Opened" });
-          }
-        },
-        (_rej) => {
-          return Promise.resolve({ kind: "Left", error: "Other" });
-        },
-      );
+      return serialize(keytag, () => {
+        return store.get(keys.stage(keytag)).then(
+          /**
+           * @returns {Promise<t.Either<null,t.DropSubbitFail>>}
+           * */
+          (res) => {
+            if (res === undefined) {
+              return Promise.resolve({ kind: "Left", error: "NoSubbit" });
+            }
+            const stage = stages.fromCbor(res);
+            if ("timestamp" in stage) {
+              return values
+                .getEventKeysOf(
+                  store.iterator({
+                    ...keys.eventBounds(keytag),
+                    values: false,
+                  }),
+                  keytag,
+                )
+                .then((eventKeys) =>
+                  store.batch([
+                    ...[...keys.stateKeys(keytag), ...eventKeys].map(
+                      values.delKey,
+                    ),
+                    ...values.delIndexes(keytag),
+                    values.delKey(keys.blockIndex(keytag)),
+                    values.delKey(keys.dropped(keytag)),
+                  ]),
+                )
+                .then(
+                  (_res) => Promise.resolve({ kind: "Right", value: null }),
+                  (_rej) => Promise.resolve({ kind: "Left", error: "Other" }),
+                );
+            } else {
+              return Promise.resolve({ kind: "Left", error: "Opened" });
+            }
+          },
+          /**
+           * @returns {Promise<t.Either<null,t.DropSubbitFail>>}
+           * */
+          (_rej) => Promise.resolve({ kind: "Left", error: "Other" }),
+        );
+      });
+    },
+  );
+
+  //   dropSuspended(olderThan : bigint) : Promise<[Buffer, Either<null,DropSubbitFail>][]>
+  fastify.decorate(
+    "dropSuspended",
+    /**
+     * Drops all subbits that have been suspended for longer than `olderThan` ms.
+     * @param {bigint} olderThan,
+     * @returns {Promise<[Buffer, t.Either<null,t.DropSubbitFail>][]>}
+     * */
+    function (olderThan) {
+      const before = BigInt(Date.now()) - olderThan;
+      return values
+        .getSuspendedBefore(
+          store.iterator({
+            ...keys.stageIndexBounds(Number(stages.stageIdx.Suspended)),
+            values: false,
+          }),
+          (keytag) => store.get(keys.stage(keytag)),
+          before,
+        )
+        .then((keytags) =>
+          Promise.all(
+            keytags.map((keytag) =>
+              fastify
+                .dropSubbit(keytag)
+                .then(
+                  (r) =>
+                    /** @type {[Buffer, t.Either<null,t.DropSubbitFail>]} */ ([
+                      keytag,
+                      r,
+                    ]),
+                ),
+            ),
+          ),
+        );
     },
   );
 
-  //   dropEvents(olderThan : bigint) : Promise<Either<null, DropEventsFail>>
+  //   dropEvents(olderThan : bigint) : Promise<[Buffer, Either<null, DropEventsFail>][]>
   fastify.decorate(
     "dropEvents",
     /**
+     * Drops all events older than `olderThan` ms of suspended subbits. Those
+     * of opened subbits are kept, and the subbit fails with `Opened`.
+     * The latest IOU remains available in the state entries.
      * @param {bigint} olderThan,
+     * @returns {Promise<[Buffer, t.Either<null,t.DropEventsFail>][]>}
      * */
     function (olderThan) {
-      throw new Error("Not yet implemented");
+      const before = BigInt(Date.now()) - olderThan;
+      return values
+        .getEventKeysBefore(store.iterator(keys.allEventBounds()), before)
+        .then((eventKeys) => {
+          /** @type {Record<string, Buffer[]>} */
+          const byKeytag = {};
+          for (const key of eventKeys) {
+            const keytagHex = keys.event2keytag(key).toString("hex");
+            (byKeytag[keytagHex] || (byKeytag[keytagHex] = [])).push(key);
+          }
+          return Promise.all(
+            Object.entries(byKeytag).map(([keytagHex, ks]) => {
+              const keytag = Buffer.from(keytagHex, "hex");
+              // Record the drop, so a check tells it apart from lost events
+              const seq = ks
+                .map((key) => keys.event2seq(key) + 1n)
+                .reduce((a, b) => (a > b ? a : b));
+              return serialize(keytag, async () => {
+                const res = await store.get(keys.stage(keytag));
+                if (
+                  res !== undefined &&
+                  !("timestamp" in stages.fromCbor(res))
+                ) {
+                  return /** @type {t.Either<null,t.DropEventsFail>} */ ({
+                    kind: "Left",
+                    error: "Opened",
+                  });
+                }
+                const prev = await store.get(keys.dropped(keytag));
+                const after =
+                  prev && values.amtFromCbor(prev) > seq
+                    ? values.amtFromCbor(prev)
+                    : seq;
+                await store.batch([
+                  ...ks.map((key) => values.delKey(key)),
+                  values.putDropped(keytag, after),
+                ]);
+                return /** @type {t.Either<null,t.DropEventsFail>} */ ({
+                  kind: "Right",
+                  value: null,
+                });
+              })
+                .catch(
+                  /** @returns {t.Either<null,t.DropEventsFail>} */
+                  (_rej) => ({ kind: "Left", error: "Other" }),
+                )
+                .then(
+                  (r) =>
+                    /** @type {[Buffer, t.Either<null,t.DropEventsFail>]} */ ([
+                      keytag,
+                      r,
+                    ]),
+                );
+            }),
+          );
+        });
+    },
+  );
+
+  //   checkDb(repair : boolean) : Promise<CheckReport>
+
+  fastify.decorate(
+    "checkDb",
+    /**
+     * Check each keytag in turn. A keytag is checked, and if asked repaired,
+     * serialized with its writes, so sees state and events from one batch.
+     * @param {boolean} repair
+     * @returns {Promise<t.CheckReport>}
+     * */
+    async function (repair) {
+      const { keytags, issues } = await check.scan(store);
+      /** @type {string[]} */
+      const repaired = [];
+      for (const keytag of keytags) {
+        const found = await serialize(keytag, async () => {
+          const r = await check.checkKeytag(store, config.initCost, keytag);
+          const ops = repair ? check.repairOps(keytag, r) : undefined;
+          if (ops) {
+            await store.batch(ops);
+            repaired.push(keytag.toString("hex"));
+          }
+          return r.issues;
+        });
+        issues.push(...found);
+      }
+      return { keytags: keytags.length, issues, repaired };
+    },
+  );
+
+  //   exportDb(format : ArchiveFormat) : AsyncGenerator<Buffer | string>
+
+  fastify.decorate(
+    "exportDb",
+    /**
+     * Archive of every entry. The entries are read with one iterator,
+     * so are as at the start of the export.
+     * Sealed values, and the sealed data key, are archived as they are.
+     * @param {t.ArchiveFormat} format
+     * */
+    function (format) {
+      return archive.encode(raw.iterator(), format, Date.now());
+    },
+  );
+
+  /**
+   * @param {Buffer} wrapped - data key
+   */
+  function canUnwrap(wrapped) {
+    if (config.encryption === undefined) return false;
+    try {
+      crypt.unwrap(config.encryption, wrapped);
+      return true;
+    } catch (_) {
+      return false;
+    }
+  }
+
+  //   restoreDb(archive : Buffer, format : ArchiveFormat, force : boolean) : Promise<Either<Restored, RestoreFail>>
+
+  fastify.decorate(
+    "restoreDb",
+    /**
+     * Write the entries of a valid archive in one batch.
+     * If the DB is not empty, it is refused unless forced.
+     * If forced, the existing entries are deleted in the same batch.
+     * An archive of an older schema is then migrated.
+     * One of a newer schema than the code is refused.
+     * An archive with a data key is refused unless the key can be unsealed.
+     * @param {Buffer} bytes - the archive
+     * @param {t.ArchiveFormat} format
+     * @param {boolean} force
+     * @returns {Promise<t.Either<t.Restored, t.RestoreFail>>}
+     * */
+    async function (bytes, format, force) {
+      const decoded = archive.decode(bytes, format);
+      if (decoded.kind == "Left") return decoded;
+      const { header, entries } = decoded.value;
+      const version = entries.find(([key, _]) =>
+        key.equals(keys.schemaVersion()),
+      );
+      if (
+        version &&
+        migrations.schemaVersionFromCbor(version[1]) > migrations.SCHEMA_VERSION
+      ) {
+        return { kind: "Left", error: "SchemaTooNew" };
+      }
+      const dataKey = entries.find(([key, _]) => key.equals(keys.dataKey()));
+      if (dataKey && !canUnwrap(dataKey[1])) {
+        return { kind: "Left", error: "KeyMismatch" };
+      }
+      /** @type {Buffer[]} */
+      const existing = [];
+      for await (const [key, _] of raw.iterator({ values: false })) {
+        if (!force) return { kind: "Left", error: "NotEmpty" };
+        existing.push(key);
+      }
+      /** @type {Op[]} */
+      const ops = [
+        ...existing.map(values.delKey),
+        ...entries.map(([key, value]) => values.putKey(key, value)),
+      ];
+      try {
+        await raw.batch(ops);
+        await crypted.load();
+        await migrations.run(store, fastify.log);
+      } catch (_) {
+        return { kind: "Left", error: "Other" };
+      }
+      return {
+        kind: "Right",
+        value: { entries: entries.length, createdAt: header.createdAt },
+      };
+    },
+  );
+
+  //   rotateDbKey(next : Encryption) : Promise<number>
+
+  fastify.decorate(
+    "rotateDbKey",
+    /**
+     * Reseal every sealed value under a new data key, sealed with the next
+     * keyfile or passphrase. Existing plain values are sealed too.
+     * Run with nothing else writing to the DB, and restart with the next
+     * keyfile or passphrase after.
+     * @param {t.Encryption} next
+     * @returns {Promise<number>} - number of values resealed
+     * */
+    function (next) {
+      return crypt.rotate(raw, config.encryption, next);
     },
   );
 }
 
 /**
- * Returns the subbit with greatest sub-able funds.
- * We use the `calcTot` with `cost = 0`.
- *
- * @param {bigint} iouAmt
- * @param {t.L1Subbit[]} l1Subbits
- * @returns {t.L1Subbit}
+ * Open the store of the config.
+ * LevelDB is opened by `@fastify/leveldb`, which also closes it.
+ * @param {FastifyInstance} fastify
+ * @param {Config} config
+ * @returns {Promise<Store>}
  */
-function selectL1Subbit(iouAmt, l1Subbits) {
-  let curr = l1Subbits.pop();
-  if (curr == undefined) throw new Error("Must have at least one entry");
-  const tot = (/** @type {bigint} */ sub, /** @type {bigint} */ subbitAmt) =>
-    values.calcTot(0n, iouAmt, sub, subbitAmt);
-  let currTot = tot(curr.sub, curr.subbitAmt);
-  while (l1Subbits.length > 0) {
-    const x = l1Subbits.pop();
-    if (x == undefined) {
-      break;
-    } else {
-      const t = tot(x.sub, x.subbitAmt);
-      if (t > currTot) {
-        curr = x;
-        currTot = t;
-      }
-    }
+export async function openStore(fastify, config) {
+  if (config.store == "memory" || config.store == "sqlite") {
+    const store =
+      config.store == "memory"
+        ? await memory.mkStore()
+        : await sqlite.mkStore(config.dbPath);
+    fastify.addHook("onClose", () => store.close());
+    return store;
+  } else {
+    await fastify.register(fastifyLeveldb, {
+      name: "db",
+      path: config.dbPath,
+      options: {
+        keyEncoding: "binary",
+        valueEncoding: "binary",
+      },
+    });
+    return leveldb.mkStore(fastify.level.db);
   }
-  return curr;
 }
 
 export default fastifyPlugin(Db);
@@ -0,0 +1,495 @@
+import * as assert from "node:assert";
+import { test, before, after } from "node:test";
+import * as fs from "node:fs";
+import * as os from "node:os";
+import * as path from "node:path";
+import Fastify from "fastify";
+
+import db from "./index.js";
+import * as keys from "./keys.js";
+import * as values from "./values.js";
+import * as events from "./events.js";
+import * as stages from "./stages.js";
+
+const initCost = 1000n;
+const dbPath = fs.mkdtempSync(path.join(os.tmpdir(), "subbit-man-db-"));
+const fastify = Fastify();
+fastify.register(db, {
+  config: {
+    store: "leveldb",
+    dbPath,
+    initCost,
+    stampSweepInterval: 0,
+    trafficIous: 3,
+    trafficExposurePct: 50,
+  },
+});
+
+before(() => fastify.ready());
+after(() => fastify.close().then(() => fs.rmSync(dbPath, { recursive: true })));
+
+let cnt = 0;
+/**
+ * A fresh subbit per test
+ * @param {bigint} subbitAmt
+ */
+async function mkSubbit(subbitAmt = 10n ** 9n) {
+  const keytag = keys.keytag(Buffer.alloc(32, 1), Buffer.from([cnt++]));
+  const l1 = { txId: Buffer.alloc(32, 2), outputIdx: 0n, sub: 0n, subbitAmt };
+  const r = await fastify.putL1(keytag, [l1]);
+  assert.deepEqual(r, { kind: "Right", value: "Insert" });
+  return keytag;
+}
+
+/**
+ * @param {Buffer} keytag
+ */
+async function getEvents(keytag) {
+  const res = [];
+  for await (const [key, value] of fastify.store.iterator(
+    keys.eventBounds(keytag),
+  )) {
+    if (keys.event2keytag(key).equals(keytag)) {
+      res.push([keys.event2seq(key), events.Logged.fromCbor(value).event]);
+    }
+  }
+  return res;
+}
+
+/**
+ * @param {Buffer} keytag
+ */
+async function getInfo(keytag) {
+  const r = await fastify.getInfo(keytag);
+  if (r.kind == "Left") throw new Error(r.error);
+  return r.value;
+}
+
+const sig = (/** @type {number} */ n) => Buffer.alloc(64, n % 256);
+
+test("concurrent mods are all applied", async (t) => {
+  const keytag = await mkSubbit();
+  const bys = [...Array(200).keys()].map((n) => BigInt(n));
+  const rs = await Promise.all(bys.map((by) => fastify.putMod(keytag, by)));
+  assert.ok(rs.every((r) => r.kind == "Right"));
+  const info = await getInfo(keytag);
+  assert.strictEqual(info.cost, initCost - bys.reduce((a, b) => a + b, 0n));
+  assert.strictEqual(info.seq, BigInt(bys.length + 1));
+  assert.strictEqual((await getEvents(keytag)).length, bys.length + 1);
+});
+
+test("concurrent ious keep the greatest", async (t) => {
+  const keytag = await mkSubbit();
+  // Shuffled amounts
+  const amounts = [...Array(200).keys()].map(
+    (n) => BigInt((n * 7919) % 200) + 1n,
+  );
+  const rs = await Promise.all(
+    amounts.map((amt) => fastify.putIou(keytag, amt, sig(Number(amt)))),
+  );
+  const accepted = rs.filter((r) => r.kind == "Right").length;
+  const info = await getInfo(keytag);
+  assert.strictEqual(info.iouAmt, 200n);
+  assert.deepEqual(info.sig, sig(200));
+  const ious = (await getEvents(keytag))
+    .map(([_, ev]) => ev)
+    .filter((ev) => ev instanceof events.Iou);
+  assert.strictEqual(ious.length, accepted);
+  // Accepted ious are strictly increasing
+  ious.forEach((ev, idx) => {
+    if (idx > 0) assert.ok(ev.amount > ious[idx - 1].amount);
+  });
+});
+
+test("concurrent mixed puts keep events in sequence", async (t) => {
+  const keytag = await mkSubbit();
+  const l1 = (/** @type {bigint} */ n) => ({
+    txId: Buffer.alloc(32, Number(n % 256n)),
+    outputIdx: n,
+    sub: 0n,
+    subbitAmt: 10n ** 9n,
+  });
+  const tasks = [...Array(300).keys()].map((n) => {
+    const x = BigInt(n);
+    if (n % 3 == 0) return fastify.putMod(keytag, 1n);
+    if (n % 3 == 1) return fastify.putIou(keytag, x, sig(n));
+    return fastify.putL1(keytag, [l1(x)]);
+  });
+  await Promise.all(tasks);
+  const evs = await getEvents(keytag);
+  const info = await getInfo(keytag);
+  assert.strictEqual(info.cost, initCost - 100n);
+  assert.strictEqual(info.iouAmt, 298n);
+  assert.strictEqual(info.seq, BigInt(evs.length));
+  evs.forEach(([seq], idx) => assert.strictEqual(seq, BigInt(idx)));
+});
+
+test("suspend wins over concurrent ious", async (t) => {
+  const keytag = await mkSubbit();
+  const before = [1n, 2n, 3n].map((amt) =>
+    fastify.putIou(keytag, amt, sig(Number(amt))),
+  );
+  const edit = fastify.putEdit(keytag, { kind: "suspend" });
+  const afterwards = [4n, 5n].map((amt) =>
+    fastify.putIou(keytag, amt, sig(Number(amt))),
+  );
+  assert.ok((await Promise.all(before)).every((r) => r.kind == "Right"));
+  assert.deepEqual(await edit, { kind: "Right", value: null });
+  assert.ok(
+    (await Promise.all(afterwards)).every(
+      (r) => r.kind == "Left" && r.error == "Suspended",
+    ),
+  );
+  assert.strictEqual((await getInfo(keytag)).iouAmt, 3n);
+});
+
+test("concurrent stamps are accepted once", async (t) => {
+  const keytag = await mkSubbit();
+  const expiresAt = BigInt(Date.now() + 60000);
+  const rs = await Promise.all(
+    [...Array(50).keys()].map(() =>
+      fastify.putStamp(keytag, sig(9), expiresAt),
+    ),
+  );
+  assert.strictEqual(rs.filter((r) => r.kind == "Right").length, 1);
+});
+
+test("events are paged and filtered", async (t) => {
+  const keytag = await mkSubbit(500n);
+  await fastify.putIou(keytag, 10n, sig(10));
+  await fastify.putMod(keytag, 5n);
+  await fastify.putIou(keytag, 20n, sig(20));
+  const all = await fastify.getEvents(keytag, { limit: 10 });
+  assert.ok(all.kind == "Right");
+  assert.deepEqual(
+    all.value.events.map(({ event }) => events.kind(event)),
+    ["L1", "Iou", "Mod", "Iou"],
+  );
+  assert.strictEqual(all.value.next, undefined);
+  // The L1 event records the snapshot
+  const l1 = all.value.events[0].event;
+  assert.ok(l1 instanceof events.L1 && l1.l1Subbits[0].subbitAmt == 500n);
+
+  const page0 = await fastify.getEvents(keytag, { kinds: ["Iou"], limit: 1 });
+  assert.ok(page0.kind == "Right");
+  assert.deepEqual(
+    page0.value.events.map(({ seq }) => seq),
+    [1n],
+  );
+  assert.strictEqual(page0.value.next, 1n);
+  const page1 = await fastify.getEvents(keytag, {
+    kinds: ["Iou"],
+    after: page0.value.next,
+    limit: 1,
+  });
+  assert.ok(page1.kind == "Right");
+  assert.deepEqual(
+    page1.value.events.map(({ seq }) => seq),
+    [3n],
+  );
+
+  const none = await fastify.getEvents(keytag, { to: 1n, limit: 10 });
+  assert.deepEqual(none, { kind: "Right", value: { events: [] } });
+});
+
+test("replayed info matches info", async (t) => {
+  const keytag = await mkSubbit();
+  await fastify.putIou(keytag, 10n, sig(10));
+  await fastify.putMod(keytag, 5n);
+  const at = BigInt(Date.now());
+  await new Promise((resolve) => setTimeout(resolve, 5));
+  await fastify.putIou(keytag, 20n, sig(20));
+  await fastify.putEdit(keytag, { kind: "mod", by: "7" });
+  const info = await getInfo(keytag);
+  const now = await fastify.getInfoAt(keytag, BigInt(Date.now()));
+  assert.deepEqual(now, { kind: "Right", value: info });
+  const past = await fastify.getInfoAt(keytag, at);
+  assert.ok(past.kind == "Right");
+  assert.strictEqual(past.value.iouAmt, 10n);
+  assert.strictEqual(past.value.cost, initCost - 5n);
+  const before = await fastify.getInfoAt(keytag, 0n);
+  assert.deepEqual(before, { kind: "Left", error: "NoSubbit" });
+});
+
+test("check flags and repairs state", async (t) => {
+  const clean = await fastify.checkDb(false);
+  assert.deepEqual(clean.issues, []);
+
+  const db = fastify.store;
+  const partial = await mkSubbit();
+  await fastify.putIou(partial, 10n, sig(10));
+  await db.batch([values.delKey(keys.sig(partial))]);
+  const undecodable = await mkSubbit();
+  await db.batch([
+    { type: "put", key: keys.cost(undecodable), value: Buffer.from([0xff]) },
+  ]);
+  const mismatch = await mkSubbit();
+  await fastify.putIou(mismatch, 10n, sig(10));
+  await db.batch([values.putIouAmt(mismatch, 1n)]);
+  // As if inserted with another init cost: not a mismatch, and kept
+  const otherCost = await mkSubbit();
+  await fastify.putIou(otherCost, 10n, sig(10));
+  await db.batch([
+    values.putCost(otherCost, 1n),
+    values.delKey(keys.sig(otherCost)),
+  ]);
+  const orphan = await mkSubbit();
+  await db.batch(keys.stateKeys(orphan).map(values.delKey));
+
+  const found = await fastify.checkDb(false);
+  assert.deepEqual(
+    found.issues.map((i) => ("keytag" in i ? [i.kind, i.keytag] : [i.kind])),
+    [
+      ["Partial", partial.toString("hex")],
+      ["Undecodable", undecodable.toString("hex")],
+      ["Mismatch", mismatch.toString("hex")],
+      ["Partial", otherCost.toString("hex")],
+      ["Index", orphan.toString("hex")],
+      ["Orphan", orphan.toString("hex")],
+    ],
+  );
+  assert.deepEqual(found.repaired, []);
+
+  const repaired = await fastify.checkDb(true);
+  assert.strictEqual(repaired.repaired.length, 5);
+  assert.deepEqual((await fastify.checkDb(false)).issues, []);
+  assert.deepEqual((await getInfo(partial)).sig, sig(10));
+  assert.strictEqual((await getInfo(mismatch)).iouAmt, 10n);
+  assert.strictEqual((await getInfo(otherCost)).cost, 1n);
+  assert.strictEqual((await getInfo(undecodable)).cost, initCost);
+  assert.strictEqual((await getInfo(orphan)).cost, initCost);
+});
+
+test("indexes follow the stage", async (t) => {
+  const keytag = await mkSubbit();
+  const iouKey = keytag.subarray(0, 32);
+  const tag = keytag.subarray(32);
+  const other = keys.keytag(Buffer.alloc(32, 2), tag);
+  await fastify.putL1(other, [
+    { txId: Buffer.alloc(32, 3), outputIdx: 0n, sub: 0n, subbitAmt: 1n },
+  ]);
+  assert.deepEqual(await fastify.getKeytagsByTag(tag), [keytag, other]);
+  assert.deepEqual(
+    (await fastify.getKeytagsByIouKey(iouKey)).filter((kt) =>
+      kt.equals(keytag),
+    ),
+    [keytag],
+  );
+  assert.ok((await fastify.getOpened()).some((kt) => kt.equals(keytag)));
+  await fastify.putEdit(keytag, { kind: "suspend" });
+  assert.ok(!(await fastify.getOpened()).some((kt) => kt.equals(keytag)));
+  await fastify.dropSubbit(keytag);
+  assert.deepEqual(await fastify.getKeytagsByTag(tag), [other]);
+  assert.deepEqual(Object.keys(await fastify.getIousByTag(tag)), [
+    other.toString("hex"),
+  ]);
+  assert.deepEqual((await fastify.checkDb(false)).issues, []);
+});
+
+test("L1 blocks are recorded, and dropped with the subbit", async (t) => {
+  const keytag = await mkSubbit();
+  const l1Block = {
+    txId: Buffer.alloc(32, 2),
+    outputIdx: 0n,
+    height: 42n,
+    hash: Buffer.alloc(32, 7),
+  };
+  await fastify.putL1Block(keytag, l1Block);
+  const find = async () =>
+    (await fastify.getL1Blocks()).find(([kt]) => kt.equals(keytag));
+  assert.deepEqual(await find(), [keytag, l1Block]);
+  assert.deepEqual((await fastify.checkDb(false)).issues, []);
+  await fastify.putEdit(keytag, { kind: "suspend" });
+  await fastify.dropSubbit(keytag);
+  assert.strictEqual(await find(), undefined);
+});
+
+test("quarantined subbits are recorded and released", async (t) => {
+  const keytag = (await mkSubbit()).toString("hex");
+  const quarantined = {
+    keytag,
+    step: /** @type {const} */ ("sub"),
+    reason: "Invalid signature",
+    txId: "02".repeat(32),
+    outputIdx: 0,
+    iouAmt: 5000n,
+    at: Date.now(),
+  };
+  await fastify.putQuarantined(quarantined);
+  assert.deepEqual(await fastify.getQuarantined(), [quarantined]);
+  assert.deepEqual((await fastify.checkDb(false)).issues, []);
+  assert.strictEqual(await fastify.delQuarantined(keytag), true);
+  assert.strictEqual(await fastify.delQuarantined(keytag), false);
+  assert.deepEqual(await fastify.getQuarantined(), []);
+});
+
+test("IOU traffic crossing a threshold is told", async (t) => {
+  /** @type {import("./types.ts").Traffic[]} */
+  const told = [];
+  fastify.onTraffic((traffic) => told.push(traffic));
+  const of = (/** @type {Buffer} */ keytag) =>
+    told
+      .filter((x) => x.keytag == keytag.toString("hex"))
+      .map((x) => [x.reason, x.ious, x.exposure]);
+
+  const busy = await mkSubbit(1000n);
+  for (const amt of [100n, 200n, 300n]) {
+    await fastify.putIou(busy, amt, sig(Number(amt)));
+  }
+  assert.deepEqual(of(busy), [["ious", 3, 300n]]);
+
+  const exposed = await mkSubbit(1000n);
+  await fastify.putIou(exposed, 400n, sig(400));
+  await fastify.putIou(exposed, 500n, sig(500));
+  assert.deepEqual(of(exposed), [["exposure", 2, 500n]]);
+});
+
+test("infos are paged and streamed", async (t) => {
+  const all = await fastify.getInfos();
+  assert.ok(all.length > 3 && all.every((r) => r.kind == "Right"));
+  const keytagOf = (/** @type {any} */ r) =>
+    keys.keytag(r.value.iouKey, r.value.tag).toString("hex");
+  const page0 = await fastify.getInfos({ limit: 2 });
+  const page1 = await fastify.getInfos({
+    after: Buffer.from(keytagOf(page0[1]), "hex"),
+    limit: 2,
+  });
+  assert.deepEqual(
+    [...page0, ...page1].map(keytagOf),
+    all.slice(0, 4).map(keytagOf),
+  );
+  const streamed = [];
+  for await (const r of fastify.streamInfos()) {
+    streamed.push(keytagOf(r));
+  }
+  assert.deepEqual(streamed, all.map(keytagOf));
+  // Stopping early ends the iterator
+  for await (const _ of fastify.streamInfos()) break;
+});
+
+test("export and restore", async (t) => {
+  const copy = Fastify();
+  copy.register(db, {
+    config: { store: "memory", dbPath, initCost, stampSweepInterval: 0 },
+  });
+  await copy.ready();
+  t.after(() => copy.close());
+
+  const all = await fastify.getInfos();
+  for (const format of /** @type {const} */ (["cbor", "ndjson"])) {
+    const chunks = [];
+    for await (const chunk of fastify.exportDb(format)) {
+      chunks.push(typeof chunk == "string" ? Buffer.from(chunk) : chunk);
+    }
+    const archive = Buffer.concat(chunks);
+    const restored = await copy.restoreDb(archive, format, true);
+    assert.strictEqual(restored.kind, "Right");
+    assert.deepEqual(await copy.getInfos(), all);
+    assert.deepEqual(await copy.restoreDb(archive, format, false), {
+      kind: "Left",
+      error: "NotEmpty",
+    });
+    const corrupt = Buffer.from(archive);
+    corrupt[corrupt.length - 2] ^= 1;
+    const r = await copy.restoreDb(corrupt, format, true);
+    assert.ok(r.kind == "Left" && r.error != "NotEmpty");
+  }
+});
+
+test("drops need suspension, and events go by age", async (t) => {
+  const opened = await mkSubbit();
+  const suspended = await mkSubbit();
+  await fastify.putIou(opened, 10n, sig(10));
+  await fastify.putIou(suspended, 10n, sig(10));
+  await fastify.putEdit(suspended, { kind: "suspend" });
+
+  assert.deepEqual(await fastify.dropSubbit(opened), {
+    kind: "Left",
+    error: "Opened",
+  });
+  // Events of suspended subbits are dropped, but the latest IOU remains
+  assert.deepEqual(await fastify.dropEvents(60n * 1000n), []);
+  const kept = await getEvents(opened);
+  const dropped = await fastify.dropEvents(-1n);
+  assert.deepEqual(
+    dropped.find(([kt]) => kt.equals(opened)),
+    [opened, { kind: "Left", error: "Opened" }],
+  );
+  assert.deepEqual(
+    dropped.find(([kt]) => kt.equals(suspended)),
+    [suspended, { kind: "Right", value: null }],
+  );
+  assert.deepEqual(await getEvents(opened), kept);
+  assert.deepEqual(await getEvents(suspended), []);
+  assert.strictEqual((await getInfo(suspended)).iouAmt, 10n);
+
+  assert.deepEqual(await fastify.dropSuspended(60n * 1000n), []);
+  const r = await fastify.dropSuspended(-1n);
+  assert.deepEqual(
+    r.find(([kt]) => kt.equals(suspended)),
+    [suspended, { kind: "Right", value: null }],
+  );
+  assert.ok(r.every(([kt]) => !kt.equals(opened)));
+  assert.deepEqual(await fastify.dropSubbit(suspended), {
+    kind: "Left",
+    error: "NoSubbit",
+  });
+  assert.strictEqual((await fastify.getInfo(opened)).kind, "Right");
+});
+
+test("check tells dropped events from lost ones", async (t) => {
+  const dropped = await mkSubbit();
+  await fastify.putIou(dropped, 10n, sig(10));
+  await fastify.putEdit(dropped, { kind: "suspend" });
+  await fastify.dropEvents(-1n);
+  await fastify.putEdit(dropped, { kind: "unsuspend" });
+  await fastify.putIou(dropped, 20n, sig(20));
+  const lost = await mkSubbit();
+  await fastify.putIou(lost, 10n, sig(10));
+  await fastify.putIou(lost, 20n, sig(20));
+  await fastify.store.batch([values.delKey(keys.event(lost, 1n))]);
+
+  const found = await fastify.checkDb(true);
+  assert.deepEqual(found.issues, [
+    { kind: "Incomplete", keytag: lost.toString("hex") },
+  ]);
+  assert.deepEqual(found.repaired, []);
+  assert.strictEqual((await getInfo(lost)).iouAmt, 20n);
+});
+
+test("restoreL1 reopens subbits suspended as closed, not by an edit", async (t) => {
+  const closed = await mkSubbit(5000n);
+  const edited = await mkSubbit();
+  await fastify.putIou(closed, 10n, sig(10));
+  await fastify.putL1(closed, []);
+  await fastify.putEdit(edited, { kind: "suspend" });
+  const l1Block = {
+    txId: Buffer.alloc(32, 2),
+    outputIdx: 0n,
+    height: 1n,
+    hash: Buffer.alloc(32),
+  };
+
+  assert.deepEqual(await fastify.restoreL1(closed, l1Block), {
+    kind: "Right",
+    value: "Restore",
+  });
+  const info = await getInfo(closed);
+  assert.deepEqual(
+    [info.stage, info.iouAmt, info.subbitAmt],
+    [new stages.Opened(l1Block.txId, 0n), 10n, 5000n],
+  );
+  assert.deepEqual(await fastify.restoreL1(closed, l1Block), {
+    kind: "Right",
+    value: "NoneOpened",
+  });
+  assert.deepEqual(await fastify.restoreL1(edited, l1Block), {
+    kind: "Right",
+    value: "NoneSuspended",
+  });
+  // As replayed from the events
+  const { issues } = await fastify.checkDb(false);
+  assert.ok(
+    issues.every((i) => !("keytag" in i) || i.keytag != closed.toString("hex")),
+  );
+});
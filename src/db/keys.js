@@ -1,10 +1,41 @@
 import * as cbor from "../cbor.js";
 
-const NOW_BYTES_LENGTH = 9;
+const SEQ_BYTES_LENGTH = 8;
+const LEGACY_NOW_BYTES_LENGTH = 9;
+const SIGNATURE_LENGTH = 64;
+const IOU_KEY_LENGTH = 32;
 
 export const pref = {
   state: 0,
   event: 1,
+  stamp: 2,
+  index: 3,
+  meta: 4,
+  tenant: 5,
+};
+
+/**
+ * Metadata of the DB as a whole, the L1 txs submitted by the provider, the
+ * subbits quarantined from them, the closed subbits yet to settle, and the
+ * events dropped of each subbit.
+ */
+export const meta = {
+  schemaVersion: 0,
+  dataKey: 1,
+  tx: 2,
+  quarantine: 3,
+  closed: 4,
+  dropped: 5,
+};
+
+/**
+ * Secondary indexes. There is none by iouKey: state keys begin with it.
+ * The block index is of the L1 block each synced subbit came from.
+ */
+export const index = {
+  tag: 0,
+  stage: 1,
+  block: 2,
 };
 
 export const suff = {
@@ -14,6 +45,7 @@ export const suff = {
   sub: 3,
   subbitAmt: 4,
   sig: 5,
+  seq: 6,
 };
 
 /**
@@ -41,15 +73,19 @@ export function keytag(iouKey, tag) {
   return Buffer.from([...iouKey, ...tag]);
 }
 
-export function allStateBounds() {
-  return { lt: Buffer.from([pref.event]) };
+/**
+ * @param {Buffer} [after] - if set, only state of keytags after this keytag
+ */
+export function allStateBounds(after) {
+  const lt = Buffer.from([pref.event]);
+  return after === undefined ? { lt } : { gt: seq(after), lt };
 }
 
 /**
  * @param {Buffer} keytag
  */
 export function stateBounds(keytag) {
-  return { gte: stage(keytag), lte: sig(keytag) };
+  return { gte: stage(keytag), lte: seq(keytag) };
 }
 
 /**
@@ -159,6 +195,22 @@ export function sigS(iouKey, tag) {
   return Buffer.from([pref.state, ...iouKey, ...tag, suff.sig]);
 }
 
+/**
+ * The sequence number of the next event of the keytag.
+ * @param {Buffer} keytag
+ */
+export function seq(keytag) {
+  return Buffer.from([pref.state, ...keytag, suff.seq]);
+}
+
+/**
+ * @param {Buffer} iouKey
+ * @param {Buffer} tag
+ */
+export function seqS(iouKey, tag) {
+  return Buffer.from([pref.state, ...iouKey, ...tag, suff.seq]);
+}
+
 /**
  * @param {Buffer} c
  */
@@ -174,20 +226,287 @@ export function state2tag(c) {
 }
 
 /**
+ * @param {bigint} seq
+ */
+function seqBytes(seq) {
+  const b = Buffer.alloc(SEQ_BYTES_LENGTH);
+  b.writeBigUInt64BE(seq);
+  return b;
+}
+
+/**
+ * Events of a keytag are ordered by their sequence number.
+ * The sequence number is encoded as a fixed (8) number of bytes.
  * @param {Buffer} keytag
+ * @param {bigint} seq
  */
-export function event(keytag) {
-  const nowBytes = cbor.encode(Date.now());
-  if (nowBytes.length != NOW_BYTES_LENGTH)
-    throw new Error(`Now must have ${NOW_BYTES_LENGTH}`);
-  return Buffer.from([pref.event, ...keytag, ...nowBytes]);
+export function event(keytag, seq) {
+  return Buffer.from([pref.event, ...keytag, ...seqBytes(seq)]);
 }
 
 /**
  * @param {Buffer} eventKey
  */
 export function event2keytag(eventKey) {
-  return eventKey.subarray(1, eventKey.length - NOW_BYTES_LENGTH);
+  return eventKey.subarray(1, eventKey.length - SEQ_BYTES_LENGTH);
+}
+
+/**
+ * @param {Buffer} eventKey
+ */
+export function event2seq(eventKey) {
+  return eventKey.readBigUInt64BE(eventKey.length - SEQ_BYTES_LENGTH);
+}
+
+/**
+ * Event keys prior to sequence numbers ended with the timestamp.
+ * Used only to migrate.
+ * @param {Buffer} eventKey
+ */
+export function legacyEvent2keytag(eventKey) {
+  return eventKey.subarray(1, eventKey.length - LEGACY_NOW_BYTES_LENGTH);
+}
+
+/**
+ * @param {Buffer} eventKey
+ */
+export function legacyEvent2timestamp(eventKey) {
+  return BigInt(
+    // @ts-ignore
+    cbor.decode(eventKey.subarray(eventKey.length - LEGACY_NOW_BYTES_LENGTH)),
+  );
+}
+
+export function allEventBounds() {
+  return { gte: Buffer.from([pref.event]), lt: Buffer.from([pref.event + 1]) };
+}
+
+/**
+ * Bounds cover all events of the keytag, but may also include events of
+ * keytags for which this keytag is a prefix. Filter with `event2keytag`.
+ * @param {Buffer} keytag
+ * @param {bigint} [after] - if set, only events with a greater sequence number
+ */
+export function eventBounds(keytag, after) {
+  return {
+    gt:
+      after === undefined
+        ? Buffer.from([pref.event, ...keytag])
+        : event(keytag, after),
+    lte: Buffer.from([
+      pref.event,
+      ...keytag,
+      ...Array(SEQ_BYTES_LENGTH).fill(255),
+    ]),
+  };
+}
+
+/**
+ * Key of a seen stamp credential.
+ * @param {Buffer} keytag
+ * @param {Buffer} signature
+ */
+export function stamp(keytag, signature) {
+  if (signature.length != SIGNATURE_LENGTH)
+    throw new Error(`Signature must have ${SIGNATURE_LENGTH}`);
+  return Buffer.from([pref.stamp, ...keytag, ...signature]);
+}
+
+/**
+ * @param {Buffer} stampKey
+ */
+export function stamp2keytag(stampKey) {
+  return stampKey.subarray(1, stampKey.length - SIGNATURE_LENGTH);
+}
+
+export function allStampBounds() {
+  return { gte: Buffer.from([pref.stamp]), lt: Buffer.from([pref.stamp + 1]) };
+}
+
+/**
+ * Bounds of the state of all keytags with the iouKey.
+ * @param {Buffer} iouKey
+ */
+export function iouKeyBounds(iouKey) {
+  const lt = Buffer.from([pref.state, ...iouKey]);
+  // Increment, as a big endian number
+  for (let i = lt.length - 1; i >= 0; i--) {
+    if (lt[i] < 255) {
+      lt[i]++;
+      break;
+    }
+    lt[i] = 0;
+  }
+  return { gt: Buffer.from([pref.state, ...iouKey]), lt };
+}
+
+/**
+ * Tag index key. The tag is first, so keytags with the tag are adjacent.
+ * @param {Buffer} keytag
+ */
+export function tagIndex(keytag) {
+  return Buffer.from([
+    pref.index,
+    index.tag,
+    ...keytag.subarray(IOU_KEY_LENGTH),
+    ...keytag.subarray(0, IOU_KEY_LENGTH),
+  ]);
+}
+
+/**
+ * Bounds may include keys of longer tags with this tag as a prefix.
+ * Filter with `tagIndex2tag`.
+ * @param {Buffer} tag
+ */
+export function tagIndexBounds(tag) {
+  return {
+    gte: Buffer.from([pref.index, index.tag, ...tag]),
+    lte: Buffer.from([
+      pref.index,
+      index.tag,
+      ...tag,
+      ...Array(IOU_KEY_LENGTH).fill(255),
+    ]),
+  };
+}
+
+/**
+ * @param {Buffer} tagIndexKey
+ */
+export function tagIndex2tag(tagIndexKey) {
+  return tagIndexKey.subarray(2, tagIndexKey.length - IOU_KEY_LENGTH);
+}
+
+/**
+ * @param {Buffer} tagIndexKey
+ */
+export function tagIndex2keytag(tagIndexKey) {
+  return keytag(
+    tagIndexKey.subarray(tagIndexKey.length - IOU_KEY_LENGTH),
+    tagIndex2tag(tagIndexKey),
+  );
+}
+
+/**
+ * Stage index key.
+ * @param {number} stageIdx - see `stages.stageIdx`
+ * @param {Buffer} keytag
+ */
+export function stageIndex(stageIdx, keytag) {
+  return Buffer.from([pref.index, index.stage, stageIdx, ...keytag]);
+}
+
+/**
+ * @param {number} stageIdx
+ */
+export function stageIndexBounds(stageIdx) {
+  return {
+    gt: Buffer.from([pref.index, index.stage, stageIdx]),
+    lt: Buffer.from([pref.index, index.stage, stageIdx + 1]),
+  };
+}
+
+/**
+ * @param {Buffer} stageIndexKey
+ */
+export function stageIndex2keytag(stageIndexKey) {
+  return stageIndexKey.subarray(3);
+}
+
+/**
+ * Block index key. Unlike the other indexes, its value is not empty.
+ * @param {Buffer} keytag
+ */
+export function blockIndex(keytag) {
+  return Buffer.from([pref.index, index.block, ...keytag]);
+}
+
+export function blockIndexBounds() {
+  return {
+    gt: Buffer.from([pref.index, index.block]),
+    lt: Buffer.from([pref.index, index.block + 1]),
+  };
+}
+
+/**
+ * @param {Buffer} blockIndexKey
+ */
+export function blockIndex2keytag(blockIndexKey) {
+  return blockIndexKey.subarray(2);
+}
+
+export function allIndexBounds() {
+  return { gte: Buffer.from([pref.index]), lt: Buffer.from([pref.index + 1]) };
+}
+
+export function schemaVersion() {
+  return Buffer.from([pref.meta, meta.schemaVersion]);
+}
+
+export function dataKey() {
+  return Buffer.from([pref.meta, meta.dataKey]);
+}
+
+/**
+ * Key of a submitted tx
+ * @param {Buffer} txHash
+ */
+export function tx(txHash) {
+  return Buffer.from([pref.meta, meta.tx, ...txHash]);
+}
+
+export function txBounds() {
+  return {
+    gt: Buffer.from([pref.meta, meta.tx]),
+    lt: Buffer.from([pref.meta, meta.tx + 1]),
+  };
+}
+
+/**
+ * Key of a subbit quarantined from L1 txs
+ * @param {Buffer} keytag
+ */
+export function quarantine(keytag) {
+  return Buffer.from([pref.meta, meta.quarantine, ...keytag]);
+}
+
+export function quarantineBounds() {
+  return {
+    gt: Buffer.from([pref.meta, meta.quarantine]),
+    lt: Buffer.from([pref.meta, meta.quarantine + 1]),
+  };
+}
+
+/**
+ * Key of a subbit closed on the L1, yet to settle
+ * @param {Buffer} keytag
+ */
+export function closed(keytag) {
+  return Buffer.from([pref.meta, meta.closed, ...keytag]);
+}
+
+export function closedBounds() {
+  return {
+    gt: Buffer.from([pref.meta, meta.closed]),
+    lt: Buffer.from([pref.meta, meta.closed + 1]),
+  };
+}
+
+/**
+ * Key of the sequence number below which the events of a subbit were dropped
+ * @param {Buffer} keytag
+ */
+export function dropped(keytag) {
+  return Buffer.from([pref.meta, meta.dropped, ...keytag]);
+}
+
+/**
+ * Prefix of the keys of a tenant, when several share the DB.
+ * The keys of a tenant are otherwise as those of a DB of its own.
+ * @param {Buffer} provider
+ */
+export function tenant(provider) {
+  return Buffer.from([pref.tenant, ...provider]);
 }
 
 /**
@@ -201,35 +520,25 @@ export function stateKeys(keytag) {
     sub(keytag),
     subbitAmt(keytag),
     sig(keytag),
+    seq(keytag),
   ];
 }
 
 /**
  * @param {Buffer} iouKey
  * @param {Buffer} tag
+ * @param {bigint} seq
  */
-export function eventS(iouKey, tag) {
-  return Buffer.from([
-    pref.event,
-    ...iouKey,
-    ...tag,
-    ...cbor.encode(Date.now()),
-  ]);
+export function eventS(iouKey, tag, seq) {
+  return Buffer.from([pref.event, ...iouKey, ...tag, ...seqBytes(seq)]);
 }
 
 /**
- * @typedef AbIterator
- * @type {import("abstract-leveldown").AbstractIterator<Buffer<ArrayBufferLike>, any>}
- * */
-/**
- * @param {AbIterator} i
+ * @param {import("./store/types.ts").Iterator} i
  */
 export async function* keytagIter(i) {
-  let cnt = 0;
-  const loopLen = Object.entries(suff).length; // 6
-  // @ts-ignore
   for await (const [key, _] of i) {
-    if (cnt++ % loopLen == 0) {
+    if (key[key.length - 1] == suff.stage) {
       yield key.subarray(1, key.length - 1);
     }
   }
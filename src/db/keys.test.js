@@ -0,0 +1,56 @@
+import * as assert from "node:assert";
+import { test } from "node:test";
+
+import * as keys from "./keys.js";
+
+const iouKey = Buffer.from("0".repeat(64), "hex");
+const tag = Buffer.from("deadbeef", "hex");
+const keytag = keys.keytag(iouKey, tag);
+
+test("event key roundtrip keytag and seq", (t) => {
+  [0n, 1n, 255n, 256n, 2n ** 32n, 2n ** 64n - 1n].forEach((seq) => {
+    const key = keys.event(keytag, seq);
+    assert.deepEqual(keys.event2keytag(key), keytag);
+    assert.strictEqual(keys.event2seq(key), seq);
+  });
+});
+
+test("event keys ordered by seq", (t) => {
+  const seqs = [0n, 1n, 255n, 256n, 2n ** 32n];
+  const eventKeys = seqs.map((seq) => keys.event(keytag, seq));
+  const sorted = [...eventKeys].sort(Buffer.compare);
+  assert.deepEqual(sorted, eventKeys);
+});
+
+test("event bounds", (t) => {
+  const key = keys.event(keytag, 7n);
+  const { gt, lte } = keys.eventBounds(keytag);
+  assert.ok(Buffer.compare(gt, key) < 0);
+  assert.ok(Buffer.compare(key, lte) <= 0);
+  const { gte, lt } = keys.allEventBounds();
+  assert.ok(Buffer.compare(gte, key) <= 0);
+  assert.ok(Buffer.compare(key, lt) < 0);
+  assert.ok(Buffer.compare(keys.seq(keytag), gte) < 0);
+});
+
+test("tag index roundtrip keytag", (t) => {
+  const key = keys.tagIndex(keytag);
+  assert.deepEqual(keys.tagIndex2tag(key), tag);
+  assert.deepEqual(keys.tagIndex2keytag(key), keytag);
+  const { gte, lte } = keys.tagIndexBounds(tag);
+  assert.ok(Buffer.compare(gte, key) <= 0);
+  assert.ok(Buffer.compare(key, lte) <= 0);
+});
+
+test("iouKey bounds", (t) => {
+  const { gt, lt } = keys.iouKeyBounds(iouKey);
+  assert.ok(Buffer.compare(gt, keys.stage(keytag)) < 0);
+  assert.ok(Buffer.compare(keys.seq(keytag), lt) < 0);
+  const next = keys.keytag(Buffer.from("0".repeat(63) + "1", "hex"), tag);
+  assert.ok(Buffer.compare(lt, keys.stage(next)) <= 0);
+  const last = Buffer.alloc(32, 255);
+  assert.deepEqual(
+    keys.iouKeyBounds(last).lt,
+    Buffer.from([1, ...Buffer.alloc(32)]),
+  );
+});
@@ -0,0 +1,211 @@
+import * as cbor from "../cbor.js";
+import * as keys from "./keys.js";
+import * as values from "./values.js";
+import * as events from "./events.js";
+import * as stages from "./stages.js";
+
+/**
+ * @import { Store, Op } from "./store/types.ts";
+ * */
+
+/**
+ * @typedef Log
+ * @type {{ info: (msg : string) => void }}
+ * */
+
+/**
+ * Migrations in order. The one at index `i` upgrades a DB at schema version
+ * `i` to `i + 1`. A DB from before schema versions were recorded is at version
+ * 0. Each migration is safe to run more than once, so an interrupted upgrade
+ * resumes from the last version recorded.
+ * @type {{ name : string, run : (db : Store, log : Log) => Promise<number> }[]}
+ */
+export const steps = [
+  { name: "event sequence numbers", run: eventSeqs },
+  { name: "indexes", run: indexes },
+];
+
+/** The schema version of the code */
+export const SCHEMA_VERSION = steps.length;
+
+/**
+ * @param {Store} db
+ * @returns {Promise<number | undefined>} - `undefined` if not recorded
+ */
+export function getSchemaVersion(db) {
+  return db
+    .get(keys.schemaVersion())
+    .then((v) => (v === undefined ? undefined : schemaVersionFromCbor(v)));
+}
+
+/**
+ * @param {Uint8Array} v
+ */
+export function schemaVersionFromCbor(v) {
+  return Number(cbor.decode(v));
+}
+
+/**
+ * @param {number} version
+ * @returns {Op}
+ */
+export function putSchemaVersion(version) {
+  return {
+    type: "put",
+    key: keys.schemaVersion(),
+    value: Buffer.from(cbor.encode(version)),
+  };
+}
+
+/**
+ * Upgrade the DB to the schema version of the code, a step at a time.
+ * The version is recorded after each step.
+ * An empty DB is recorded at the version of the code.
+ * A DB at a newer version than the code is refused.
+ *
+ * @param {Store} db
+ * @param {Log} log
+ * @returns {Promise<{ from : number, to : number }>}
+ */
+export async function run(db, log) {
+  const recorded = await getSchemaVersion(db);
+  if (recorded === undefined && (await isEmpty(db))) {
+    await db.batch([putSchemaVersion(SCHEMA_VERSION)]);
+    return { from: SCHEMA_VERSION, to: SCHEMA_VERSION };
+  }
+  const from = recorded ?? 0;
+  if (from > SCHEMA_VERSION) {
+    throw new Error(
+      `DB schema version ${from} is newer than supported (${SCHEMA_VERSION})`,
+    );
+  }
+  if (from < SCHEMA_VERSION) {
+    log.info(`[db] Upgrading schema from version ${from} to ${SCHEMA_VERSION}`);
+  }
+  for (let version = from; version < SCHEMA_VERSION; version++) {
+    const step = steps[version];
+    log.info(`[db] Migration ${version + 1}/${SCHEMA_VERSION}: ${step.name}`);
+    await step.run(db, log);
+    await db.batch([putSchemaVersion(version + 1)]);
+  }
+  return { from, to: SCHEMA_VERSION };
+}
+
+/**
+ * @param {Store} db
+ */
+async function isEmpty(db) {
+  for await (const _ of db.iterator({ limit: 1, values: false })) {
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Event keys used to end with the timestamp of the event.
+ * Events in the same millisecond would overwrite one another.
+ * Now event keys end with a per keytag sequence number,
+ * and the timestamp is part of the event value.
+ *
+ * Legacy events are rekeyed in order, with the timestamp moved into the value.
+ * Every subbit then has its sequence number set past its last event.
+ * It is safe to run more than once.
+ *
+ * @param {Store} db
+ * @param {Log} log
+ * @returns {Promise<number>} - number of legacy events migrated
+ */
+export async function eventSeqs(db, log) {
+  /** @type {Record<string, [Buffer, Buffer][]>} */
+  const legacy = {};
+  /** @type {Record<string, bigint>} */
+  const nextSeqs = {};
+  let cnt = 0;
+  for await (const [key, value] of db.iterator(keys.allEventBounds())) {
+    if (Array.isArray(cbor.decode(value))) {
+      const keytagHex = keys.event2keytag(key).toString("hex");
+      nextSeqs[keytagHex] = keys.event2seq(key) + 1n;
+    } else {
+      const keytagHex = keys.legacyEvent2keytag(key).toString("hex");
+      (legacy[keytagHex] || (legacy[keytagHex] = [])).push([key, value]);
+      cnt++;
+    }
+  }
+
+  if (cnt > 0) log.info(`[db] Migrating ${cnt} events to sequence numbers`);
+  for (const [keytagHex, entries] of Object.entries(legacy)) {
+    const keytag = Buffer.from(keytagHex, "hex");
+    /** @type {Op[]} */
+    const ops = [];
+    let seq = 0n;
+    // Legacy keys of a keytag are ordered by timestamp
+    for (const [key, value] of entries) {
+      const logged = new events.Logged(
+        keys.legacyEvent2timestamp(key),
+        events.fromCbor(value),
+      );
+      ops.push({ type: "del", key });
+      ops.push({
+        type: "put",
+        key: keys.event(keytag, seq++),
+        value: cbor.encode(logged),
+      });
+    }
+    nextSeqs[keytagHex] = seq;
+    await db.batch(ops);
+  }
+
+  // Every subbit requires a sequence number, including those without events
+  /** @type {Set<string>} */
+  const subbits = new Set();
+  /** @type {Record<string, bigint>} */
+  const stored = {};
+  for await (const [key, value] of db.iterator(keys.allStateBounds())) {
+    const keytagHex = keys.state2keytag(key).toString("hex");
+    if (key[key.length - 1] == keys.suff.stage) subbits.add(keytagHex);
+    if (key[key.length - 1] == keys.suff.seq) {
+      stored[keytagHex] = values.amtFromCbor(value);
+    }
+  }
+  const ops = [];
+  for (const keytagHex of subbits) {
+    const seq = nextSeqs[keytagHex] ?? 0n;
+    if (!(keytagHex in stored) || stored[keytagHex] < seq) {
+      ops.push(values.putSeq(Buffer.from(keytagHex, "hex"), seq));
+    }
+  }
+  if (ops.length > 0) {
+    await db.batch(ops);
+    log.info(`[db] Set sequence numbers of ${ops.length} subbits`);
+  }
+  return cnt;
+}
+
+/**
+ * The tag and stage indexes were added after subbits were stored.
+ * If there are subbits but no index entries, the indexes are built.
+ *
+ * @param {Store} db
+ * @param {Log} log
+ * @returns {Promise<number>} - number of subbits indexed
+ */
+export async function indexes(db, log) {
+  for await (const _ of db.iterator({ ...keys.allIndexBounds(), limit: 1 })) {
+    return 0;
+  }
+  const ops = [];
+  let cnt = 0;
+  for await (const [key, value] of db.iterator(keys.allStateBounds())) {
+    if (key[key.length - 1] == keys.suff.stage) {
+      ops.push(
+        ...values.putIndexes(keys.state2keytag(key), stages.fromCbor(value)),
+      );
+      cnt++;
+    }
+  }
+  if (cnt > 0) {
+    await db.batch(ops);
+    log.info(`[db] Indexed ${cnt} subbits`);
+  }
+  return cnt;
+}
@@ -0,0 +1,63 @@
+import * as assert from "node:assert";
+import { test } from "node:test";
+
+import * as keys from "./keys.js";
+import * as stages from "./stages.js";
+import * as migrations from "./migrations.js";
+import { putInfo } from "./check.js";
+import * as memory from "./store/memory.js";
+
+const log = { info: (/** @type {string} */ _) => {} };
+
+const keytag = keys.keytag(Buffer.alloc(32, 1), Buffer.from([7]));
+const info = {
+  iouKey: keytag.subarray(0, 32),
+  tag: keytag.subarray(32),
+  stage: new stages.Opened(Buffer.alloc(32, 2), 0n),
+  cost: 1000n,
+  iouAmt: 0n,
+  sub: 0n,
+  subbitAmt: 100n,
+  sig: Buffer.alloc(64),
+  seq: 0n,
+};
+
+test("migrations: an empty DB is at the current version", async (t) => {
+  const db = await memory.mkStore();
+  t.after(() => db.close());
+  const v = migrations.SCHEMA_VERSION;
+  assert.deepEqual(await migrations.run(db, log), { from: v, to: v });
+  assert.strictEqual(await migrations.getSchemaVersion(db), v);
+});
+
+test("migrations: an unversioned DB is upgraded in steps", async (t) => {
+  const db = await memory.mkStore();
+  t.after(() => db.close());
+  // State from before indexes or versions
+  await db.batch(
+    putInfo(keytag, info).filter((op) => op.key[0] == keys.pref.state),
+  );
+  /** @type {string[]} */
+  const msgs = [];
+  const r = await migrations.run(db, { info: (msg) => msgs.push(msg) });
+  assert.deepEqual(r, { from: 0, to: migrations.SCHEMA_VERSION });
+  assert.strictEqual(
+    msgs.filter((m) => m.includes("Migration")).length,
+    migrations.SCHEMA_VERSION,
+  );
+  assert.ok(await db.get(keys.tagIndex(keytag)));
+  assert.strictEqual(
+    await migrations.getSchemaVersion(db),
+    migrations.SCHEMA_VERSION,
+  );
+  // Nothing more to do
+  const again = await migrations.run(db, log);
+  assert.strictEqual(again.from, migrations.SCHEMA_VERSION);
+});
+
+test("migrations: a newer DB is refused", async (t) => {
+  const db = await memory.mkStore();
+  t.after(() => db.close());
+  await db.batch([migrations.putSchemaVersion(migrations.SCHEMA_VERSION + 1)]);
+  await assert.rejects(migrations.run(db, log), /newer/);
+});
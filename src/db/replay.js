@@ -0,0 +1,93 @@
+import * as events from "./events.js";
+import * as stages from "./stages.js";
+import * as values from "./values.js";
+
+/**
+ * @import * as t from "./types.ts";
+ */
+
+/**
+ * Rebuild the state of a subbit from its events.
+ *
+ * The transitions mirror the puts of the db plugin: `insertL1`, `update` and
+ * `suspend` for L1 events, `putIou`, `putMod`, and `putEdit`. Only events that
+ * passed the checks of the puts are logged, so the checks are not repeated.
+ *
+ * Events must be those of a single keytag, in order, starting from the first.
+ * If earlier events have been dropped, the state cannot be rebuilt.
+ *
+ * Stage timestamps are taken from the event timestamps. These are set in the
+ * same batch, so may differ from the stored stage by a few milliseconds.
+ *
+ * @param {bigint} initCost - as configured when the subbit was inserted
+ * @param {Buffer} keytag
+ * @param {t.LoggedEvent[]} logged
+ * @returns {t.Either<t.Info, t.ReplayFail>}
+ */
+export function replay(initCost, keytag, logged) {
+  if (logged.length == 0) return { kind: "Left", error: "NoSubbit" };
+  const [first, ...rest] = logged;
+  if (first.seq != 0n || !(first.event instanceof events.L1)) {
+    return { kind: "Left", error: "Incomplete" };
+  }
+  /** @type {t.Info} */
+  let info = insert(initCost, keytag, first.event);
+  /** @type {stages.Opened} */
+  let lastOpened = /** @type {stages.Opened} */ (info.stage);
+  for (const { seq, timestamp, event } of rest) {
+    if (seq != info.seq) return { kind: "Left", error: "Incomplete" };
+    info = { ...info, seq: seq + 1n };
+    if (event instanceof events.Iou) {
+      info.iouAmt = event.amount;
+      info.sig = Buffer.from(event.signature);
+    } else if (event instanceof events.Mod) {
+      info.cost = info.cost - event.by;
+    } else if (event instanceof events.L1) {
+      if (event.l1Subbits.length == 0) {
+        info.stage = new stages.Suspended(timestamp, "Closed");
+      } else {
+        const { txId, outputIdx, sub, subbitAmt } = values.selectL1Subbit(
+          info.iouAmt,
+          event.l1Subbits,
+        );
+        info.stage = new stages.Opened(Buffer.from(txId), outputIdx);
+        info.sub = sub;
+        info.subbitAmt = subbitAmt;
+      }
+    } else if (event.kind == "Mod") {
+      info.cost = info.cost + event.by;
+    } else if (event.kind == "Suspend") {
+      info.stage = new stages.Suspended(timestamp, "Edit");
+    } else {
+      info.stage = lastOpened;
+    }
+    if (!stages.isSuspended(info.stage)) {
+      lastOpened = /** @type {stages.Opened} */ (info.stage);
+    }
+  }
+  return { kind: "Right", value: info };
+}
+
+/**
+ * @param {bigint} initCost
+ * @param {Buffer} keytag
+ * @param {events.L1} event
+ * @returns {t.Info}
+ */
+function insert(initCost, keytag, event) {
+  const { txId, outputIdx, sub, subbitAmt } = values.selectL1Subbit(
+    0n,
+    event.l1Subbits,
+  );
+  return {
+    iouKey: keytag.subarray(0, 32),
+    tag: keytag.subarray(32),
+    stage: new stages.Opened(Buffer.from(txId), outputIdx),
+    cost: initCost,
+    iouAmt: 0n,
+    sub,
+    subbitAmt,
+    sig: Buffer.from([]),
+    seq: 1n,
+  };
+}
@@ -0,0 +1,77 @@
+import * as assert from "node:assert";
+import { test } from "node:test";
+
+import * as events from "./events.js";
+import * as stages from "./stages.js";
+import { replay } from "./replay.js";
+
+const keytag = Buffer.alloc(33, 1);
+const l1 = (/** @type {number} */ n, /** @type {bigint} */ subbitAmt) => ({
+  txId: Buffer.alloc(32, n),
+  outputIdx: 0n,
+  sub: 0n,
+  subbitAmt,
+});
+
+/**
+ * @param {events.Event[]} evs
+ */
+const logged = (evs) =>
+  evs.map((event, idx) => ({
+    seq: BigInt(idx),
+    timestamp: BigInt(1000 + idx),
+    event,
+  }));
+
+test("replay: transitions", () => {
+  const r = replay(
+    100n,
+    keytag,
+    logged([
+      new events.L1([l1(1, 50n)]),
+      new events.Iou(10n, Buffer.alloc(64, 2)),
+      new events.Mod(3n),
+      new events.Edit("Mod", 1n),
+      new events.L1([l1(3, 20n), l1(4, 80n)]),
+      new events.Iou(20n, Buffer.alloc(64, 5)),
+    ]),
+  );
+  assert.ok(r.kind == "Right");
+  const { stage, cost, iouAmt, subbitAmt, sig, seq, tag } = r.value;
+  assert.ok(stage instanceof stages.Opened && stage.txId[0] == 4);
+  assert.strictEqual(cost, 98n);
+  assert.strictEqual(iouAmt, 20n);
+  assert.strictEqual(subbitAmt, 80n);
+  assert.deepEqual(sig, Buffer.alloc(64, 5));
+  assert.strictEqual(seq, 6n);
+  assert.deepEqual(tag, Buffer.from([1]));
+});
+
+test("replay: suspends", () => {
+  const closed = replay(
+    100n,
+    keytag,
+    logged([new events.L1([l1(1, 50n)]), new events.L1([])]),
+  );
+  assert.ok(closed.kind == "Right");
+  assert.deepEqual(closed.value.stage, new stages.Suspended(1001n, "Closed"));
+  const edited = replay(
+    100n,
+    keytag,
+    logged([new events.L1([l1(1, 50n)]), new events.Edit("Suspend")]),
+  );
+  assert.ok(edited.kind == "Right");
+  assert.deepEqual(edited.value.stage, new stages.Suspended(1001n, "Edit"));
+});
+
+test("replay: fails without the first events", () => {
+  assert.deepEqual(replay(100n, keytag, []), {
+    kind: "Left",
+    error: "NoSubbit",
+  });
+  const evs = logged([new events.L1([l1(1, 50n)]), new events.Mod(1n)]);
+  assert.deepEqual(replay(100n, keytag, evs.slice(1)), {
+    kind: "Left",
+    error: "Incomplete",
+  });
+});
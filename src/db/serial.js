@@ -0,0 +1,27 @@
+/**
+ * Per key serialization of async tasks.
+ *
+ * A task on a key starts only once all previous tasks on that key have
+ * settled. Tasks on different keys run concurrently.
+ *
+ * @returns {<T>(key : string, task : () => Promise<T>) => Promise<T>}
+ */
+export function mkSerial() {
+  /**
+   * Tail of the queue per key.
+   * @type {Map<string, Promise<void>>}
+   */
+  const tails = new Map();
+  const noop = () => {};
+
+  return function (key, task) {
+    const prev = tails.get(key) ?? Promise.resolve();
+    const res = prev.then(task);
+    const tail = res.then(noop, noop);
+    tails.set(key, tail);
+    tail.then(() => {
+      if (tails.get(key) === tail) tails.delete(key);
+    });
+    return res;
+  };
+}
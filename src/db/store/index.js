@@ -0,0 +1,31 @@
+/**
+ * The storage the DB plugin is written against: get, batch, and iteration over
+ * a range of keys. Keys and values are bytes. Keys are ordered bytewise, as in
+ * LevelDB, and a batch is atomic.
+ *
+ * Adapters:
+ * - `leveldb` : LevelDB on disk at `dbPath`, via `@fastify/leveldb`.
+ * - `memory` : in memory, via `memory-level`. For tests and ephemeral servers.
+ * - `sqlite` : SQLite file at `dbPath`, via `node:sqlite` (Node 22.5 and later).
+ */
+
+/**
+ * @import { Iterator } from "./types.ts";
+ */
+
+/** @type {import("./types.ts").Kind[]} */
+export const kinds = ["leveldb", "memory", "sqlite"];
+
+/**
+ * Iterator from an async generator of entries.
+ * Closing returns the generator, which releases what it holds.
+ * @param {AsyncGenerator<[Buffer, Buffer], void>} gen
+ * @returns {Iterator}
+ */
+export function fromGenerator(gen) {
+  return {
+    next: () => gen.next().then((r) => (r.done ? undefined : r.value)),
+    close: () => gen.return(undefined).then(() => {}),
+    [Symbol.asyncIterator]: () => gen,
+  };
+}
@@ -0,0 +1,115 @@
+import { test, after } from "node:test";
+import assert from "node:assert";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+import * as memory from "./memory.js";
+import * as sqlite from "./sqlite.js";
+import * as namespace from "./namespace.js";
+
+/**
+ * @import { Store } from "./types.ts";
+ */
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "subbit-man-store-"));
+after(() => fs.rmSync(dir, { recursive: true }));
+
+const hasSqlite = await import("node:sqlite").then(
+  () => true,
+  () => false,
+);
+
+/**
+ * The leveldb store is exercised by the db plugin tests.
+ * @type {Record<string, () => Promise<[Store, () => Promise<void>]>>}
+ */
+const adapters = {
+  memory: async () => {
+    const store = await memory.mkStore();
+    return [store, () => store.close()];
+  },
+  sqlite: async () => {
+    const store = await sqlite.mkStore(path.join(dir, "sqlite.db"));
+    return [store, () => store.close()];
+  },
+};
+
+const b = (/** @type {number[]} */ ...xs) => Buffer.from(xs);
+
+for (const [kind, open] of Object.entries(adapters)) {
+  test(
+    `${kind} store`,
+    { skip: kind == "sqlite" && !hasSqlite && "no node:sqlite" },
+    async () => {
+      const [store, close] = await open();
+      try {
+        assert.strictEqual(await store.get(b(1)), undefined);
+        await store.batch([
+          { type: "put", key: b(2), value: b(20) },
+          { type: "put", key: b(1, 0), value: b(10) },
+          { type: "put", key: b(1), value: b(1) },
+          { type: "put", key: b(3), value: b(30) },
+        ]);
+        await store.batch([
+          { type: "del", key: b(3) },
+          { type: "put", key: b(2), value: b(21) },
+        ]);
+        assert.deepEqual(await store.get(b(2)), b(21));
+        assert.strictEqual(await store.get(b(3)), undefined);
+
+        const all = [];
+        for await (const entry of store.iterator()) all.push(entry);
+        assert.deepEqual(all, [
+          [b(1), b(1)],
+          [b(1, 0), b(10)],
+          [b(2), b(21)],
+        ]);
+
+        const i = store.iterator({ gt: b(1), lt: b(2) });
+        assert.deepEqual(await i.next(), [b(1, 0), b(10)]);
+        assert.strictEqual(await i.next(), undefined);
+        await i.close();
+
+        const limited = [];
+        for await (const [key] of store.iterator({ gte: b(1), limit: 2 })) {
+          limited.push(key);
+        }
+        assert.deepEqual(limited, [b(1), b(1, 0)]);
+      } finally {
+        await close();
+      }
+    },
+  );
+}
+
+test("namespaced stores", async () => {
+  const shared = await memory.mkStore();
+  try {
+    const root = namespace.mkStore(shared, b(), b(5));
+    const ns = namespace.mkStore(shared, b(5, 7));
+    const other = namespace.mkStore(shared, b(5, 8));
+    await root.batch([{ type: "put", key: b(1), value: b(1) }]);
+    await ns.batch([
+      { type: "put", key: b(1), value: b(71) },
+      { type: "put", key: b(2), value: b(72) },
+    ]);
+    await other.batch([{ type: "put", key: b(1), value: b(81) }]);
+    assert.deepEqual(await shared.get(b(5, 7, 1)), b(71));
+    assert.deepEqual(await ns.get(b(1)), b(71));
+
+    /** @param {Store} store */
+    const keys = async (store, range = {}) => {
+      const out = [];
+      for await (const [key] of store.iterator(range)) out.push(key);
+      return out;
+    };
+    assert.deepEqual(await keys(root), [b(1)]);
+    assert.deepEqual(await keys(ns), [b(1), b(2)]);
+    assert.deepEqual(await keys(ns, { gt: b(1) }), [b(2)]);
+    assert.deepEqual(await keys(ns, { lte: b(255) }), [b(1), b(2)]);
+    assert.deepEqual(await keys(other), [b(1)]);
+  } finally {
+    await shared.close();
+  }
+});
@@ -0,0 +1,54 @@
+import { fromGenerator } from "./index.js";
+
+/**
+ * @import { Store, Range } from "./types.ts";
+ * @typedef Level
+ * @type {import("levelup").LevelUp}
+ * */
+
+/**
+ * Store over a levelup database, as decorated by `@fastify/leveldb`.
+ * The database is opened and closed by the plugin.
+ * @param {Level} db
+ * @returns {Store}
+ */
+export function mkStore(db) {
+  return {
+    get: (key) =>
+      db.get(key).then(
+        (value) => value,
+        (err) => {
+          if (err.notFound) return undefined;
+          throw err;
+        },
+      ),
+    // @ts-ignore
+    batch: (ops) => db.batch(ops).then(() => {}),
+    iterator: (range = {}) => fromGenerator(entries(db, range)),
+    close: () => Promise.resolve(),
+  };
+}
+
+/**
+ * @param {Level} db
+ * @param {Range} range
+ * @returns {AsyncGenerator<[Buffer, Buffer], void>}
+ */
+async function* entries(db, range) {
+  const i = db.iterator(range);
+  try {
+    while (true) {
+      /** @type {[Buffer, Buffer] | undefined} */
+      const entry = await new Promise((resolve, reject) =>
+        i.next((err, key, value) => {
+          if (err) reject(err);
+          else resolve(key === undefined ? undefined : [key, value]);
+        }),
+      );
+      if (entry === undefined) return;
+      yield entry;
+    }
+  } finally {
+    await new Promise((resolve) => i.end(resolve));
+  }
+}
@@ -0,0 +1,26 @@
+import { MemoryLevel } from "memory-level";
+
+/**
+ * @import { Store } from "./types.ts";
+ * */
+
+/**
+ * Store in memory. Nothing is persisted.
+ * @returns {Promise<Store>}
+ */
+export async function mkStore() {
+  /** @type {MemoryLevel<Buffer, Buffer>} */
+  const db = new MemoryLevel({
+    keyEncoding: "buffer",
+    valueEncoding: "buffer",
+  });
+  await db.open();
+  return {
+    get: (key) => db.get(key),
+    // @ts-ignore: the value types of puts differ
+    batch: (ops) => db.batch(ops),
+    // @ts-ignore: abstract-level iterators already have `next` and `close`
+    iterator: (range = {}) => db.iterator(range),
+    close: () => db.close(),
+  };
+}
@@ -0,0 +1,72 @@
+import { fromGenerator } from "./index.js";
+
+/**
+ * @import { Store, Range } from "./types.ts";
+ * */
+
+/**
+ * Store within a shared store, under a key prefix.
+ * Keys are seen without the prefix, and ranges do not leave it.
+ * The shared store is closed by its owner.
+ * @param {Store} shared
+ * @param {Buffer} ns - prefix
+ * @param {Buffer} [end] - keys are before it. Defaults to the end of the prefix
+ * @returns {Store}
+ */
+export function mkStore(shared, ns, end = prefixEnd(ns)) {
+  const pre = (/** @type {Buffer} */ key) => Buffer.concat([ns, key]);
+  return {
+    get: (key) => shared.get(pre(key)),
+    batch: (ops) =>
+      shared.batch(ops.map((op) => ({ ...op, key: pre(op.key) }))),
+    iterator: (range = {}) =>
+      fromGenerator(entries(shared, ns, bounds(ns, end, range))),
+    close: () => Promise.resolve(),
+  };
+}
+
+/**
+ * @param {Buffer} ns
+ * @param {Buffer | undefined} end
+ * @param {Range} range
+ * @returns {Range}
+ */
+function bounds(ns, end, { gt, gte, lt, lte, ...rest }) {
+  const pre = (/** @type {Buffer} */ key) => Buffer.concat([ns, key]);
+  const upper = lt ? pre(lt) : lte ? pre(lte) : undefined;
+  const clamped =
+    end && (upper === undefined || Buffer.compare(upper, end) >= 0);
+  return {
+    ...rest,
+    ...(gt ? { gt: pre(gt) } : { gte: gte ? pre(gte) : ns }),
+    ...(clamped ? { lt: end } : lt ? { lt: upper } : lte ? { lte: upper } : {}),
+  };
+}
+
+/**
+ * @param {Store} shared
+ * @param {Buffer} ns
+ * @param {Range} range
+ * @returns {AsyncGenerator<[Buffer, Buffer], void>}
+ */
+async function* entries(shared, ns, range) {
+  for await (const [key, value] of shared.iterator(range)) {
+    yield [key.subarray(ns.length), value];
+  }
+}
+
+/**
+ * The least key after all keys with the prefix.
+ * `undefined` if there is none.
+ * @param {Buffer} prefix
+ */
+function prefixEnd(prefix) {
+  const end = Buffer.from(prefix);
+  for (let i = end.length - 1; i >= 0; i--) {
+    if (end[i] < 255) {
+      end[i]++;
+      return end.subarray(0, i + 1);
+    }
+  }
+  return undefined;
+}
@@ -0,0 +1,93 @@
+import { fromGenerator } from "./index.js";
+
+/**
+ * @import { Store, Range } from "./types.ts";
+ * @import { DatabaseSync } from "node:sqlite";
+ * */
+
+/** Rows read per query while iterating */
+const PAGE_SIZE = 256;
+
+/**
+ * Store in a single table of an SQLite file, so the DB can be inspected with
+ * SQL tools. Blobs compare bytewise, so the order of keys is as in LevelDB.
+ * Requires `node:sqlite` (Node 22.5 and later).
+ * @param {string} path
+ * @returns {Promise<Store>}
+ */
+export async function mkStore(path) {
+  const sqlite = await import("node:sqlite").catch(() => {
+    throw new Error("SQLite store requires node:sqlite (Node 22.5 and later)");
+  });
+  const db = new sqlite.DatabaseSync(path);
+  db.exec(
+    "CREATE TABLE IF NOT EXISTS kv (key BLOB PRIMARY KEY, value BLOB NOT NULL) WITHOUT ROWID",
+  );
+  const get = db.prepare("SELECT value FROM kv WHERE key = ?");
+  const put = db.prepare(
+    "INSERT INTO kv (key, value) VALUES (?, ?) ON CONFLICT (key) DO UPDATE SET value = excluded.value",
+  );
+  const del = db.prepare("DELETE FROM kv WHERE key = ?");
+  return {
+    get: (key) => {
+      const row = get.get(key);
+      return Promise.resolve(
+        row == undefined ? undefined : toBuffer(/** @type {any} */ (row).value),
+      );
+    },
+    batch: (ops) => {
+      db.exec("BEGIN");
+      try {
+        for (const op of ops) {
+          if (op.type == "put") put.run(op.key, op.value);
+          else del.run(op.key);
+        }
+        db.exec("COMMIT");
+        return Promise.resolve();
+      } catch (err) {
+        db.exec("ROLLBACK");
+        return Promise.reject(err);
+      }
+    },
+    iterator: (range = {}) => fromGenerator(entries(db, range)),
+    close: () => Promise.resolve(db.close()),
+  };
+}
+
+/**
+ * Reads a page at a time, continuing after the last key read.
+ * @param {DatabaseSync} db
+ * @param {Range} range
+ * @returns {AsyncGenerator<[Buffer, Buffer], void>}
+ */
+async function* entries(db, { gt, gte, lt, lte, limit = Infinity }) {
+  const upper = lt ? "key < ?" : lte ? "key <= ?" : "1";
+  const upperParams = lt ? [lt] : lte ? [lte] : [];
+  let lower = gt ? "key > ?" : gte ? "key >= ?" : "1";
+  let lowerParams = gt ? [gt] : gte ? [gte] : [];
+  let cnt = 0;
+  while (cnt < limit) {
+    const rows = db
+      .prepare(
+        `SELECT key, value FROM kv WHERE ${lower} AND ${upper} ORDER BY key LIMIT ?`,
+      )
+      .all(...lowerParams, ...upperParams, Math.min(PAGE_SIZE, limit - cnt));
+    for (const row of rows) {
+      yield [
+        toBuffer(/** @type {any} */ (row).key),
+        toBuffer(/** @type {any} */ (row).value),
+      ];
+      cnt++;
+    }
+    if (rows.length < PAGE_SIZE) return;
+    lower = "key > ?";
+    lowerParams = [/** @type {any} */ (rows[rows.length - 1]).key];
+  }
+}
+
+/**
+ * @param {Uint8Array} x
+ */
+function toBuffer(x) {
+  return Buffer.from(x.buffer, x.byteOffset, x.byteLength);
+}
@@ -0,0 +1,37 @@
+export type Op =
+  | { type: "put"; key: Buffer; value: Buffer | Uint8Array }
+  | { type: "del"; key: Buffer };
+
+/** Bounds are optional and are as in LevelDB */
+export type Range = {
+  gt?: Buffer;
+  gte?: Buffer;
+  lt?: Buffer;
+  lte?: Buffer;
+  limit?: number;
+  /** False if only keys are required */
+  values?: boolean;
+};
+
+/**
+ * Entries in key order. `next` resolves to `undefined` when done.
+ * An iterator must be closed, unless iterated with `for await` to the end or
+ * broken out of.
+ * The leveldb and memory iterators read a snapshot of the store as at their
+ * creation. The sqlite iterator does not: it sees writes made while it is read.
+ */
+export interface Iterator extends AsyncIterable<[Buffer, Buffer]> {
+  next(): Promise<[Buffer, Buffer] | undefined>;
+  close(): Promise<void>;
+}
+
+export interface Store {
+  /** Resolves to `undefined` if not found */
+  get(key: Buffer): Promise<Buffer | undefined>;
+  /** Atomic */
+  batch(ops: Op[]): Promise<void>;
+  iterator(range?: Range): Iterator;
+  close(): Promise<void>;
+}
+
+export type Kind = "leveldb" | "memory" | "sqlite";
@@ -1,4 +1,7 @@
 import { Stage } from "./stages.js";
+import { Event, Kind as EventKind } from "./events.js";
+
+export { EventKind };
 
 export { Either } from "../types.ts";
 export { Edit } from "../schemaTypes.ts";
@@ -14,9 +17,17 @@ export type Info = {
   sub: bigint;
   subbitAmt: bigint;
   sig: Buffer;
+  seq: bigint;
 };
 
 export type InfoFail = "NoSubbit" | "Other";
+export type InfosPage = {
+  /** Cursor: the keytag of the last info of the previous page */
+  after?: Buffer;
+  limit?: number;
+};
+export type ReplayFail = "NoSubbit" | "Incomplete";
+export type InfoAtFail = ReplayFail | "Other";
 
 export type TagIou = {
   iouKey: Buffer;
@@ -33,6 +44,7 @@ export type IousFail = "Other";
 export type IouFail = "NoSubbit" | "InsufficientAmount" | "Suspended" | "Other";
 export type ModFail = "NoSubbit" | "Suspended" | "Other";
 export type L1Fail = "Other";
+export type StampFail = "StampReplayed" | "Other";
 export type EditFail = "NoSubbit" | "UnknownEdit" | "Other";
 
 export type L1Action =
@@ -40,11 +52,174 @@ export type L1Action =
   | "NoneOpened"
   | "Insert"
   | "Update"
-  | "Suspend";
+  | "Suspend"
+  | "Restore";
 export type L1Report = { keytag: Buffer; action: L1Action };
 
+/** A tx of both settles and subs is a "batch" */
+export type TxStep = "sub" | "settle" | "batch";
+export type TxStatus = "submitted" | "confirmed" | "failed" | "expired";
+
+/** A tx submitted by the provider, tracked until it is on the chain */
+export type TrackedTx = {
+  txHash: string;
+  step: TxStep;
+  status: TxStatus;
+  /** Hex, of the subbits stepped */
+  keytags: string[];
+  /** Claimed, per keytag */
+  amounts: bigint[];
+  /** The signed tx, for resubmission */
+  cbor: string;
+  /** Submissions so far */
+  attempts: number;
+  submittedAt: number;
+  updatedAt: number;
+  blockHeight?: number;
+  error?: string;
+  /** The tx rebuilt in its place */
+  replacedBy?: string;
+};
+
+/**
+ * A subbit kept out of L1 txs, as its step alone failed. It is released once
+ * its UTxO or IOU changes.
+ */
+export type Quarantined = {
+  /** Hex */
+  keytag: string;
+  step: "sub" | "settle";
+  reason: string;
+  /** The UTxO of the subbit, when quarantined */
+  txId: string;
+  outputIdx: number;
+  /** The IOU amount, when quarantined */
+  iouAmt: bigint;
+  at: number;
+};
+
+/**
+ * A subbit closed on the L1, with an IOU to settle before its deadline
+ */
+export type ClosedSubbit = {
+  /** Hex */
+  keytag: string;
+  /** Hex */
+  tag: string;
+  /** The UTxO of the closed subbit */
+  txId: string;
+  outputIdx: number;
+  /** Posix ms. After it, the consumer may expire the subbit */
+  deadline: number;
+  /** The IOU amount to settle */
+  iouAmt: bigint;
+  /** Posix ms, on the chain */
+  seenAt: number;
+  /** Settles tried by the settler */
+  attempts: number;
+  /** Posix ms, on the chain, when the settler next tries */
+  dueAt: number;
+  /** Of the last settle submitted */
+  txHash?: string;
+  /** Of the last settle tried, if it failed */
+  error?: string;
+};
+
+/** IOU traffic of a subbit that crossed a threshold */
+export type Traffic = {
+  /** Hex */
+  keytag: string;
+  reason: "ious" | "exposure";
+  /** IOUs since the last sub */
+  ious: number;
+  /** IOU amount less the sub */
+  exposure: bigint;
+  subbitAmt: bigint;
+};
+
+/** The L1 block of the UTxO of a synced subbit */
+export type L1Block = {
+  txId: Buffer;
+  outputIdx: bigint;
+  height: bigint;
+  hash: Buffer;
+};
+
 export type DropSubbitFail = "NoSubbit" | "Opened" | "Other";
-export type DropEventsFail = "Other";
+export type DropEventsFail = "Opened" | "Other";
+
+export type EventsFilter = {
+  /** Timestamp, inclusive */
+  from?: bigint;
+  /** Timestamp, exclusive */
+  to?: bigint;
+  kinds?: EventKind[];
+  /** Cursor: the sequence number of the last event of the previous page */
+  after?: bigint;
+  limit: number;
+};
+export type LoggedEvent = { seq: bigint; timestamp: bigint; event: Event };
+export type EventsPage = { events: LoggedEvent[]; next?: bigint };
+export type EventsFail = "Other";
+
+export type StateKind =
+  | "stage"
+  | "cost"
+  | "iouAmt"
+  | "sub"
+  | "subbitAmt"
+  | "sig"
+  | "seq";
+
+/** Keytags and keys are hex encoded */
+export type Issue =
+  | { kind: "UnknownKey"; key: string }
+  | { kind: "Partial"; keytag: string; missing: StateKind[] }
+  /** Key is a state kind, or `event:<seq>` */
+  | { kind: "Undecodable"; keytag: string; key: string }
+  /** Events without state */
+  | { kind: "Orphan"; keytag: string }
+  /** State disagrees with the replay of the events */
+  | { kind: "Mismatch"; keytag: string; fields: StateKind[] }
+  /** Events missing, not by a drop */
+  | { kind: "Incomplete"; keytag: string }
+  /** Index entries disagree with the stage */
+  | { kind: "Index"; keytag: string };
+
+export type CheckReport = {
+  keytags: number;
+  issues: Issue[];
+  /** Keytags with state rewritten from events */
+  repaired: string[];
+};
+
+export type ArchiveFormat = "cbor" | "ndjson";
+export type ArchiveHeader = {
+  format: string;
+  version: number;
+  /** ms since epoch */
+  createdAt: number;
+};
+export type Archive = { header: ArchiveHeader; entries: [Buffer, Buffer][] };
+export type ArchiveFail =
+  | "Malformed"
+  | "UnknownFormat"
+  | "UnsupportedVersion"
+  | "Truncated"
+  | "CountMismatch"
+  | "ChecksumMismatch";
+export type Restored = { entries: number; createdAt: number };
+export type RestoreFail =
+  | ArchiveFail
+  | "SchemaTooNew"
+  | "KeyMismatch"
+  | "NotEmpty"
+  | "Other";
+
+/** The source of the key encryption key */
+export type Encryption =
+  | { kind: "keyfile"; path: string }
+  | { kind: "passphrase"; passphrase: string };
 
 export type Stages = Record<string, Stage>;
 
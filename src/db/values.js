@@ -5,7 +5,8 @@ import * as events from "./events.js";
 
 /**
  * @import {Either} from "../types.d.ts"
- * @import {Info, InfoFail, TotFail} from "./types.ts"
+ * @import {Info, InfoFail, TotFail, EventsFilter, EventsPage, L1Subbit, L1Block, TrackedTx, Quarantined, ClosedSubbit} from "./types.ts"
+ * @import {Iterator} from "./store/types.ts"
  * */
 
 /**
@@ -72,17 +73,210 @@ export function putSig(base, sig) {
 
 /**
  * @param {Buffer} base
+ * @param {bigint} seq - of the next event
+ */
+export function putSeq(base, seq) {
+  return putBuf(base, keys.seq, cbor.encode(seq));
+}
+
+/**
+ * @param {Buffer} base
+ * @param {bigint} seq - of the first event not dropped
+ */
+export function putDropped(base, seq) {
+  return putBuf(base, keys.dropped, cbor.encode(seq));
+}
+
+/**
+ * Put the event with sequence number `seq`.
+ * The batch must also `putSeq(base, seq + 1n)`.
+ * @param {Buffer} base
+ * @param {bigint} seq
  * @param {events.Event} ev
  * @returns {{type : "put" , key : Buffer, value : Buffer | Uint8Array}}
  */
-export function putEvent(base, ev) {
-  return putBuf(base, keys.event, cbor.encode(ev));
+export function putEvent(base, seq, ev) {
+  return {
+    type: "put",
+    key: keys.event(base, seq),
+    value: cbor.encode(new events.Logged(BigInt(Date.now()), ev)),
+  };
 }
 
 /**
- * @typedef AbIterator
- * @type {import("abstract-leveldown").AbstractIterator<Buffer<ArrayBufferLike>, Buffer<ArrayBufferLike>>}
- * */
+ * @param {stages.Stage} stage
+ */
+function stageIdxOf(stage) {
+  return Number(
+    stages.stageIdx[stages.isSuspended(stage) ? "Suspended" : "Opened"],
+  );
+}
+
+/**
+ * Index puts of the keytag in the stage.
+ * Every put of a stage must be accompanied by these.
+ * @param {Buffer} keytag
+ * @param {stages.Stage} stage
+ */
+export function putIndexes(keytag, stage) {
+  const idx = stageIdxOf(stage);
+  return [
+    putBuf(keytag, keys.tagIndex, Buffer.from([])),
+    putBuf(keytag, (k) => keys.stageIndex(idx, k), Buffer.from([])),
+    delKey(keys.stageIndex(1 - idx, keytag)),
+  ];
+}
+
+/**
+ * @param {Buffer} keytag
+ */
+export function delIndexes(keytag) {
+  return [
+    delKey(keys.tagIndex(keytag)),
+    delKey(keys.stageIndex(0, keytag)),
+    delKey(keys.stageIndex(1, keytag)),
+  ];
+}
+
+/**
+ * @param {Buffer} keytag
+ * @param {L1Block} l1Block
+ */
+export function putL1Block(keytag, l1Block) {
+  const { txId, outputIdx, height, hash } = l1Block;
+  return putBuf(
+    keytag,
+    keys.blockIndex,
+    cbor.encode([txId, outputIdx, height, hash]),
+  );
+}
+
+/**
+ * @param {Iterator} i - over the block index
+ * @returns {Promise<[Buffer, L1Block][]>}
+ */
+export async function getL1Blocks(i) {
+  /** @type {[Buffer, L1Block][]} */
+  const res = [];
+  for await (const [key, value] of i) {
+    const [txId, outputIdx, height, hash] = /** @type {any[]} */ (
+      cbor.decode(value)
+    );
+    res.push([
+      keys.blockIndex2keytag(key),
+      {
+        txId: Buffer.from(txId),
+        outputIdx: BigInt(outputIdx),
+        height: BigInt(height),
+        hash: Buffer.from(hash),
+      },
+    ]);
+  }
+  return res;
+}
+
+/**
+ * @param {TrackedTx} trackedTx
+ */
+export function putTx(trackedTx) {
+  const txHash = Buffer.from(trackedTx.txHash, "hex");
+  return putBuf(txHash, keys.tx, cbor.encode(trackedTx));
+}
+
+/**
+ * @param {Buffer | undefined} buf
+ * @returns {TrackedTx | undefined}
+ */
+export function fromTx(buf) {
+  if (buf === undefined) return undefined;
+  const t = /** @type {TrackedTx} */ (cbor.decode(buf));
+  return { ...t, amounts: t.amounts.map(BigInt) };
+}
+
+/**
+ * @param {Iterator} i - over the txs
+ * @returns {Promise<TrackedTx[]>}
+ */
+export async function getTxs(i) {
+  const res = [];
+  for await (const [_, value] of i) {
+    res.push(/** @type {TrackedTx} */ (fromTx(value)));
+  }
+  return res;
+}
+
+/**
+ * @param {Quarantined} quarantined
+ */
+export function putQuarantined(quarantined) {
+  const keytag = Buffer.from(quarantined.keytag, "hex");
+  return putBuf(keytag, keys.quarantine, cbor.encode(quarantined));
+}
+
+/**
+ * @param {Iterator} i - over the quarantined
+ * @returns {Promise<Quarantined[]>}
+ */
+export async function getQuarantined(i) {
+  const res = [];
+  for await (const [_, value] of i) {
+    const q = /** @type {Quarantined} */ (cbor.decode(value));
+    res.push({ ...q, iouAmt: BigInt(q.iouAmt) });
+  }
+  return res;
+}
+
+/**
+ * @param {ClosedSubbit} closed
+ */
+export function putClosed(closed) {
+  const keytag = Buffer.from(closed.keytag, "hex");
+  return putBuf(keytag, keys.closed, cbor.encode(closed));
+}
+
+/**
+ * @param {Iterator} i - over the closed
+ * @returns {Promise<ClosedSubbit[]>}
+ */
+export async function getClosed(i) {
+  const res = [];
+  for await (const [_, value] of i) {
+    const c = /** @type {ClosedSubbit} */ (cbor.decode(value));
+    res.push({ ...c, iouAmt: BigInt(c.iouAmt) });
+  }
+  return res;
+}
+
+/**
+ * @param {Buffer} key
+ * @returns {{type : "del" , key : Buffer}}
+ */
+export function delKey(key) {
+  return { type: "del", key };
+}
+
+/**
+ * @param {Buffer} key
+ * @param {Buffer} value
+ * @returns {{type : "put" , key : Buffer, value : Buffer}}
+ */
+export function putKey(key, value) {
+  return { type: "put", key, value };
+}
+
+/**
+ * @param {Buffer} keytag
+ * @param {Buffer} signature
+ * @param {bigint} expiresAt
+ * @returns {{type : "put" , key : Buffer, value : Buffer | Uint8Array}}
+ */
+export function putStamp(keytag, signature, expiresAt) {
+  return {
+    type: "put",
+    key: keys.stamp(keytag, signature),
+    value: cbor.encode(expiresAt),
+  };
+}
 
 export const amtFromCbor = (/** @type {Uint8Array<ArrayBufferLike>} */ x) =>
   BigInt(cbor.decode(x));
@@ -98,17 +292,19 @@ export const amtFromCbor = (/** @type {Uint8Array<ArrayBufferLike>} */ x) =>
  * @property {bigint} sub
  * @property {bigint} subbitAmt
  * @property {Buffer} sig
+ * @property {bigint} seq
  * */
 
 /**
- * @param {AbIterator} i
+ * @param {Iterator} i
  * @returns {Promise<Either<Info, InfoFail>>}
  */
 export function getInfo(i) {
-  return nextKey6(i).then(
+  return nextKey7(i).then(
     (res) => {
       if (res.kind == "Right") {
-        const [stageKey, stage, cost, iouAmt, sub, subbitAmt, sig] = res.value;
+        const [stageKey, stage, cost, iouAmt, sub, subbitAmt, sig, seq] =
+          res.value;
         const { iouKey, tag } = keys.decompose(stageKey);
         return {
           kind: "Right",
@@ -121,6 +317,7 @@ export function getInfo(i) {
             sub: amtFromCbor(sub),
             subbitAmt: amtFromCbor(subbitAmt),
             sig,
+            seq: amtFromCbor(seq),
           },
         };
       } else {
@@ -132,22 +329,43 @@ export function getInfo(i) {
 }
 
 /**
- * @param {AbIterator} i
+ * Infos in key order, read one at a time from the iterator.
+ * Stops at the end, or after a failure.
+ * The iterator is ended when done, including when the caller stops early.
+ * @param {Iterator} i
+ * @returns {AsyncGenerator<Either<Info, InfoFail>>}
+ */
+export async function* iterInfos(i) {
+  try {
+    while (true) {
+      const a = await getInfo(i);
+      if (a.kind == "Left" && a.error == "NoSubbit") return;
+      yield a;
+      if (a.kind == "Left") return;
+    }
+  } finally {
+    await i.close();
+  }
+}
+
+/**
+ * @param {Iterator} i
+ * @param {number} [limit]
  * @returns {Promise<Either<Info, InfoFail>[]>}
  */
-export function getAll(i) {
-  // TODO :: Check whether calling this recursively is probelmatic
-  return getInfo(i).then(
-    (a) =>
-      a.kind == "Right"
-        ? getAll(i).then((r) => [a, ...r])
-        : Promise.resolve([]),
-    (_) => Promise.resolve([]),
-  );
+export async function getAll(i, limit = Infinity) {
+  /** @type {Either<Info, InfoFail>[]} */
+  const infos = [];
+  if (limit <= 0) return infos;
+  for await (const a of iterInfos(i)) {
+    infos.push(a);
+    if (infos.length >= limit) break;
+  }
+  return infos;
 }
 
 /**
- * @param {AbIterator} i
+ * @param {Iterator} i
  * @returns {Promise<Either<bigint,TotFail>>}
  */
 export function getTot(i) {
@@ -185,38 +403,57 @@ export function calcTot(cost, iou, sub, subbit) {
 }
 
 /**
- * Convert nodestyle callback to promise
- * @param {AbIterator} i
+ * Returns the subbit with greatest sub-able funds.
+ * We use the `calcTot` with `cost = 0`.
+ * Does not modify `l1Subbits`: they are also recorded in the L1 event.
+ *
+ * @param {bigint} iouAmt
+ * @param {L1Subbit[]} l1Subbits
+ * @returns {L1Subbit}
  */
+export function selectL1Subbit(iouAmt, l1Subbits) {
+  const rest = [...l1Subbits];
+  let curr = rest.pop();
+  if (curr == undefined) throw new Error("Must have at least one entry");
+  const tot = (/** @type {bigint} */ sub, /** @type {bigint} */ subbitAmt) =>
+    calcTot(0n, iouAmt, sub, subbitAmt);
+  let currTot = tot(curr.sub, curr.subbitAmt);
+  while (rest.length > 0) {
+    const x = rest.pop();
+    if (x == undefined) {
+      break;
+    } else {
+      const t = tot(x.sub, x.subbitAmt);
+      if (t > currTot) {
+        curr = x;
+        currTot = t;
+      }
+    }
+  }
+  return curr;
+}
 
+/**
+ * @param {Iterator} i
+ * @returns {Promise<Buffer>}
+ */
 function nextValue(i) {
-  return new Promise(function (resolve, reject) {
-    i.next(function (err, _key, val) {
-      if (err !== null) reject(err);
-      else resolve(val);
-    });
-  });
+  return i.next().then((entry) => /** @type {Buffer} */ (entry?.[1]));
 }
 
 /**
- * Convert nodestyle callback to promise
- * @param {AbIterator} i
+ * @param {Iterator} i
+ * @returns {Promise<{ key : any, value : any }>}
  */
-
 function nextKeyValue(i) {
-  return new Promise(function (resolve, reject) {
-    i.next(function (err, key, value) {
-      if (err !== null) reject(err);
-      else resolve({ key, value });
-    });
-  });
+  return i.next().then((entry) => ({ key: entry?.[0], value: entry?.[1] }));
 }
 
 /**
- * @param {AbIterator} i
- * @returns {Promise<Either<[Buffer,Buffer,Buffer,Buffer,Buffer,Buffer,Buffer], InfoFail> >}
+ * @param {Iterator} i
+ * @returns {Promise<Either<[Buffer,Buffer,Buffer,Buffer,Buffer,Buffer,Buffer,Buffer], InfoFail> >}
  */
-export function nextKey6(i) {
+export function nextKey7(i) {
   return nextKeyValue(i).then(
     ({ key, value: i0 }) =>
       nextValue(i).then((i1) =>
@@ -224,12 +461,14 @@ export function nextKey6(i) {
           nextValue(i).then((i3) =>
             nextValue(i).then((i4) =>
               nextValue(i).then((i5) =>
-                key != undefined
-                  ? {
-                      kind: "Right",
-                      value: [key, i0, i1, i2, i3, i4, i5],
-                    }
-                  : { kind: "Left", error: "NoSubbit" },
+                nextValue(i).then((i6) =>
+                  key != undefined
+                    ? {
+                        kind: "Right",
+                        value: [key, i0, i1, i2, i3, i4, i5, i6],
+                      }
+                    : { kind: "Left", error: "NoSubbit" },
+                ),
               ),
             ),
           ),
@@ -240,19 +479,121 @@ export function nextKey6(i) {
 }
 
 /**
- * @param {AbIterator} i
+ * @param {Iterator} i - over the opened stage index
  * @returns {Promise<Buffer[]>}
  */
 export async function getOpened(i) {
   const keytags = [];
-  // @ts-ignore: According to the docs, this is legit. https://github.com/Level/leveldown?tab=readme-ov-file#for-awaitof-iterator
-  for await (const [key, value] of i) {
-    if (key[key.length - 1] == keys.suff.stage) {
-      const stage = stages.fromCbor(value);
-      if (!stages.isSuspended(stage)) {
-        keytags.push(keys.state2keytag(key));
-      }
+  for await (const [key, _] of i) {
+    keytags.push(keys.stageIndex2keytag(key));
+  }
+  return keytags;
+}
+
+/**
+ * @param {Iterator} i - over the tag index, eg bounded by `keys.tagIndexBounds`
+ * @param {Buffer} tag
+ * @returns {Promise<Buffer[]>}
+ */
+export async function getByTag(i, tag) {
+  const keytags = [];
+  for await (const [key, _] of i) {
+    if (keys.tagIndex2tag(key).equals(tag)) {
+      keytags.push(keys.tagIndex2keytag(key));
     }
   }
   return keytags;
 }
+
+/**
+ * Keytags of subbits suspended strictly before the given timestamp.
+ * @param {Iterator} i - over the suspended stage index
+ * @param {(keytag : Buffer) => Promise<Buffer | undefined>} getStage
+ * @param {bigint} before
+ * @returns {Promise<Buffer[]>}
+ */
+export async function getSuspendedBefore(i, getStage, before) {
+  const keytags = [];
+  for await (const [key, _] of i) {
+    const keytag = keys.stageIndex2keytag(key);
+    const res = await getStage(keytag);
+    if (res === undefined) continue;
+    const stage = stages.fromCbor(res);
+    if ("timestamp" in stage && stage.timestamp < before) {
+      keytags.push(keytag);
+    }
+  }
+  return keytags;
+}
+
+/**
+ * Event keys with timestamp strictly before the given timestamp.
+ * @param {Iterator} i - over event entries
+ * @param {bigint} before
+ * @returns {Promise<Buffer[]>}
+ */
+export async function getEventKeysBefore(i, before) {
+  const eventKeys = [];
+  for await (const [key, value] of i) {
+    if (events.Logged.fromCbor(value).timestamp < before) {
+      eventKeys.push(key);
+    }
+  }
+  return eventKeys;
+}
+
+/**
+ * A page of the events of the keytag, in order, that pass the filter.
+ * If the page is full, `next` is the cursor from which to continue.
+ * @param {Iterator} i - over event entries, eg bounded by `keys.eventBounds`
+ * @param {Buffer} keytag
+ * @param {EventsFilter} filter
+ * @returns {Promise<EventsPage>}
+ */
+export async function getEvents(i, keytag, { from, to, kinds, limit }) {
+  const page = [];
+  for await (const [key, value] of i) {
+    if (!keys.event2keytag(key).equals(keytag)) continue;
+    const { timestamp, event } = events.Logged.fromCbor(value);
+    if (from !== undefined && timestamp < from) continue;
+    if (to !== undefined && timestamp >= to) continue;
+    if (kinds !== undefined && !kinds.includes(events.kind(event))) continue;
+    page.push({ seq: keys.event2seq(key), timestamp, event });
+    if (page.length == limit) {
+      return { events: page, next: page[page.length - 1].seq };
+    }
+  }
+  return { events: page };
+}
+
+/**
+ * Event keys belonging to the keytag.
+ * @param {Iterator} i - over event keys, eg bounded by `keys.eventBounds`
+ * @param {Buffer} keytag
+ * @returns {Promise<Buffer[]>}
+ */
+export async function getEventKeysOf(i, keytag) {
+  const eventKeys = [];
+  for await (const [key, _] of i) {
+    if (keys.event2keytag(key).equals(keytag)) {
+      eventKeys.push(key);
+    }
+  }
+  return eventKeys;
+}
+
+/**
+ * Stamp keys that expire strictly before the given timestamp.
+ * @param {Iterator} i - over stamp entries
+ * @param {bigint} before
+ * @returns {Promise<Buffer[]>}
+ */
+export async function getStampKeysExpired(i, before) {
+  const stampKeys = [];
+  for await (const [key, value] of i) {
+    if (amtFromCbor(value) < before) {
+      stampKeys.push(key);
+    }
+  }
+  return stampKeys;
+}
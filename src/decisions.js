@@ -26,7 +26,7 @@ export function shouldSettle(channelStateKind, iouData) {
  *
  * @param {{ iouAmt?: string, sig?: string }} iouData - IOU data from DB
  * @param {bigint} currentSub - Current subbed amount on-chain
- * @param {bigint} threshold - Minimum delta to justify a sub tx (lovelace)
+ * @param {bigint} threshold - Minimum delta to justify a sub tx (in the currency)
  * @returns {boolean}
  */
 export function shouldSub(iouData, currentSub, threshold) {
@@ -36,3 +36,30 @@ export function shouldSub(iouData, currentSub, threshold) {
   if (iouAmt <= currentSub + threshold) return false;
   return true;
 }
+
+/**
+ * Each channel's share of the fee of a tx stepping `count` channels,
+ * rounded up so the shares cover the fee.
+ *
+ * @param {bigint} fee - Tx fee (lovelace)
+ * @param {number} count - Channels stepped by the tx
+ * @returns {bigint}
+ */
+export function feeShare(fee, count) {
+  const n = BigInt(count);
+  return (fee + n - 1n) / n;
+}
+
+/**
+ * How long to wait before trying again a settle that failed. Retries are more
+ * frequent as the deadline approaches: a quarter of the time remaining, within
+ * bounds.
+ *
+ * @param {number} remainingMs - Until the close deadline
+ * @param {number} minMs - Shortest wait
+ * @param {number} maxMs - Longest wait
+ * @returns {number}
+ */
+export function settleRetryDelay(remainingMs, minMs, maxMs) {
+  return Math.min(maxMs, Math.max(minMs, Math.floor(remainingMs / 4)));
+}
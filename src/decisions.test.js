@@ -1,6 +1,11 @@
 import * as assert from "node:assert";
 import { test } from "node:test";
-import { shouldSettle, shouldSub } from "./decisions.js";
+import {
+  feeShare,
+  settleRetryDelay,
+  shouldSettle,
+  shouldSub,
+} from "./decisions.js";
 
 // ── shouldSettle ──────────────────────────────────────────
 
@@ -90,3 +95,32 @@ test("shouldSub: just above threshold boundary → true", () => {
     true,
   );
 });
+
+// ── feeShare ──────────────────────────────────────────────
+
+test("feeShare: divides the fee evenly", () => {
+  assert.strictEqual(feeShare(300000n, 3), 100000n);
+});
+
+test("feeShare: rounds up, so shares cover the fee", () => {
+  assert.strictEqual(feeShare(300001n, 3), 100001n);
+});
+
+test("feeShare: one channel bears the whole fee", () => {
+  assert.strictEqual(feeShare(170000n, 1), 170000n);
+});
+
+// ── settleRetryDelay ──────────────────────────────────────
+
+test("settleRetryDelay: a quarter of the time remaining", () => {
+  assert.strictEqual(settleRetryDelay(400000, 30000, 300000), 100000);
+});
+
+test("settleRetryDelay: no longer than the max far from the deadline", () => {
+  assert.strictEqual(settleRetryDelay(3600000, 30000, 300000), 300000);
+});
+
+test("settleRetryDelay: no shorter than the min near, or past, the deadline", () => {
+  assert.strictEqual(settleRetryDelay(60000, 30000, 300000), 30000);
+  assert.strictEqual(settleRetryDelay(-60000, 30000, 300000), 30000);
+});
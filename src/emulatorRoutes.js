@@ -0,0 +1,96 @@
+import * as emulator from "./chain/emulator.js";
+
+/**
+ * Routes to drive the emulator, in emulator mode only.
+ * They hand out the keys of the seeded wallets, so are for local testing.
+ *
+ * @import { FastifyInstance } from "fastify";
+ * @param {FastifyInstance} fastify
+ */
+async function emulatorRoutes(fastify) {
+  const ctx = /** @type {import("./lucid.js").LucidContext | undefined} */ (
+    /** @type {any} */ (fastify).lucidCtx
+  );
+  const em = ctx?.emulator;
+  if (!ctx || !em) return;
+  const { lucid: l, config } = ctx;
+  const wallets = emulator.wallets(config);
+
+  const clock = () => ({
+    now: em.now(),
+    slot: em.slot,
+    blockHeight: em.blockHeight,
+  });
+
+  // ──────────────────────────────────────────────────
+  // GET /l1/emulator
+  // Chain time, and the seeded wallets: the provider's first
+  // ──────────────────────────────────────────────────
+  fastify.get("/l1/emulator", async function () {
+    return { ...clock(), wallets };
+  });
+
+  // ──────────────────────────────────────────────────
+  // POST /l1/emulator/submit
+  // Submit a tx, signed by the seeded wallet if given, and add it to a block
+  // ──────────────────────────────────────────────────
+  fastify.post(
+    "/l1/emulator/submit",
+    {
+      schema: {
+        body: {
+          type: "object",
+          required: ["tx"],
+          properties: {
+            tx: { type: "string" },
+            wallet: { type: "integer", minimum: 0 },
+          },
+        },
+      },
+    },
+    async function (req, res) {
+      const { tx, wallet } = /** @type {{ tx : string, wallet? : number }} */ (
+        req.body
+      );
+      if (wallet !== undefined && !wallets[wallet]) {
+        return res.badRequest(`No seeded wallet ${wallet}`);
+      }
+      const builder = l.fromTx(tx);
+      const signed = await (
+        wallet === undefined
+          ? builder
+          : builder.sign.withPrivateKey(wallets[wallet].privateKey)
+      ).complete();
+      const txHash = await signed.submit();
+      em.awaitBlock();
+      return { txHash, ...clock() };
+    },
+  );
+
+  // ──────────────────────────────────────────────────
+  // POST /l1/emulator/advance
+  // Travel forward in chain time, eg past a close deadline
+  // ──────────────────────────────────────────────────
+  fastify.post(
+    "/l1/emulator/advance",
+    {
+      schema: {
+        body: {
+          type: "object",
+          required: ["ms"],
+          properties: {
+            ms: { type: "integer", minimum: 0 },
+          },
+        },
+      },
+    },
+    async function (req) {
+      // A slot is a second
+      const { ms } = /** @type {{ ms : number }} */ (req.body);
+      em.awaitSlot(Math.ceil(ms / 1000));
+      return clock();
+    },
+  );
+}
+
+export default emulatorRoutes;
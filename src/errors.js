@@ -24,7 +24,11 @@ const NETWORK_PATTERNS = [
   "429",
 ];
 
-const BLOCKFROST_5XX = /Blockfrost.*5\d{2}|5\d{2}.*Blockfrost/i;
+const INDEXERS = "Blockfrost|Kupo|Ogmios|Kupmios|Koios|Maestro";
+const INDEXER_5XX = new RegExp(
+  `(${INDEXERS}).*5\\d{2}|5\\d{2}.*(${INDEXERS})`,
+  "i",
+);
 
 /**
  * Detect network/infrastructure errors vs application errors.
@@ -37,11 +41,42 @@ export function isNetworkError(error) {
   const combined = `${msg} ${cause}`;
 
   if (NETWORK_PATTERNS.some((p) => combined.includes(p))) return true;
-  if (BLOCKFROST_5XX.test(combined)) return true;
+  if (INDEXER_5XX.test(combined)) return true;
 
   return false;
 }
 
+const WALLET_PATTERNS = ["not have enough funds", "EMPTY_UTXO", "No UTxO"];
+
+/**
+ * Detect errors of the wallet paying for a tx, vs those of what the tx does.
+ * @param {Error} error
+ * @returns {boolean}
+ */
+export function isWalletError(error) {
+  const msg = String(error?.message ?? "");
+  return WALLET_PATTERNS.some((p) => msg.includes(p));
+}
+
+const TX_LIMIT_PATTERNS = [
+  "MaxTxSize",
+  "ExUnitsTooBig",
+  "went over budget",
+  "OutOfExError",
+];
+
+/**
+ * Detect errors of a tx too large, in bytes or ex-units, vs other tx errors.
+ * @param {Error} error
+ * @returns {boolean}
+ */
+export function isTxLimitError(error) {
+  const msg = String(error?.message ?? "");
+  const cause = String(error?.cause ?? "");
+  const combined = `${msg} ${cause}`;
+  return TX_LIMIT_PATTERNS.some((p) => combined.includes(p));
+}
+
 /**
  * Parse Lucid Evolution / Cardano transaction errors into structured responses.
  * Always logs the raw error before returning.
@@ -94,7 +129,7 @@ export function parseLucidError(error, log) {
     };
   }
 
-  if (BLOCKFROST_5XX.test(msg)) {
+  if (INDEXER_5XX.test(msg)) {
     return {
       statusCode: 503,
       message: "Cardano network indexer temporarily unavailable.",
@@ -0,0 +1,285 @@
+import fastifyPlugin from "fastify-plugin";
+import { ToadScheduler, SimpleIntervalJob, AsyncTask } from "toad-scheduler";
+import { Follower } from "./chain/follow.js";
+
+/**
+ * @import { FastifyInstance } from "fastify";
+ * @import { Block } from "./chain/blocks.js";
+ * @import { Rollback } from "./chain/follow.js";
+ * @import { L1Block } from "./db/types.ts";
+ */
+
+/**
+ * What became of a subbit synced from a block no longer on the chain:
+ * - Moved : its UTxO is in another block. The block is recorded.
+ * - Spent : its UTxO is spent by a tx still on the chain. A sync follows it.
+ * - Suspended : its UTxO vanished with the tx creating it.
+ * - Stale : the subbit has since moved on, or is suspended already.
+ * - Restored : a subbit suspended so has its UTxO back, as its tx is on the
+ *   chain again.
+ * @typedef Action
+ * @type {"Moved" | "Spent" | "Suspended" | "Stale" | "Restored"}
+ */
+
+/**
+ * @typedef Report
+ * @type {object}
+ * @property {string} trigger
+ * @property {Block} tip
+ * @property {Rollback} [rollback]
+ * @property {{ keytag : string, action : Action }[]} reevaluated
+ * @property {string} timestamp
+ */
+
+/**
+ * Follower plugin — follows the chain tip, and on a rollback re-evaluates the
+ * subbits synced from rolled back blocks, suspending those whose UTxO vanished.
+ * These are checked again each poll, and restored should their tx be included
+ * again. Sync-from-chain records the block each synced subbit came from.
+ *
+ * Config via env vars:
+ *   SUBBIT_MAN_FOLLOWER_ENABLED     (default: "false")
+ *   SUBBIT_MAN_FOLLOW_INTERVAL_MS   (default: "20000" = a block)
+ *   SUBBIT_MAN_FOLLOW_WINDOW        (default: "100" tips seen)
+ *
+ * @param {FastifyInstance} fastify
+ */
+async function follower(fastify) {
+  const env = (/** @type {string} */ key, /** @type {string} */ fallback) =>
+    process.env[`SUBBIT_MAN_${key}`] ?? fallback;
+
+  if (env("FOLLOWER_ENABLED", "false") !== "true") {
+    fastify.log.info(
+      "[follower] Disabled (set SUBBIT_MAN_FOLLOWER_ENABLED=true to enable)",
+    );
+    return;
+  }
+
+  const ctx = /** @type {import("./lucid.js").LucidContext | undefined} */ (
+    /** @type {any} */ (fastify).lucidCtx
+  );
+  if (!ctx?.blocks) {
+    fastify.log.warn(
+      "[follower] No block info from the chain provider — follower disabled",
+    );
+    return;
+  }
+
+  const { lucid: l, blocks } = ctx;
+  const intervalMs = parseInt(env("FOLLOW_INTERVAL_MS", "20000"), 10);
+  const chain = new Follower(blocks, parseInt(env("FOLLOW_WINDOW", "100"), 10));
+
+  let running = false;
+  /** @type {Report | undefined} */
+  let last;
+  /**
+   * Keytags, hex, suspended as their UTxO vanished, until it is back or spent
+   * @type {Set<string>}
+   */
+  const vanished = new Set();
+
+  /**
+   * Poll the tip. Re-evaluate on a rollback, and on the first poll, as there
+   * may have been one while stopped.
+   * @param {string} trigger - What triggered this poll (e.g. "scheduled", "manual")
+   */
+  async function followChain(trigger) {
+    if (running) {
+      return { skipped: true, reason: "already running" };
+    }
+    running = true;
+    try {
+      const first = chain.window.length == 0;
+      const { tip, rollback } = await chain.poll();
+      if (rollback) {
+        fastify.log.warn(
+          `[follower] Rollback from ${rollback.from.height} to ${rollback.to?.height ?? "beyond the window"}`,
+        );
+      }
+      if (first) await seedVanished();
+      const reevaluated = [
+        ...(rollback || first ? await reevaluate(rollback?.to) : []),
+        ...(await recheck()),
+      ];
+      last = {
+        trigger,
+        tip,
+        rollback,
+        reevaluated,
+        timestamp: new Date().toISOString(),
+      };
+      return last;
+    } finally {
+      running = false;
+    }
+  }
+
+  /**
+   * Re-evaluate the subbits recorded as synced from blocks after `to`, that
+   * are no longer on the chain.
+   * @param {Block} [to] - the latest block seen still on the chain. All
+   * recorded blocks are checked if unset.
+   */
+  async function reevaluate(to) {
+    /** @type {Map<number, string | undefined>} */
+    const hashes = new Map();
+    const reevaluated = [];
+    for (const [keytag, l1Block] of await fastify.getL1Blocks()) {
+      const height = Number(l1Block.height);
+      if (to && height <= to.height) continue;
+      if (!hashes.has(height)) {
+        hashes.set(height, (await blocks.block(height))?.hash);
+      }
+      if (hashes.get(height) == l1Block.hash.toString("hex")) continue;
+      const action = await reevaluateOne(keytag, l1Block);
+      if (action == "Suspended") {
+        fastify.log.warn(
+          `[follower] Suspended ${keytag.toString("hex")}: its UTxO was rolled back`,
+        );
+      }
+      reevaluated.push({ keytag: keytag.toString("hex"), action });
+    }
+    return reevaluated;
+  }
+
+  /**
+   * The subbits suspended as their UTxO vanished may be from before a start.
+   * Their UTxO is as recorded in their L1 block, and the stage is that of a
+   * subbit closed on the chain. Those closed are let go on the first check,
+   * as their UTxO is spent.
+   */
+  async function seedVanished() {
+    for (const [keytag] of await fastify.getL1Blocks()) {
+      const info = await fastify.getInfo(keytag);
+      if (
+        info.kind == "Right" &&
+        "reason" in info.value.stage &&
+        info.value.stage.reason == "Closed"
+      ) {
+        vanished.add(keytag.toString("hex"));
+      }
+    }
+  }
+
+  /**
+   * Check again the subbits whose UTxO vanished. Once the tx of the UTxO is on
+   * the chain again, the subbit is restored if the UTxO is unspent. If spent,
+   * it is left to the next sync.
+   */
+  async function recheck() {
+    const l1Blocks = new Map(
+      (await fastify.getL1Blocks()).map(([keytag, l1Block]) => [
+        keytag.toString("hex"),
+        l1Block,
+      ]),
+    );
+    const reevaluated = [];
+    for (const keytagHex of vanished) {
+      const l1Block = l1Blocks.get(keytagHex);
+      if (!l1Block) {
+        // Dropped
+        vanished.delete(keytagHex);
+        continue;
+      }
+      const txHash = l1Block.txId.toString("hex");
+      const block = await blocks.txBlock(txHash);
+      if (!block) continue;
+      vanished.delete(keytagHex);
+      const [utxo] = await l.utxosByOutRef([
+        { txHash, outputIndex: Number(l1Block.outputIdx) },
+      ]);
+      if (!utxo) continue;
+      const keytag = Buffer.from(keytagHex, "hex");
+      await fastify.putL1Block(keytag, {
+        ...l1Block,
+        height: BigInt(block.height),
+        hash: Buffer.from(block.hash, "hex"),
+      });
+      const r = await fastify.restoreL1(keytag, l1Block);
+      if (r.kind == "Right" && r.value == "Restore") {
+        fastify.log.info(
+          `[follower] Restored ${keytagHex}: its UTxO is back on the chain`,
+        );
+        reevaluated.push({
+          keytag: keytagHex,
+          action: /** @type {Action} */ ("Restored"),
+        });
+      }
+    }
+    return reevaluated;
+  }
+
+  /**
+   * @param {Buffer} keytag
+   * @param {L1Block} l1Block
+   * @returns {Promise<Action>}
+   */
+  async function reevaluateOne(keytag, l1Block) {
+    const info = await fastify.getInfo(keytag);
+    if (
+      info.kind == "Left" ||
+      !("txId" in info.value.stage) ||
+      !info.value.stage.txId.equals(l1Block.txId)
+    ) {
+      return "Stale";
+    }
+    const txHash = l1Block.txId.toString("hex");
+    const [utxo] = await l.utxosByOutRef([
+      { txHash, outputIndex: Number(l1Block.outputIdx) },
+    ]);
+    const block = await blocks.txBlock(txHash);
+    if (utxo && block) {
+      await fastify.putL1Block(keytag, {
+        ...l1Block,
+        height: BigInt(block.height),
+        hash: Buffer.from(block.hash, "hex"),
+      });
+      return "Moved";
+    } else if (block) {
+      return "Spent";
+    }
+    const r = await fastify.putL1(keytag, []);
+    if (r.kind == "Right" && r.value == "Suspend") {
+      vanished.add(keytag.toString("hex"));
+      return "Suspended";
+    }
+    return "Stale";
+  }
+
+  fastify.decorate("followChain", followChain);
+  fastify.decorate("followerStatus", () => ({
+    window: chain.window,
+    last,
+  }));
+
+  const scheduler = new ToadScheduler();
+
+  const task = new AsyncTask(
+    "follow-chain",
+    () => followChain("scheduled"),
+    (err) => {
+      fastify.log.error(`[follower] Scheduled task error: ${err.message}`);
+    },
+  );
+
+  const job = new SimpleIntervalJob(
+    { milliseconds: intervalMs, runImmediately: true },
+    task,
+    { id: "follow-chain", preventOverrun: true },
+  );
+
+  fastify.ready().then(() => {
+    scheduler.addSimpleIntervalJob(job);
+    fastify.log.info(
+      `[follower] Enabled — polling every ${intervalMs / 1000}s`,
+    );
+  });
+
+  // Stop before the db closes
+  fastify.addHook("preClose", (done) => {
+    scheduler.stop();
+    done();
+  });
+}
+
+export default fastifyPlugin(follower);
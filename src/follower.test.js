@@ -0,0 +1,154 @@
+import * as assert from "node:assert";
+import { test, before, after } from "node:test";
+import * as fs from "node:fs";
+import * as os from "node:os";
+import * as path from "node:path";
+import Fastify from "fastify";
+import * as lucid from "@lucid-evolution/lucid";
+
+import db from "./db/index.js";
+import * as keys from "./db/keys.js";
+import follower from "./follower.js";
+import { FixtureProvider } from "./chain/fixture.js";
+
+process.env.SUBBIT_MAN_FOLLOWER_ENABLED = "true";
+process.env.SUBBIT_MAN_FOLLOW_INTERVAL_MS = String(60 * 60 * 1000);
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "subbit-man-follower-"));
+const skey = lucid.generatePrivateKey();
+const address = lucid.credentialToAddress(
+  "Preview",
+  lucid.keyHashToCredential(
+    lucid.CML.PrivateKey.from_bech32(skey).to_public().hash().to_hex(),
+  ),
+);
+const file = path.join(dir, "fixture.json");
+fs.writeFileSync(
+  file,
+  JSON.stringify({
+    utxos: [
+      {
+        txHash: "22".repeat(32),
+        outputIndex: 0,
+        address,
+        assets: { lovelace: "50000000" },
+      },
+    ],
+  }),
+);
+
+const p = new FixtureProvider(file);
+const l = await lucid.Lucid(p, "Preview");
+l.selectWallet.fromPrivateKey(skey);
+
+const fastify = Fastify();
+fastify.register(db, {
+  config: {
+    store: "memory",
+    dbPath: dir,
+    initCost: 1000n,
+    stampSweepInterval: 0,
+  },
+});
+fastify.decorate("lucidCtx", { lucid: l, blocks: p });
+fastify.register(follower);
+
+before(() => fastify.ready());
+after(() => fastify.close().then(() => fs.rmSync(dir, { recursive: true })));
+
+/**
+ * Poll, once the scheduled poll, if any, is done
+ * @returns {Promise<any>}
+ */
+async function follow() {
+  const r = await /** @type {any} */ (fastify).followChain("test");
+  if (!r.skipped) return r;
+  await new Promise((resolve) => setTimeout(resolve, 10));
+  return follow();
+}
+
+/**
+ * The signed tx of each subbit, by keytag, hex
+ * @type {Map<string, string>}
+ */
+const signedTxs = new Map();
+
+/**
+ * Submit a tx, and sync a subbit at its first output
+ * @param {number} n
+ */
+async function syncSubbit(n) {
+  const signed = await l
+    .newTx()
+    .pay.ToAddress(address, { lovelace: 5000000n })
+    .complete()
+    .then((tx) => tx.sign.withWallet().complete());
+  const txHash = await signed.submit();
+  const keytag = keys.keytag(Buffer.alloc(32, 1), Buffer.from([n]));
+  const txId = Buffer.from(txHash, "hex");
+  await fastify.putL1(keytag, [
+    { txId, outputIdx: 0n, sub: 0n, subbitAmt: 5000000n },
+  ]);
+  const block = await p.tip();
+  await fastify.putL1Block(keytag, {
+    txId,
+    outputIdx: 0n,
+    height: BigInt(block.height),
+    hash: Buffer.from(block.hash, "hex"),
+  });
+  signedTxs.set(keytag.toString("hex"), signed.toCBOR());
+  return keytag;
+}
+
+/**
+ * @param {Buffer} keytag
+ */
+async function isSuspended(keytag) {
+  const r = await fastify.getInfo(keytag);
+  assert.ok(r.kind == "Right");
+  return "timestamp" in r.value.stage;
+}
+
+test("follower: a rollback suspends the subbits it vanished", async () => {
+  assert.deepEqual((await follow()).reevaluated, []);
+  const kept = await syncSubbit(0);
+  assert.strictEqual((await follow()).rollback, undefined);
+  const lost = await syncSubbit(1);
+  assert.strictEqual((await follow()).rollback, undefined);
+
+  p.rollback(1);
+  p.awaitBlock(2);
+  const { rollback, reevaluated } = await follow();
+  assert.deepEqual(
+    [rollback.from.height, rollback.to.height, p.height],
+    [2, 1, 3],
+  );
+  assert.deepEqual(reevaluated, [
+    { keytag: lost.toString("hex"), action: "Suspended" },
+  ]);
+  assert.ok(await isSuspended(lost));
+  assert.ok(!(await isSuspended(kept)));
+});
+
+test("follower: a subbit suspended is restored once its tx is back", async () => {
+  const [lost] = (await fastify.getL1Blocks())
+    .map(([keytag]) => keytag)
+    .filter((keytag) => keytag.at(-1) == 1);
+  assert.ok(await isSuspended(lost));
+  assert.deepEqual((await follow()).reevaluated, []);
+
+  await p.submitTx(/** @type {string} */ (signedTxs.get(lost.toString("hex"))));
+  const { rollback, reevaluated } = await follow();
+  assert.strictEqual(rollback, undefined);
+  assert.deepEqual(reevaluated, [
+    { keytag: lost.toString("hex"), action: "Restored" },
+  ]);
+  assert.ok(!(await isSuspended(lost)));
+  const [[, l1Block]] = (await fastify.getL1Blocks()).filter(([keytag]) =>
+    keytag.equals(lost),
+  );
+  assert.strictEqual(Number(l1Block.height), p.height);
+
+  // Restored once only
+  assert.deepEqual((await follow()).reevaluated, []);
+});
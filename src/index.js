@@ -1,14 +1,19 @@
 import sensible from "@fastify/sensible";
 import { defaults } from "./options.js";
-import db from "./db/index.js";
+import db, { openStore } from "./db/index.js";
 import routes from "./routes.js";
 import lucidPlugin from "./lucid.js";
 import l1Routes from "./l1Routes.js";
+import emulatorRoutes from "./emulatorRoutes.js";
 import liaison from "./liaison.js";
+import follower from "./follower.js";
+import confirmer from "./confirmer.js";
+import settler from "./settler.js";
 import * as config from "./config.js";
 import { parseLucidError } from "./errors.js";
 
 const options = {
+  dbStore: "leveldb",
   dbPath: "./db",
   provider: defaults.provider,
   currency: "Ada",
@@ -17,6 +22,10 @@ const options = {
   nowThreshold: String(60 * 60 * 1000),
   fixedSeed: defaults.fixedSeed,
   initCost: "1000",
+  stampReplay: "false",
+  stampSweepInterval: String(60 * 1000),
+  trafficIous: "0",
+  trafficExposurePct: "0",
   bodyLimit: 1048576 * 30,
 };
 
@@ -29,11 +38,42 @@ const options = {
 function main(fastify, opts) {
   const c = config.parseOptions({ ...opts, ...config.env() });
   fastify.register(sensible);
-  fastify.register(db, { config: c.db });
-  fastify.register(lucidPlugin);
-  fastify.register(routes, { config: c.routes });
-  fastify.register(l1Routes);
-  fastify.register(liaison);
+  const tenants = c.tenants;
+  if (tenants) {
+    // Tenants share the store, each under its own namespace
+    fastify.register(async (root) => {
+      const store = await openStore(root, c.db);
+      for (const t of tenants) {
+        root.register(
+          async (scope) => {
+            scope.register(db, { config: t.db, store });
+            scope.register(lucidPlugin, {
+              config: t.lucid,
+              currency: t.routes.currency,
+            });
+            scope.register(routes, { config: t.routes });
+            scope.register(l1Routes);
+            scope.register(emulatorRoutes);
+            scope.register(liaison);
+            scope.register(follower);
+            scope.register(confirmer);
+            scope.register(settler);
+          },
+          { prefix: `/t/${t.id}` },
+        );
+      }
+    });
+  } else {
+    fastify.register(db, { config: c.db });
+    fastify.register(lucidPlugin, { currency: c.routes.currency });
+    fastify.register(routes, { config: c.routes });
+    fastify.register(l1Routes);
+    fastify.register(emulatorRoutes);
+    fastify.register(liaison);
+    fastify.register(follower);
+    fastify.register(confirmer);
+    fastify.register(settler);
+  }
 
   fastify.setErrorHandler(async function (error, request, reply) {
     if (error.validation) {
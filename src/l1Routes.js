@@ -1,6 +1,8 @@
 import * as tx from "@subbit-tx/tx";
 import * as keys from "./db/keys.js";
 import { parseBigIntSafe, isNetworkError, parseLucidError } from "./errors.js";
+import * as batch from "./batch.js";
+import * as currencies from "./currency.js";
 
 /**
  * @import { FastifyInstance } from "fastify";
@@ -11,6 +13,29 @@ function tagToHex(tag) {
   return Buffer.from(tag, "utf8").toString("hex");
 }
 
+/**
+ * A message if the wallet holds less of the currency than the amount. Short
+ * of ada, coin selection fails with its own message.
+ * @param {import("./types.ts").Currency} currency
+ * @param {{ assets : Record<string, bigint> }[]} utxos - as in Lucid
+ * @param {bigint} amount
+ * @returns {string | undefined}
+ */
+function shortOf(currency, utxos, amount) {
+  if (currency.kind == "Ada") return undefined;
+  const held = utxos.reduce(
+    (total, u) => total + currencies.amountOf(currency, u.assets),
+    0n,
+  );
+  return held < amount
+    ? `Wallet holds ${held} of ${currencies.show(currency)}, short of ${amount}`
+    : undefined;
+}
+
+/**
+ * @import { SubJob, SettleJob, Skip } from "./batch.js";
+ */
+
 async function l1Routes(fastify) {
   // Guard: skip if Lucid was not initialised (missing Blockfrost key)
   if (!fastify.lucidCtx) {
@@ -18,6 +43,361 @@ async function l1Routes(fastify) {
     return;
   }
 
+  /**
+   * Channels held back by sync-from-chain, by out ref
+   * @type {{ tip?: import("./chain/blocks.js").Block, channels: Map<string, any>, syncedAt?: string }}
+   */
+  const pending = { channels: new Map() };
+
+  /**
+   * Split subbits into those with at least `depth` confirmations, and the
+   * rest, which are recorded as pending. A subbit whose tx is in no block
+   * yet has none. With no depth, all are confirmed.
+   * @param {any[]} subbits
+   * @param {number} depth
+   * @param {Map<string, import("./chain/blocks.js").Block | undefined>} txBlocks
+   * - blocks by tx hash, looked up so far
+   */
+  async function splitByDepth(subbits, depth, txBlocks) {
+    const { blocks } = fastify.lucidCtx;
+    if (!(depth > 0) || !blocks) {
+      pending.channels = new Map();
+      return { confirmed: subbits, unconfirmed: [] };
+    }
+    const tip = await blocks.tip();
+    const confirmed = [];
+    const unconfirmed = [];
+    const channels = new Map();
+    for (const subbit of subbits) {
+      const { txHash, outputIndex } = subbit.utxo;
+      if (!txBlocks.has(txHash)) {
+        txBlocks.set(txHash, await blocks.txBlock(txHash));
+      }
+      const block = txBlocks.get(txHash);
+      const confirmations = block ? tip.height - block.height + 1 : 0;
+      if (confirmations >= depth) {
+        confirmed.push(subbit);
+        continue;
+      }
+      unconfirmed.push(subbit);
+      const outRef = `${txHash}#${outputIndex}`;
+      const ch = formatChannelForSync(subbit);
+      channels.set(outRef, {
+        ...ch,
+        keytag: ch && ch.iouKey + ch.tag,
+        blockHeight: block?.height ?? null,
+        confirmations,
+        firstSeen:
+          pending.channels.get(outRef)?.firstSeen ?? new Date().toISOString(),
+      });
+    }
+    pending.tip = tip;
+    pending.channels = channels;
+    pending.syncedAt = new Date().toISOString();
+    return { confirmed, unconfirmed };
+  }
+
+  /**
+   * Record the block each synced channel came from, so the follower can tell
+   * those rolled back. Channels recorded already at their UTxO are skipped.
+   * @param {{ iouKey : string, tag : string, txId : string, outputIdx : number | string }[]} synced
+   * @param {Map<string, import("./chain/blocks.js").Block | undefined>} txBlocks
+   */
+  async function recordBlocks(synced, txBlocks) {
+    const { blocks } = fastify.lucidCtx;
+    if (!blocks) return;
+    /** @type {[Buffer, import("./db/types.ts").L1Block][]} */
+    const l1Blocks = await fastify.getL1Blocks();
+    const recorded = new Map(
+      l1Blocks.map(([keytag, b]) => [keytag.toString("hex"), b]),
+    );
+    for (const ch of synced) {
+      const keytag = keys.keytag(
+        Buffer.from(ch.iouKey, "hex"),
+        Buffer.from(ch.tag, "hex"),
+      );
+      const txId = Buffer.from(ch.txId, "hex");
+      const outputIdx = BigInt(ch.outputIdx);
+      const prev = recorded.get(keytag.toString("hex"));
+      if (prev && prev.txId.equals(txId) && prev.outputIdx == outputIdx) {
+        continue;
+      }
+      if (!txBlocks.has(ch.txId)) {
+        txBlocks.set(ch.txId, await blocks.txBlock(ch.txId));
+      }
+      const block = txBlocks.get(ch.txId);
+      if (!block) continue;
+      await fastify.putL1Block(keytag, {
+        txId,
+        outputIdx,
+        height: BigInt(block.height),
+        hash: Buffer.from(block.hash, "hex"),
+      });
+    }
+  }
+
+  /**
+   * Record the closed subbits of the provider with an IOU above 0, for the
+   * settler to settle them before their deadline. Records of subbits no
+   * longer closed, ie settled or expired, are dropped.
+   * @param {any[]} subbits - all at tip
+   * @param {string} providerKeyHash
+   */
+  async function recordClosed(subbits, providerKeyHash) {
+    const { config, now } = fastify.lucidCtx;
+    const margin = parseInt(config.SETTLE_MARGIN_MS, 10);
+    /** @type {import("./db/types.ts").ClosedSubbit[]} */
+    const recorded = await fastify.getClosed();
+    const prev = new Map(recorded.map((c) => [c.keytag, c]));
+    const closed = new Set();
+    for (const subbit of subbits) {
+      if (
+        subbit.state.kind !== "Closed" ||
+        subbit.state.value.constants.provider !== providerKeyHash
+      ) {
+        continue;
+      }
+      const tag = subbit.state.value.constants.tag;
+      const ious = await fastify.getIousByTag(Buffer.from(tag, "hex"));
+      const iouEntry = Object.entries(ious)[0];
+      if (!iouEntry) continue;
+      const [keytag, iouData] = iouEntry;
+      // Nothing owed, so nothing to settle
+      if (BigInt(iouData.iouAmt) <= 0n) continue;
+      const deadline = Number(subbit.state.value.deadline);
+      const p = prev.get(keytag);
+      closed.add(keytag);
+      await fastify.putClosed({
+        ...p,
+        keytag,
+        tag,
+        txId: subbit.utxo.txHash,
+        outputIdx: subbit.utxo.outputIndex,
+        deadline,
+        iouAmt: BigInt(iouData.iouAmt),
+        seenAt: p?.seenAt ?? now(),
+        attempts: p?.attempts ?? 0,
+        dueAt: p?.dueAt ?? deadline - margin,
+      });
+    }
+    for (const c of recorded) {
+      if (!closed.has(c.keytag)) await fastify.delClosed(c.keytag);
+    }
+  }
+
+  /**
+   * Record a submitted tx, for the confirmer to see it onto the chain
+   * @param {string} txHash
+   * @param {import("./db/types.ts").TxStep} step
+   * @param {{ keytag : string, iouAmount : bigint }[]} jobs - stepped in the tx
+   * @param {string} signed - cbor hex
+   */
+  function trackTx(txHash, step, jobs, signed) {
+    const now = Date.now();
+    return fastify
+      .putTx({
+        txHash,
+        step,
+        status: "submitted",
+        keytags: jobs.map((job) => job.keytag),
+        amounts: jobs.map((job) => job.iouAmount),
+        cbor: signed,
+        attempts: 1,
+        submittedAt: now,
+        updatedAt: now,
+      })
+      .catch((/** @type {Error} */ err) =>
+        fastify.log.error(
+          `[${step}] Tracking ${txHash} failed: ${err.message}`,
+        ),
+      );
+  }
+
+  /**
+   * Plan the subs of IOUs. Channels that cannot be subbed are reported in
+   * `results`. Those with nothing to claim are left out.
+   * @param {Record<string, any>} ious
+   */
+  async function planSubs(ious) {
+    const { lucid: l, validatorAddress } = fastify.lucidCtx;
+
+    // Fetch all UTxOs at the validator address once
+    const allUtxos = await l.utxosAt(validatorAddress);
+
+    /** @type {any[]} */
+    const results = [];
+    /** @type {SubJob[]} */
+    const subJobs = [];
+
+    for (const [keytag, iouData] of Object.entries(ious)) {
+      if (!iouData.txId || iouData.outputIdx === undefined) {
+        results.push({ keytag, success: false, error: "Missing UTXO reference" });
+        continue;
+      }
+
+      const utxo = allUtxos.find(
+        (/** @type {any} */ u) =>
+          u.txHash === iouData.txId &&
+          u.outputIndex === parseInt(iouData.outputIdx, 10),
+      );
+
+      if (!utxo) {
+        results.push({
+          keytag,
+          success: false,
+          error: `UTXO not found: ${iouData.txId}#${iouData.outputIdx}`,
+        });
+        continue;
+      }
+
+      const subbit = tx.validator.utxo2Subbit(utxo);
+      if (!subbit || subbit.state.kind !== "Opened") {
+        results.push({ keytag, success: false, error: "Channel is not in Opened state" });
+        continue;
+      }
+
+      const iouAmount = BigInt(iouData.iouAmt);
+      const iouSignature = iouData.sig;
+
+      // Skip if nothing to claim (iouAmt <= subbed)
+      if (iouAmount <= subbit.state.value.subbed) {
+        continue;
+      }
+
+      if (!iouSignature) {
+        results.push({ keytag, success: false, error: "Missing IOU signature" });
+        continue;
+      }
+
+      subJobs.push({ keytag, subbit, utxo, iouAmount, iouSignature });
+    }
+
+    return { results, subJobs };
+  }
+
+  /**
+   * Plan the settles of Closed channels, with their IOUs from the DB.
+   * Channels that cannot be settled are reported in `results`.
+   * @param {any[]} closedChannels
+   */
+  async function planSettles(closedChannels) {
+    /** @type {any[]} */
+    const results = [];
+    /** @type {SettleJob[]} */
+    const settleJobs = [];
+
+    for (const subbit of closedChannels) {
+      const closed = subbit.state.value;
+      const onChainTagHex = closed.constants.tag;
+
+      // Look up IOU from DB via the tag index
+      const ious = await fastify.getIousByTag(Buffer.from(onChainTagHex, "hex"));
+      const iouEntry = Object.entries(ious)[0];
+
+      if (!iouEntry) {
+        results.push({ tag: onChainTagHex, success: false, error: "No IOU found" });
+        continue;
+      }
+
+      const [keytag, iouData] = iouEntry;
+      const iouAmount = BigInt(iouData.iouAmt);
+      const iouSignature = iouData.sig;
+
+      if (iouAmount <= 0n || !iouSignature) {
+        results.push({ tag: onChainTagHex, success: false, error: "No claimable IOU amount" });
+        continue;
+      }
+
+      settleJobs.push({ subbit, keytag, iouAmount, iouSignature, tagHex: onChainTagHex });
+    }
+
+    return { results, settleJobs };
+  }
+
+  /**
+   * @param {SubJob | SettleJob} job
+   * @param {"sub" | "settle"} step
+   * @returns {import("@subbit-tx/tx").validator.SubbitStep}
+   */
+  function toStep(job, step) {
+    return {
+      utxo: job.subbit.utxo,
+      state: job.subbit.state.value,
+      step,
+      amt: job.iouAmount,
+      sig: job.iouSignature,
+    };
+  }
+
+  /**
+   * Batching over the chain and DB of this provider
+   * @returns {import("./batch.js").Deps}
+   */
+  function batchDeps() {
+    const { lucid: l, validatorRef, config, currency } = fastify.lucidCtx;
+    return {
+      mkTx: async (settles, subs) => {
+        const steps = [
+          ...settles.map((job) => toStep(job, "settle")),
+          ...subs.map((job) => toStep(job, "sub")),
+        ];
+        const txBuilder = await tx.txs.batch.tx(l, validatorRef, steps);
+        return txBuilder.complete();
+      },
+      awaitTx: (txHash) => l.awaitTx(txHash),
+      track: trackTx,
+      db: fastify,
+      log: fastify.log,
+      maxSteps: parseInt(config.BATCH_MAX_STEPS, 10),
+      currency,
+      margin: BigInt(config.SUB_THRESHOLD_LOVELACE),
+      minClaim: BigInt(config.SUB_THRESHOLD_UNITS),
+    };
+  }
+
+  /**
+   * @param {SettleJob[]} settleJobs
+   * @param {SubJob[]} subJobs
+   * @param {Skip[]} skipped
+   */
+  function processBatches(settleJobs, subJobs, skipped) {
+    return batch.processBatches(batchDeps(), settleJobs, subJobs, skipped);
+  }
+
+  /**
+   * Settle, then sub, in separate txs, by their own routes
+   * @param {string} reason - why not in a single tx
+   */
+  async function processApart(reason) {
+    const settleRes = await fastify.inject({
+      method: "POST",
+      url: `${fastify.prefix}/l1/process-closed-channels`,
+      payload: {},
+    });
+    const subRes = await fastify.inject({
+      method: "POST",
+      url: `${fastify.prefix}/l1/process-ious`,
+      payload: {},
+    });
+    const settle = JSON.parse(settleRes.payload);
+    const subs = JSON.parse(subRes.payload);
+    const results = [
+      ...(settle.results ?? []).map((/** @type {any} */ r) => ({ step: "settle", ...r })),
+      ...(subs.results ?? []).map((/** @type {any} */ r) => ({ step: "sub", ...r })),
+    ];
+    const successful = results.filter((r) => r.success).length;
+    return {
+      mode: "split",
+      reason,
+      processed: results.length,
+      successful,
+      failed: results.length - successful,
+      results,
+      skipped: subs.skipped ?? [],
+      timestamp: new Date().toISOString(),
+    };
+  }
+
   // ──────────────────────────────────────────────────
   // POST /l1/build-open
   // Build an unsigned "Open" transaction to create a new channel
@@ -50,7 +430,7 @@ async function l1Routes(fastify) {
     async function (req, res) {
       const { tag, amount, iouKey, consumerKeyHash, walletUtxos, changeAddress } =
         req.body;
-      const { lucid: l, validatorRef, config } = fastify.lucidCtx;
+      const { lucid: l, validatorRef, config, currency } = fastify.lucidCtx;
 
       const parsed = parseBigIntSafe(amount, "amount");
       if (!parsed.ok) return res.badRequest(parsed.message);
@@ -79,12 +459,15 @@ async function l1Routes(fastify) {
         };
       });
 
+      const short = shortOf(currency, lucidUtxos, amountBigInt);
+      if (short) return res.badRequest(short);
+
       l.selectWallet.fromAddress(changeAddress, lucidUtxos);
 
       // Build constants for the channel datum
       const constants = {
         tag: tagToHex(tag),
-        currency: "Ada",
+        currency: currencies.toDatum(currency),
         iouKey: iouKey,
         consumer: consumerKeyHash,
         provider: config.PROVIDER_KEY_HASH,
@@ -149,7 +532,8 @@ async function l1Routes(fastify) {
     },
     async function (req, res) {
       const { tag, amount, walletUtxos, changeAddress } = req.body;
-      const { lucid: l, validatorAddress, validatorRef } = fastify.lucidCtx;
+      const { lucid: l, validatorAddress, validatorRef, config, currency } =
+        fastify.lucidCtx;
 
       const parsed = parseBigIntSafe(amount, "amount");
       if (!parsed.ok) return res.badRequest(parsed.message);
@@ -178,6 +562,11 @@ async function l1Routes(fastify) {
         );
       }
 
+      const channelCurrency = currencies.fromDatum(subbit.state.value.constants.currency);
+      if (!currencies.isCurrency(currency, channelCurrency)) {
+        return res.badRequest(`Channel is not in ${currencies.show(currency)}.`);
+      }
+
       // Convert MeshJS UTxO format → Lucid format
       const lucidUtxos = walletUtxos.map((utxo) => {
         const assets = {};
@@ -192,6 +581,9 @@ async function l1Routes(fastify) {
         };
       });
 
+      const short = shortOf(currency, lucidUtxos, amountBigInt);
+      if (short) return res.badRequest(short);
+
       l.selectWallet.fromAddress(changeAddress, lucidUtxos);
 
       // Build transaction
@@ -260,7 +652,7 @@ async function l1Routes(fastify) {
       },
     },
     async function (req, res) {
-      const { lucid: l, validatorAddress, config } = fastify.lucidCtx;
+      const { lucid: l, validatorAddress, config, currency } = fastify.lucidCtx;
       const providerKeyHash =
         req.body?.providerKeyHash || config.PROVIDER_KEY_HASH;
 
@@ -284,25 +676,46 @@ async function l1Routes(fastify) {
         }
       }
 
-      const openedChannels = subbits
+      await recordClosed(subbits, providerKeyHash);
+
+      // Channels in another currency are not the provider's to bill
+      const openedAtTip = subbits
         .filter((s) => s.state.kind === "Opened")
         .filter(
           (s) =>
             s.state.kind === "Opened" &&
-            s.state.value.constants.provider === providerKeyHash,
+            s.state.value.constants.provider === providerKeyHash &&
+            currencies.isCurrency(
+              currency,
+              currencies.fromDatum(s.state.value.constants.currency),
+            ),
         );
 
+      // UTxOs not yet deep enough are held back as pending, so that they
+      // do not underwrite tot until a rollback is unlikely
+      /** @type {Map<string, import("./chain/blocks.js").Block | undefined>} */
+      const txBlocks = new Map();
+      const { confirmed: openedChannels, unconfirmed } = await splitByDepth(
+        openedAtTip,
+        parseInt(config.CONFIRMATION_DEPTH, 10),
+        txBlocks,
+      );
+
       if (openedChannels.length === 0) {
         return {
           success: false,
-          message: "No channels found to sync",
+          message:
+            unconfirmed.length > 0
+              ? "No confirmed channels to sync"
+              : "No channels found to sync",
+          pendingCount: unconfirmed.length,
           timestamp: new Date().toISOString(),
         };
       }
 
       const channelsForSync = openedChannels
         .map(formatChannelForSync)
-        .filter(Boolean);
+        .filter((ch) => ch !== null);
 
       // Call putL1 directly per channel instead of POSTing to /l1/sync,
       // which sweeps ALL opened keytags and suspends any not in the payload
@@ -326,23 +739,75 @@ async function l1Routes(fastify) {
         }),
       );
 
+      const synced = channelsForSync.filter((_, i) =>
+        ["Insert", "Update", "NoneOpened"].includes(results[i][1]),
+      );
+      await recordBlocks(synced, txBlocks).catch((err) =>
+        fastify.log.warn(
+          `[sync-from-chain] Recording blocks failed: ${err.message}`,
+        ),
+      );
+
       return {
         success: true,
         message: "Channels synced",
         channelCount: channelsForSync.length,
+        pendingCount: unconfirmed.length,
         syncResult: Object.fromEntries(results),
         timestamp: new Date().toISOString(),
       };
     },
   );
 
+  // ──────────────────────────────────────────────────
+  // GET /l1/pending
+  // Opened channels at tip not yet at the confirmation depth, as of the
+  // last sync-from-chain
+  // ──────────────────────────────────────────────────
+  fastify.get("/l1/pending", async function () {
+    return {
+      depth: parseInt(fastify.lucidCtx.config.CONFIRMATION_DEPTH, 10),
+      tip: pending.tip,
+      pending: [...pending.channels.values()],
+      syncedAt: pending.syncedAt,
+    };
+  });
+
+  // ──────────────────────────────────────────────────
+  // GET /l1/follower
+  // The tips seen by the chain follower, and its last poll
+  // ──────────────────────────────────────────────────
+  fastify.get("/l1/follower", async function (
+    /** @type {any} */ _req,
+    /** @type {any} */ res,
+  ) {
+    if (!fastify.followerStatus) {
+      return res.notFound("The chain follower is not enabled");
+    }
+    return fastify.followerStatus();
+  });
+
+  // ──────────────────────────────────────────────────
+  // POST /l1/follow
+  // Poll the tip now, and re-evaluate the channels of any rollback
+  // ──────────────────────────────────────────────────
+  fastify.post("/l1/follow", async function (
+    /** @type {any} */ _req,
+    /** @type {any} */ res,
+  ) {
+    if (!fastify.followChain) {
+      return res.notFound("The chain follower is not enabled");
+    }
+    return fastify.followChain("manual");
+  });
+
   // ──────────────────────────────────────────────────
   // POST /l1/process-ious
   // Process pending IOUs: build, sign & submit sub transactions
   // ──────────────────────────────────────────────────
   fastify.post("/l1/process-ious", async function (req, res) {
-    const { lucid: l, validatorAddress, validatorRef, config } =
-      fastify.lucidCtx;
+    const { lucid: l, validatorRef } = fastify.lucidCtx;
+    fastify.lucidCtx.selectProvider();
 
     // Fetch pending IOUs from local DB
     const ious = await fastify.getIous();
@@ -351,55 +816,9 @@ async function l1Routes(fastify) {
       return { processed: 0, successful: 0, failed: 0 };
     }
 
-    // Fetch all UTxOs at the validator address once
-    const allUtxos = await l.utxosAt(validatorAddress);
-
-    const results = [];
-    /** @type {Array<{keytag: string, subbit: any, utxo: any, iouAmount: bigint, iouSignature: string}>} */
-    const subJobs = [];
-
-    for (const [keytag, iouData] of Object.entries(ious)) {
-      if (!iouData.txId || iouData.outputIdx === undefined) {
-        results.push({ keytag, success: false, error: "Missing UTXO reference" });
-        continue;
-      }
-
-      const utxo = allUtxos.find(
-        (u) =>
-          u.txHash === iouData.txId &&
-          u.outputIndex === parseInt(iouData.outputIdx, 10),
-      );
-
-      if (!utxo) {
-        results.push({
-          keytag,
-          success: false,
-          error: `UTXO not found: ${iouData.txId}#${iouData.outputIdx}`,
-        });
-        continue;
-      }
-
-      const subbit = tx.validator.utxo2Subbit(utxo);
-      if (!subbit || subbit.state.kind !== "Opened") {
-        results.push({ keytag, success: false, error: "Channel is not in Opened state" });
-        continue;
-      }
-
-      const iouAmount = BigInt(iouData.iouAmt);
-      const iouSignature = iouData.sig;
-
-      // Skip if nothing to claim (iouAmt <= subbed)
-      if (iouAmount <= subbit.state.value.subbed) {
-        continue;
-      }
-
-      if (!iouSignature) {
-        results.push({ keytag, success: false, error: "Missing IOU signature" });
-        continue;
-      }
-
-      subJobs.push({ keytag, subbit, utxo, iouAmount, iouSignature });
-    }
+    const { results, subJobs } = await planSubs(ious);
+    /** @type {Skip[]} */
+    const skipped = [];
 
     if (subJobs.length === 0) {
       return {
@@ -407,44 +826,14 @@ async function l1Routes(fastify) {
         successful: 0,
         failed: results.filter((r) => !r.success).length,
         results,
+        skipped,
         timestamp: new Date().toISOString(),
       };
     }
 
     // Batch sub via batch.tx() if reference script available
-    // TODO: Fee analysis before sub (ensure tx fee doesn't exceed claimed amount)
     if (validatorRef && subJobs.length > 0) {
-      try {
-        /** @type {import("@subbit-tx/tx").validator.SubbitStep[]} */
-        const steps = subJobs.map((job) => ({
-          utxo: job.utxo,
-          state: job.subbit.state.value,
-          step: "sub",
-          amt: job.iouAmount,
-          sig: job.iouSignature,
-        }));
-
-        const txBuilder = await tx.txs.batch.tx(l, validatorRef, steps);
-        const unsignedTx = await txBuilder.complete();
-        const signedTx = await unsignedTx.sign.withWallet().complete();
-        const txHash = await signedTx.submit();
-
-        // Async confirmation
-        l.awaitTx(txHash).then(
-          () => fastify.log.info(`[process-ious] Batch confirmed: ${txHash}`),
-          (err) => fastify.log.warn(`[process-ious] Batch confirmation failed: ${err.message}`),
-        );
-
-        for (const job of subJobs) {
-          results.push({ keytag: job.keytag, success: true, txHash });
-        }
-      } catch (error) {
-        fastify.log.error(`[process-ious] Batch sub failed: ${error.message}`);
-        // On batch failure, log and let the next cycle retry
-        for (const job of subJobs) {
-          results.push({ keytag: job.keytag, success: false, error: error.message });
-        }
-      }
+      results.push(...(await processBatches([], subJobs, skipped)));
     } else {
       // Fallback: single-tx sub per channel
       for (const job of subJobs) {
@@ -470,8 +859,13 @@ async function l1Routes(fastify) {
           }
 
           const unsignedTx = await txBuilder.complete();
+          const fee = unsignedTx.toTransaction().body().fee();
+          if (!batch.coversFee(job, fee, batchDeps(), skipped)) {
+            continue;
+          }
           const signedTx = await unsignedTx.sign.withWallet().complete();
           const txHash = await signedTx.submit();
+          await trackTx(txHash, "sub", [job], signedTx.toCBOR());
           await l.awaitTx(txHash);
 
           results.push({ keytag: job.keytag, success: true, txHash });
@@ -483,12 +877,18 @@ async function l1Routes(fastify) {
 
     const successful = results.filter((r) => r.success).length;
 
-    // Sync after successful processing
+    if (skipped.length > 0) {
+      fastify.log.info(`[process-ious] Skipped ${skipped.length} subs not worth their fee`);
+    }
+
+    // Sync after successful processing. Each batch tx is in a block by
+    // now, as processBatches awaits the last one too, so the sync sees
+    // the stepped outputs.
     if (successful > 0) {
       try {
         await fastify.inject({
           method: "POST",
-          url: "/l1/sync-from-chain",
+          url: `${fastify.prefix}/l1/sync-from-chain`,
           payload: {},
         });
       } catch (err) {
@@ -501,6 +901,7 @@ async function l1Routes(fastify) {
       successful,
       failed: results.length - successful,
       results,
+      skipped,
       timestamp: new Date().toISOString(),
     };
   });
@@ -572,7 +973,7 @@ async function l1Routes(fastify) {
           txBuilder = await tx.txs.close.single(l, validatorRef, subbit);
         } else {
           const opened = subbit.state.value;
-          const now = BigInt(Date.now());
+          const now = BigInt(fastify.lucidCtx.now());
           const redeemer = tx.validator.closeRed();
           txBuilder = tx.txs.close.step(
             l.newTx(),
@@ -597,7 +998,7 @@ async function l1Routes(fastify) {
       // Extract deadline from the built tx output datum
       // close.single computes: deadline = (now + 300_000) + closePeriod + 1001
       const opened = subbit.state.value;
-      const now = BigInt(Date.now());
+      const now = BigInt(fastify.lucidCtx.now());
       const deadline = now + 300000n + opened.constants.closePeriod + 1001n;
 
       return { unsignedTx: unsignedTxCbor, deadline: Number(deadline) };
@@ -746,7 +1147,7 @@ async function l1Routes(fastify) {
 
       // Verify deadline has passed
       const closed = subbit.state.value;
-      const now = BigInt(Date.now());
+      const now = BigInt(fastify.lucidCtx.now());
       if (now < closed.deadline) {
         return res.badRequest(
           `Deadline has not passed yet. Deadline: ${closed.deadline}, now: ${now}.`,
@@ -860,6 +1261,7 @@ async function l1Routes(fastify) {
   fastify.post("/l1/process-closed-channels", async function (req, res) {
     const { lucid: l, validatorAddress, validatorRef, config } =
       fastify.lucidCtx;
+    fastify.lucidCtx.selectProvider();
 
     if (!config.PROVIDER_KEY_HASH) {
       return res.badRequest("No provider key hash configured");
@@ -877,39 +1279,7 @@ async function l1Routes(fastify) {
       return { processed: 0, successful: 0, failed: 0 };
     }
 
-    // Fetch all IOUs once before the loop
-    const ious = await fastify.getIous();
-    const results = [];
-
-    // Collect settle steps for batch transaction
-    /** @type {Array<{subbit: any, iouAmount: bigint, iouSignature: string, tagHex: string}>} */
-    const settleJobs = [];
-
-    for (const subbit of closedChannels) {
-      const closed = subbit.state.value;
-      const onChainTagHex = closed.constants.tag;
-
-      // Fix: match by comparing keytag suffix (last N chars = tag hex) against on-chain tag
-      const iouEntry = Object.entries(ious).find(
-        ([keytagHex]) => keytagHex.slice(64) === onChainTagHex,
-      );
-
-      if (!iouEntry) {
-        results.push({ tag: onChainTagHex, success: false, error: "No IOU found" });
-        continue;
-      }
-
-      const [, iouData] = iouEntry;
-      const iouAmount = BigInt(iouData.iouAmt);
-      const iouSignature = iouData.sig;
-
-      if (iouAmount <= 0n || !iouSignature) {
-        results.push({ tag: onChainTagHex, success: false, error: "No claimable IOU amount" });
-        continue;
-      }
-
-      settleJobs.push({ subbit, iouAmount, iouSignature, tagHex: onChainTagHex });
-    }
+    const { results, settleJobs } = await planSettles(closedChannels);
 
     if (settleJobs.length === 0) {
       return {
@@ -921,38 +1291,9 @@ async function l1Routes(fastify) {
       };
     }
 
-    // Batch settle via batch.tx() if reference script available and multiple jobs
+    // Batch settle via batch.tx() if reference script available
     if (validatorRef && settleJobs.length > 0) {
-      try {
-        /** @type {import("@subbit-tx/tx").validator.SubbitStep[]} */
-        const steps = settleJobs.map((job) => ({
-          utxo: job.subbit.utxo,
-          state: job.subbit.state.value,
-          step: "settle",
-          amt: job.iouAmount,
-          sig: job.iouSignature,
-        }));
-
-        const txBuilder = await tx.txs.batch.tx(l, validatorRef, steps);
-        const unsignedTx = await txBuilder.complete();
-        const signedTx = await unsignedTx.sign.withWallet().complete();
-        const txHash = await signedTx.submit();
-
-        // Async confirmation
-        l.awaitTx(txHash).then(
-          () => fastify.log.info(`[process-closed-channels] Batch confirmed: ${txHash}`),
-          (err) => fastify.log.warn(`[process-closed-channels] Batch confirmation failed: ${err.message}`),
-        );
-
-        for (const job of settleJobs) {
-          results.push({ tag: job.tagHex, success: true, txHash });
-        }
-      } catch (error) {
-        fastify.log.error(`[process-closed-channels] Batch settle failed: ${error.message}`);
-        for (const job of settleJobs) {
-          results.push({ tag: job.tagHex, success: false, error: error.message });
-        }
-      }
+      results.push(...(await processBatches(settleJobs, [], [])));
     } else {
       // Fallback: single-tx settle per channel
       for (const job of settleJobs) {
@@ -980,6 +1321,7 @@ async function l1Routes(fastify) {
           const unsignedTx = await txBuilder.complete();
           const signedTx = await unsignedTx.sign.withWallet().complete();
           const txHash = await signedTx.submit();
+          await trackTx(txHash, "settle", [job], signedTx.toCBOR());
           await l.awaitTx(txHash);
 
           results.push({ tag: job.tagHex, success: true, txHash });
@@ -1000,9 +1342,78 @@ async function l1Routes(fastify) {
     };
   });
 
+  // ──────────────────────────────────────────────────
+  // POST /l1/process-channels
+  // Settle closed channels and sub opened ones together, in as few batch txs
+  // as fit them
+  // ──────────────────────────────────────────────────
+  fastify.post("/l1/process-channels", async function () {
+    const { lucid: l, validatorAddress, validatorRef, config } =
+      fastify.lucidCtx;
+    fastify.lucidCtx.selectProvider();
+
+    if (!validatorRef) {
+      return processApart("No reference script to batch with");
+    }
+
+    // With no provider key hash, no closed channel is this provider's
+    const subbits = await tx.validator.getStates(l, validatorAddress);
+    const closedChannels = subbits.filter(
+      (/** @type {any} */ s) =>
+        s.state.kind === "Closed" &&
+        s.state.value.constants.provider === config.PROVIDER_KEY_HASH,
+    );
+    const ious = await fastify.getIous();
+
+    const settles = await planSettles(closedChannels);
+    const subs = Object.keys(ious).length > 0
+      ? await planSubs(ious)
+      : { results: [], subJobs: [] };
+    const results = [
+      ...settles.results.map((r) => ({ step: "settle", ...r })),
+      ...subs.results.map((r) => ({ step: "sub", ...r })),
+    ];
+    /** @type {Skip[]} */
+    const skipped = [];
+
+    results.push(...(await processBatches(settles.settleJobs, subs.subJobs, skipped)));
+
+    const successful = results.filter((r) => r.success).length;
+
+    if (skipped.length > 0) {
+      fastify.log.info(`[process-channels] Skipped ${skipped.length} subs not worth their fee`);
+    }
+
+    // Sync after successful processing. Each batch tx is in a block by
+    // now, as processBatches awaits the last one too, so the sync sees
+    // the stepped outputs.
+    if (successful > 0) {
+      try {
+        await fastify.inject({
+          method: "POST",
+          url: `${fastify.prefix}/l1/sync-from-chain`,
+          payload: {},
+        });
+      } catch (/** @type {any} */ err) {
+        fastify.log.warn(`Post-batch sync failed: ${err.message}`);
+      }
+    }
+
+    return {
+      mode: "combined",
+      processed: results.length,
+      successful,
+      failed: results.length - successful,
+      results,
+      skipped,
+      timestamp: new Date().toISOString(),
+    };
+  });
+
   // ──────────────────────────────────────────────────
   // POST /l1/settle-channel
   // Settle a specific closed channel by tag (triggered by portal after consumer close)
+  // or by hex tag (by the settler, which has synced already: skipSync)
   // ──────────────────────────────────────────────────
   fastify.post(
     "/l1/settle-channel",
@@ -1010,9 +1421,11 @@ async function l1Routes(fastify) {
       schema: {
         body: {
           type: "object",
-          required: ["tag"],
+          anyOf: [{ required: ["tag"] }, { required: ["tagHex"] }],
           properties: {
             tag: { type: "string" },
+            tagHex: { type: "string" },
+            skipSync: { type: "boolean" },
           },
         },
       },
@@ -1023,41 +1436,41 @@ async function l1Routes(fastify) {
         fastify.lucidCtx;
 
       // Sync from chain first to ensure DB state matches L1
-      try {
-        await fastify.inject({
-          method: "POST",
-          url: "/l1/sync-from-chain",
-          payload: {},
-        });
-      } catch (err) {
-        fastify.log.warn(`[settle-channel] Pre-settle sync failed: ${err.message}`);
+      if (!req.body.skipSync) {
+        try {
+          await fastify.inject({
+            method: "POST",
+            url: `${fastify.prefix}/l1/sync-from-chain`,
+            payload: {},
+          });
+        } catch (err) {
+          fastify.log.warn(`[settle-channel] Pre-settle sync failed: ${err.message}`);
+        }
       }
 
-      const tagHex = tagToHex(tag);
+      const tagHex = req.body.tagHex ?? tagToHex(tag);
 
       // Find the Closed channel on-chain
       let subbit;
       try {
         subbit = await tx.validator.getStateByTag(l, validatorAddress, tagHex);
       } catch {
-        return { success: false, error: `Channel with tag "${tag}" not found on-chain` };
+        return { success: false, error: `Channel with tag "${tag ?? tagHex}" not found on-chain` };
       }
 
       if (subbit.state.kind !== "Closed") {
         return { success: false, error: `Channel is not Closed (state: ${subbit.state.kind})` };
       }
 
-      // Look up IOU from DB — match keytag suffix against on-chain tag hex
-      const ious = await fastify.getIous();
-      const iouEntry = Object.entries(ious).find(
-        ([keytagHex]) => keytagHex.slice(64) === tagHex,
-      );
+      // Look up IOU from DB via the tag index
+      const ious = await fastify.getIousByTag(Buffer.from(tagHex, "hex"));
+      const iouEntry = Object.entries(ious)[0];
 
       if (!iouEntry) {
         return { success: false, error: "No IOU found for this channel" };
       }
 
-      const [, iouData] = iouEntry;
+      const [keytag, iouData] = iouEntry;
       const iouAmount = BigInt(iouData.iouAmt);
       const iouSignature = iouData.sig;
 
@@ -1065,6 +1478,7 @@ async function l1Routes(fastify) {
         return { success: false, error: "IOU has no claimable amount or missing signature" };
       }
 
+      fastify.lucidCtx.selectProvider();
       try {
         // Build settle tx
         let txBuilder;
@@ -1091,11 +1505,12 @@ async function l1Routes(fastify) {
 
         const signedTx = await unsignedTx.sign.withWallet().complete();
         const txHash = await signedTx.submit();
-
-        // Async confirmation — don't block response
-        l.awaitTx(txHash).then(
-          () => fastify.log.info(`[settle-channel] Confirmed: ${txHash}`),
-          (err) => fastify.log.warn(`[settle-channel] Confirmation failed: ${err.message}`),
+        // The confirmer sees it onto the chain
+        await trackTx(
+          txHash,
+          "settle",
+          [{ keytag, iouAmount }],
+          signedTx.toCBOR(),
         );
 
         return { success: true, txHash, tag };
@@ -1106,6 +1521,127 @@ async function l1Routes(fastify) {
     },
   );
 
+  // ──────────────────────────────────────────────────
+  // GET /l1/txs
+  // Submitted sub and settle txs, and their status, latest first
+  // ──────────────────────────────────────────────────
+  fastify.get(
+    "/l1/txs",
+    {
+      schema: {
+        querystring: {
+          type: "object",
+          properties: {
+            status: {
+              type: "string",
+              enum: ["submitted", "confirmed", "failed", "expired"],
+            },
+            keytag: { type: "string" },
+            limit: { type: "integer", minimum: 1, default: 100 },
+          },
+        },
+      },
+    },
+    async function (/** @type {any} */ req) {
+      const { status, keytag, limit } = req.query;
+      /** @type {import("./db/types.ts").TrackedTx[]} */
+      const txs = await fastify.getTxs(status);
+      return txs
+        .filter((t) => keytag === undefined || t.keytags.includes(keytag))
+        .sort((a, b) => b.submittedAt - a.submittedAt)
+        .slice(0, limit)
+        .map(({ cbor: _, amounts, ...t }) => ({
+          ...t,
+          amounts: amounts.map(String),
+        }));
+    },
+  );
+
+  // ──────────────────────────────────────────────────
+  // GET /l1/at-risk
+  // Closed channels yet to settle, soonest deadline first, with the time left
+  // ──────────────────────────────────────────────────
+  fastify.get(
+    "/l1/at-risk",
+    {
+      schema: {
+        querystring: {
+          type: "object",
+          properties: {
+            withinMs: { type: "integer" },
+          },
+        },
+      },
+    },
+    async function (/** @type {any} */ req) {
+      const { config, now } = fastify.lucidCtx;
+      const margin = parseInt(config.SETTLE_MARGIN_MS, 10);
+      const { withinMs } = req.query;
+      const at = now();
+      /** @type {import("./db/types.ts").ClosedSubbit[]} */
+      const closed = await fastify.getClosed();
+      return closed
+        .map((c) => ({
+          ...c,
+          iouAmt: String(c.iouAmt),
+          remainingMs: c.deadline - at,
+          atRisk: c.deadline - at <= margin,
+        }))
+        .filter((c) => withinMs === undefined || c.remainingMs <= withinMs)
+        .sort((a, b) => a.deadline - b.deadline);
+    },
+  );
+
+  // ──────────────────────────────────────────────────
+  // POST /l1/settle-due
+  // Run the settler now
+  // ──────────────────────────────────────────────────
+  fastify.post("/l1/settle-due", async function (
+    /** @type {any} */ _req,
+    /** @type {any} */ res,
+  ) {
+    if (!fastify.settleDue) {
+      return res.notFound("The settler is not enabled");
+    }
+    return fastify.settleDue("manual");
+  });
+
+  // ──────────────────────────────────────────────────
+  // GET /l1/quarantine
+  // Channels kept out of batch txs, as their step alone failed
+  // ──────────────────────────────────────────────────
+  fastify.get("/l1/quarantine", async function () {
+    /** @type {import("./db/types.ts").Quarantined[]} */
+    const held = await fastify.getQuarantined();
+    return held.map((q) => ({ ...q, iouAmt: String(q.iouAmt) }));
+  });
+
+  // ──────────────────────────────────────────────────
+  // POST /l1/quarantine/release
+  // Release a channel from quarantine, eg once its fault is fixed
+  // ──────────────────────────────────────────────────
+  fastify.post(
+    "/l1/quarantine/release",
+    {
+      schema: {
+        body: {
+          type: "object",
+          required: ["keytag"],
+          properties: {
+            keytag: { type: "string" },
+          },
+        },
+      },
+    },
+    async function (/** @type {any} */ req, /** @type {any} */ res) {
+      const { keytag } = req.body;
+      if (!(await fastify.delQuarantined(keytag))) {
+        return res.notFound(`Not quarantined: ${keytag}`);
+      }
+      return { keytag, released: true };
+    },
+  );
+
   // ──────────────────────────────────────────────────
   // POST /l1/liaison-run
   // Manual trigger for full liaison cycle
@@ -1122,7 +1658,7 @@ async function l1Routes(fastify) {
     try {
       const syncRes = await fastify.inject({
         method: "POST",
-        url: "/l1/sync-from-chain",
+        url: `${fastify.prefix}/l1/sync-from-chain`,
         payload: {},
       });
       results.sync = JSON.parse(syncRes.payload);
@@ -1131,25 +1667,14 @@ async function l1Routes(fastify) {
     }
 
     try {
-      const settleRes = await fastify.inject({
+      const batchRes = await fastify.inject({
         method: "POST",
-        url: "/l1/process-closed-channels",
+        url: `${fastify.prefix}/l1/process-channels`,
         payload: {},
       });
-      results.settle = JSON.parse(settleRes.payload);
+      results.batch = JSON.parse(batchRes.payload);
     } catch (err) {
-      results.settle = { error: err.message };
-    }
-
-    try {
-      const subRes = await fastify.inject({
-        method: "POST",
-        url: "/l1/process-ious",
-        payload: {},
-      });
-      results.subs = JSON.parse(subRes.payload);
-    } catch (err) {
-      results.subs = { error: err.message };
+      results.batch = { error: err.message };
     }
 
     return { trigger: "manual-fallback", results, timestamp: new Date().toISOString() };
@@ -1200,23 +1725,11 @@ function formatChannelForSync(subbit) {
 
   const { constants, subbed, amt } = state.value;
 
-  let currency = "Ada";
-  if (constants.currency !== "Ada") {
-    if (typeof constants.currency === "object" && "ByHash" in constants.currency) {
-      currency = { byHash: constants.currency.ByHash };
-    } else if (
-      typeof constants.currency === "object" &&
-      "ByClass" in constants.currency
-    ) {
-      currency = { byClass: constants.currency.ByClass };
-    }
-  }
-
   return {
     txId: utxo.txHash,
     outputIdx: String(utxo.outputIndex),
     provider: constants.provider,
-    currency,
+    currency: currencies.fromDatum(constants.currency),
     closePeriod: String(constants.closePeriod),
     iouKey: constants.iouKey,
     tag: constants.tag,
@@ -8,7 +8,15 @@ import { ToadScheduler, SimpleIntervalJob, AsyncTask } from "toad-scheduler";
  * Config via env vars:
  *   SUBBIT_MAN_LIAISON_ENABLED       (default: "false")
  *   SUBBIT_MAN_SYNC_INTERVAL_MS      (default: "900000" = 15 min)
- *   SUBBIT_MAN_SUB_THRESHOLD_LOVELACE (default: "0" = process all)
+ *   SUBBIT_MAN_TRAFFIC_DEBOUNCE_MS   (default: "30000" = 30 s)
+ *
+ * A cycle also runs early when the IOU traffic of a channel crosses a
+ * threshold of the db config. See SUBBIT_MAN_TRAFFIC_IOUS and
+ * SUBBIT_MAN_TRAFFIC_EXPOSURE_PCT.
+ *
+ * Settles and subs go in one batch tx, by process-channels. Subs not worth
+ * their fee are skipped. See SUBBIT_MAN_SUB_THRESHOLD_LOVELACE, and for a
+ * native asset SUBBIT_MAN_SUB_THRESHOLD_UNITS, in the lucid config.
  *
  * @import { FastifyInstance } from "fastify";
  * @param {FastifyInstance} fastify
@@ -29,13 +37,17 @@ async function liaison(fastify) {
     fastify.log.warn("[liaison] Lucid not initialised — liaison disabled");
     return;
   }
+  const { withWallet } = /** @type {import("./lucid.js").LucidContext} */ (
+    /** @type {any} */ (fastify).lucidCtx
+  );
 
   const intervalMs = parseInt(env("SYNC_INTERVAL_MS", "900000"), 10);
+  const debounceMs = parseInt(env("TRAFFIC_DEBOUNCE_MS", "30000"), 10);
 
   let running = false;
 
   /**
-   * Run a full liaison cycle: sync → settle → subs.
+   * Run a full liaison cycle: sync → settles and subs.
    * Decorated onto fastify so endpoints can trigger it.
    * @param {string} trigger - What triggered this cycle (e.g. "scheduled", "manual")
    */
@@ -49,42 +61,34 @@ async function liaison(fastify) {
     const startTime = Date.now();
     fastify.log.info(`[liaison] Cycle started (trigger: ${trigger})`);
 
+    /** @type {{ sync?: any, batch?: any, error?: string }} */
     const results = {};
 
     try {
-      // 1. Sync from chain
-      fastify.log.info("[liaison] Step 1/3: Syncing from chain...");
-      const syncRes = await fastify.inject({
-        method: "POST",
-        url: "/l1/sync-from-chain",
-        payload: {},
-      });
-      results.sync = JSON.parse(syncRes.payload);
-      fastify.log.info(`[liaison] Sync complete: ${syncRes.statusCode}`);
-
-      // 2. Settle closed channels
-      fastify.log.info("[liaison] Step 2/3: Processing closed channels...");
-      const settleRes = await fastify.inject({
-        method: "POST",
-        url: "/l1/process-closed-channels",
-        payload: {},
+      // Not while the confirmer or the settler spend from the wallet
+      await withWallet(async () => {
+        // 1. Sync from chain
+        fastify.log.info("[liaison] Step 1/2: Syncing from chain...");
+        const syncRes = await fastify.inject({
+          method: "POST",
+          url: `${fastify.prefix}/l1/sync-from-chain`,
+          payload: {},
+        });
+        results.sync = JSON.parse(syncRes.payload);
+        fastify.log.info(`[liaison] Sync complete: ${syncRes.statusCode}`);
+
+        // 2. Settle closed channels and sub opened ones, in one batch tx
+        fastify.log.info("[liaison] Step 2/2: Processing channels...");
+        const batchRes = await fastify.inject({
+          method: "POST",
+          url: `${fastify.prefix}/l1/process-channels`,
+          payload: {},
+        });
+        results.batch = JSON.parse(batchRes.payload);
+        fastify.log.info(
+          `[liaison] Batch complete (${results.batch.mode}): ${results.batch.successful || 0} processed, ${results.batch.failed || 0} failed, ${results.batch.skipped?.length || 0} skipped`,
+        );
       });
-      results.settle = JSON.parse(settleRes.payload);
-      fastify.log.info(
-        `[liaison] Settle complete: ${results.settle.successful || 0} settled, ${results.settle.failed || 0} failed`,
-      );
-
-      // 3. Process IOUs / subs
-      fastify.log.info("[liaison] Step 3/3: Processing IOUs...");
-      const subRes = await fastify.inject({
-        method: "POST",
-        url: "/l1/process-ious",
-        payload: {},
-      });
-      results.subs = JSON.parse(subRes.payload);
-      fastify.log.info(
-        `[liaison] Subs complete: ${results.subs.successful || 0} processed, ${results.subs.failed || 0} failed`,
-      );
     } catch (err) {
       fastify.log.error(`[liaison] Cycle error: ${err.message}`);
       results.error = err.message;
@@ -100,6 +104,32 @@ async function liaison(fastify) {
   // Decorate onto fastify so endpoints (liaison-run) can call it
   fastify.decorate("runLiaisonCycle", runLiaisonCycle);
 
+  /** @type {NodeJS.Timeout | undefined} */
+  let early;
+
+  /**
+   * Run a cycle early, as the IOU traffic of a channel crossed a threshold.
+   * Crossings within the debounce window share the run. If a cycle is running
+   * by then, the run waits another window rather than being skipped.
+   * @param {import("./db/types.ts").Traffic} traffic
+   */
+  function runEarly(traffic) {
+    if (early) return;
+    fastify.log.info(`[liaison] Traffic on ${traffic.keytag} (${traffic.reason}), running early in ${debounceMs}ms`);
+    early = setTimeout(() => {
+      early = undefined;
+      if (running) {
+        runEarly(traffic);
+        return;
+      }
+      runLiaisonCycle("traffic").catch((err) => {
+        fastify.log.error(`[liaison] Traffic run error: ${err.message}`);
+      });
+    }, debounceMs);
+  }
+
+  fastify.onTraffic(runEarly);
+
   // Schedule recurring cycle
   const scheduler = new ToadScheduler();
 
@@ -122,13 +152,10 @@ async function liaison(fastify) {
 
   // Cleanup on close
   fastify.addHook("onClose", () => {
+    clearTimeout(early);
     scheduler.stop();
     fastify.log.info("[liaison] Scheduler stopped");
   });
-
-  // TODO: Combine subs + settles into a single batch tx per liaison cycle (currently two separate batch txs)
-  // TODO: Implement economic threshold logic (skip subs below configurable lovelace amount)
-  // TODO: Traffic-triggered sync (after N IOU events, trigger early sync)
 }
 
 export default fastifyPlugin(liaison);
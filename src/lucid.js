@@ -1,6 +1,9 @@
 import fastifyPlugin from "fastify-plugin";
 import * as lucid from "@lucid-evolution/lucid";
 import * as tx from "@subbit-tx/tx";
+import * as chain from "./chain/index.js";
+import * as emulator from "./chain/emulator.js";
+import { mkSerial } from "./db/serial.js";
 
 /**
  * @typedef LucidContext
@@ -9,48 +12,115 @@ import * as tx from "@subbit-tx/tx";
  * @property {string} validatorAddress
  * @property {lucid.UTxO | null} validatorRef
  * @property {tx.validator.Validator} validator
- * @property {object} config
- * @property {string} config.BLOCKFROST_API_KEY
- * @property {string} config.BLOCKFROST_NETWORK
- * @property {string} config.PROVIDER_KEY_HASH
- * @property {string} config.PROVIDER_SIGNING_KEY
- * @property {string} config.SUBBIT_REFERENCE_UTXO
- * @property {string} config.CLOSE_PERIOD
+ * @property {chain.Config & LucidConfig} config
+ * @property {Currency} currency - of subbits opened and synced, as parsed
+ * from the currency option at startup
+ * @property {lucid.Emulator} [emulator] - in emulator mode
+ * @property {import("./chain/blocks.js").Blocks} [blocks] - if the chain
+ * provider has block info
+ * @property {() => number} now - time on the chain, in ms
+ * @property {() => void} selectProvider - select the provider wallet, as
+ * before signing. Building a consumer tx selects the consumer's.
+ * @property {<T>(task : () => Promise<T>) => Promise<T>} withWallet - run a
+ * task that spends from the provider wallet, once those before it are done,
+ * so no two pick the same wallet UTxOs. The liaison, the confirmer and the
+ * settler each run their txs so.
+ */
+
+/**
+ * @typedef LucidConfig
+ * @type {object}
+ * @property {string} NETWORK - Mainnet or Preview
+ * @property {string} PROVIDER_KEY_HASH
+ * @property {string} PROVIDER_SIGNING_KEY
+ * @property {string} SUBBIT_REFERENCE_UTXO
+ * @property {string} CLOSE_PERIOD
+ * @property {string} CONFIRMATION_DEPTH - blocks on top of that of a UTxO
+ * before it is synced
+ * @property {string} SUB_THRESHOLD_LOVELACE - a sub of Ada must claim this
+ * much beyond its share of the tx fee
+ * @property {string} SUB_THRESHOLD_UNITS - a sub of another currency must
+ * claim more than this many of its units
+ * @property {string} BATCH_MAX_STEPS - of a batch tx, before it is bisected
+ * for size
+ * @property {string} SETTLE_MARGIN_MS - before the deadline of a closed
+ * subbit, when the settler settles it, if not settled by then
+ */
+
+/**
+ * Config that replaces that from the env, eg per tenant
+ * @typedef Overrides
+ * @type {Partial<LucidContext["config"]>}
  */
 
 /**
  * @import { FastifyInstance } from "fastify";
+ * @import { Currency } from "./types.ts";
  * @param {FastifyInstance} fastify
+ * @param {{ config? : Overrides, currency : Currency }} opts
  */
-async function lucidPlugin(fastify) {
+async function lucidPlugin(fastify, opts) {
   const env = (/** @type {string} */ key, /** @type {string} */ fallback) =>
     process.env[`SUBBIT_MAN_${key}`] ?? fallback;
 
+  /** @type {LucidContext["config"]} */
   const config = {
+    CHAIN_PROVIDER: env("CHAIN_PROVIDER", "blockfrost"),
+    // The network was once for Blockfrost alone
+    NETWORK: env("NETWORK", env("BLOCKFROST_NETWORK", "Preview")),
     BLOCKFROST_API_KEY: env("BLOCKFROST_API_KEY", ""),
-    BLOCKFROST_NETWORK: env("BLOCKFROST_NETWORK", "Preview"),
+    BLOCKFROST_URL: env("BLOCKFROST_URL", ""),
+    KUPO_URL: env("KUPO_URL", ""),
+    OGMIOS_URL: env("OGMIOS_URL", ""),
+    KOIOS_URL: env("KOIOS_URL", ""),
+    KOIOS_TOKEN: env("KOIOS_TOKEN", ""),
+    MAESTRO_API_KEY: env("MAESTRO_API_KEY", ""),
+    CHAIN_FIXTURE: env("CHAIN_FIXTURE", ""),
+    EMULATOR_SEED: env("EMULATOR_SEED", "subbit-man"),
+    EMULATOR_WALLETS: env("EMULATOR_WALLETS", "2"),
+    EMULATOR_LOVELACE: env("EMULATOR_LOVELACE", "100000000000"),
     PROVIDER_KEY_HASH: env("PROVIDER_KEY_HASH", ""),
     PROVIDER_SIGNING_KEY: env("PROVIDER_SIGNING_KEY", ""),
     SUBBIT_REFERENCE_UTXO: env("SUBBIT_REFERENCE_UTXO", ""),
     CLOSE_PERIOD: env("CLOSE_PERIOD", "86400000"),
+    CONFIRMATION_DEPTH: env("CONFIRMATION_DEPTH", "0"),
+    SUB_THRESHOLD_LOVELACE: env("SUB_THRESHOLD_LOVELACE", "0"),
+    SUB_THRESHOLD_UNITS: env("SUB_THRESHOLD_UNITS", "0"),
+    BATCH_MAX_STEPS: env("BATCH_MAX_STEPS", "10"),
+    SETTLE_MARGIN_MS: env("SETTLE_MARGIN_MS", "3600000"),
+    ...opts.config,
   };
 
-  if (!config.BLOCKFROST_API_KEY) {
+  const kind = chain.parseKind(config.CHAIN_PROVIDER);
+  const unset = chain.missing(kind, config);
+  if (unset.length > 0) {
     fastify.log.warn(
-      "SUBBIT_MAN_BLOCKFROST_API_KEY not set — L1 routes will be unavailable",
+      `${unset.map((key) => `SUBBIT_MAN_${key}`).join(", ")} not set — L1 routes will be unavailable`,
     );
     return;
   }
 
+  if (kind == "emulator") {
+    // The provider wallet is seeded, so provider txs can be signed
+    const [own] = emulator.wallets(config);
+    config.PROVIDER_SIGNING_KEY = own.privateKey;
+    config.PROVIDER_KEY_HASH = config.PROVIDER_KEY_HASH || own.keyHash;
+  }
+
   const network =
-    config.BLOCKFROST_NETWORK.toLowerCase() === "mainnet"
-      ? "Mainnet"
-      : "Preview";
+    kind == "emulator"
+      ? "Custom"
+      : config.NETWORK.toLowerCase() === "mainnet"
+        ? "Mainnet"
+        : "Preview";
 
-  const provider = new lucid.Blockfrost(
-    `https://cardano-${config.BLOCKFROST_NETWORK.toLowerCase()}.blockfrost.io/api/v0`,
-    config.BLOCKFROST_API_KEY,
-  );
+  const provider = chain.mkProvider(kind, config, network);
+  const blocks = chain.mkBlocks(kind, config, network, provider);
+  if (parseInt(config.CONFIRMATION_DEPTH, 10) > 0 && !blocks) {
+    throw new Error(
+      `The ${kind} chain provider has no block info. Unset SUBBIT_MAN_CONFIRMATION_DEPTH`,
+    );
+  }
 
   const l = await lucid.Lucid(provider, network);
 
@@ -88,6 +158,13 @@ async function lucidPlugin(fastify) {
     }
   }
 
+  if (provider instanceof lucid.Emulator && !validatorRef) {
+    validatorRef = await emulator.deployReference(l, provider, validator);
+    fastify.log.info(`Reference script deployed: ${validatorRef.txHash}#0`);
+  }
+
+  const serial = mkSerial();
+
   /** @type {LucidContext} */
   const ctx = {
     lucid: l,
@@ -95,11 +172,22 @@ async function lucidPlugin(fastify) {
     validatorRef,
     validator,
     config,
+    currency: opts.currency,
+    emulator: provider instanceof lucid.Emulator ? provider : undefined,
+    blocks,
+    now: () =>
+      provider instanceof lucid.Emulator ? provider.now() : Date.now(),
+    selectProvider: () => {
+      if (config.PROVIDER_SIGNING_KEY) {
+        l.selectWallet.fromPrivateKey(config.PROVIDER_SIGNING_KEY);
+      }
+    },
+    withWallet: (task) => serial("wallet", task),
   };
 
   fastify.decorate("lucidCtx", ctx);
 
-  fastify.log.info(`Lucid initialized — network: ${network}`);
+  fastify.log.info(`Lucid initialized — network: ${network}, chain: ${kind}`);
   fastify.log.info(`Validator address: ${validatorAddress}`);
 }
 
@@ -1,5 +1,11 @@
+import { Readable } from "node:stream";
 import { default as schemas } from "../schemas.json" with { type: "json" };
 import * as keys from "./db/keys.js";
+import * as events from "./db/events.js";
+import * as stages from "./db/stages.js";
+import { calcTot } from "./db/values.js";
+import * as archive from "./db/archive.js";
+import { isCurrency } from "./currency.js";
 /** @import * as types from "./schemaTypes.ts" */
 /** @import { Currency, Either } from "./types.ts" */
 /** @import * as dbTypes from "./db/types.ts" */
@@ -15,6 +21,7 @@ import * as cred from "./cred/index.js";
  * @property {number} tagLength
  * @property {bigint} nowThreshold
  * @property {bigint} fixedSeed
+ * @property {boolean} stampReplay
  */
 
 /**
@@ -26,28 +33,6 @@ import * as cred from "./cred/index.js";
 async function routes(fastify, { config }) {
   fastify.addSchema(schemas);
 
-  /**
-   * @param {types.Currency} c
-   * @returns {boolean}
-   */
-  function isCurrency(c) {
-    if (config.currency.kind == "Ada") {
-      return c == "Ada";
-    } else if (config.currency.kind == "ByHash") {
-      return (
-        typeof c == "object" &&
-        "byHash" in c &&
-        config.currency.value.equals(Buffer.from(c.byHash, "hex"))
-      );
-    } else {
-      return (
-        typeof c == "object" &&
-        "byClass" in c &&
-        config.currency.value.equals(Buffer.from(c.byClass, "hex"))
-      );
-    }
-  }
-
   /**
    * If cred is invalid, returns undefined.
    * @param {types.L1Subbit} s
@@ -56,7 +41,7 @@ async function routes(fastify, { config }) {
   function isL1(s) {
     return (
       config.provider.equals(Buffer.from(s.provider, "hex")) &&
-      isCurrency(s.currency) &&
+      isCurrency(config.currency, s.currency) &&
       BigInt(s.closePeriod) >= config.closePeriod &&
       Buffer.from(s.tag, "hex").length <= config.tagLength
     );
@@ -134,6 +119,17 @@ async function routes(fastify, { config }) {
         return left("StampTooOld");
       } else if (cx.message.now > BigInt(Date.now()) + config.nowThreshold) {
         return left("StampTooNew");
+      } else if (config.stampReplay) {
+        // Beyond `now + nowThreshold` the stamp is too old anyway
+        return fastify
+          .putStamp(
+            cx.keytag(),
+            cx.signature,
+            cx.message.now + config.nowThreshold,
+          )
+          .then((r) =>
+            r.kind == "Right" ? right(cx.keytag()) : left(r.error),
+          );
       } else {
         return right(cx.keytag());
       }
@@ -284,19 +280,101 @@ async function routes(fastify, { config }) {
   fastify.get(
     "/exec/show",
     {
-      schema: {},
+      schema: {
+        querystring: { ...schemas.$defs.showQuery, $defs: schemas.$defs },
+      },
+    },
+    function (req, res) {
+      const q = /** @type {types.ShowQuery} */ (req.query);
+      const after =
+        q.after === undefined ? undefined : Buffer.from(q.after, "hex");
+      const limit = q.limit === undefined ? undefined : Number(q.limit);
+      /**
+       * @param {Either<dbTypes.Info, dbTypes.InfoFail>} s
+       */
+      const toJson = (s) => (s.kind == "Right" ? info2json(s.value) : null);
+      if (q.format == "ndjson") {
+        res.type("application/x-ndjson");
+        return Readable.from(ndjson(fastify.streamInfos(after), limit, toJson));
+      } else if (after === undefined && limit === undefined) {
+        return fastify
+          .getInfos()
+          .then((r) => r.map(toJson))
+          .then(JSON.stringify);
+      } else {
+        return fastify.getInfos({ after, limit }).then((r) => {
+          const last = r[r.length - 1];
+          return JSON.stringify({
+            infos: r.map(toJson),
+            next:
+              limit !== undefined && r.length == limit && last.kind == "Right"
+                ? keys.keytag(last.value.iouKey, last.value.tag).toString("hex")
+                : null,
+          });
+        });
+      }
+    },
+  );
+
+  fastify.get(
+    "/exec/events",
+    {
+      schema: {
+        querystring: { ...schemas.$defs.eventsQuery, $defs: schemas.$defs },
+      },
     },
     function (req, res) {
+      const q = /** @type {types.EventsQuery} */ (req.query);
+      /** @type {dbTypes.EventsFilter} */
+      const filter = {
+        from: q.from === undefined ? undefined : BigInt(q.from),
+        to: q.to === undefined ? undefined : BigInt(q.to),
+        kinds: q.kinds === undefined ? undefined : q.kinds.split(",").map(kind),
+        after: q.after === undefined ? undefined : BigInt(q.after),
+        limit: Math.min(Number(q.limit || EVENTS_LIMIT), EVENTS_LIMIT),
+      };
       return fastify
-        .getInfos()
+        .getEvents(Buffer.from(q.keytag, "hex"), filter)
         .then((r) => {
-          return r.map((s) => {
-            if (s.kind == "Right") {
-              return info2json(s.value);
-            } else {
-              return null;
-            }
-          });
+          if (r.kind == "Right") {
+            return {
+              events: r.value.events.map(logged2json),
+              next: r.value.next === undefined ? null : String(r.value.next),
+            };
+          } else {
+            res.code(500);
+            return r.error;
+          }
+        })
+        .then(JSON.stringify);
+    },
+  );
+
+  fastify.get(
+    "/exec/info",
+    {
+      schema: {
+        querystring: { ...schemas.$defs.infoAtQuery, $defs: schemas.$defs },
+      },
+    },
+    function (req, res) {
+      const { keytag, at } = /** @type {types.InfoAtQuery} */ (req.query);
+      return fastify
+        .getInfoAt(Buffer.from(keytag, "hex"), BigInt(at))
+        .then((r) => {
+          if (r.kind == "Right") {
+            const { stage, cost, iouAmt, sub, subbitAmt, seq } = r.value;
+            return {
+              ...info2json(r.value),
+              seq: String(seq),
+              tot: stages.isSuspended(stage)
+                ? null
+                : String(calcTot(cost, iouAmt, sub, subbitAmt)),
+            };
+          } else {
+            res.code(r.error == "Other" ? 500 : 400);
+            return r.error;
+          }
         })
         .then(JSON.stringify);
     },
@@ -335,10 +413,171 @@ async function routes(fastify, { config }) {
       },
     },
     function (req, res) {
-      const _drops = /** @type {types.DropBody} */ (req.body);
-      throw new Error("Not yet implemented");
+      const drop = /** @type {types.DropBody} */ (req.body);
+      /**
+       * @param {Buffer} keytag
+       * @param {Either<null, string>} r
+       * @returns {[string, string]}
+       */
+      const report = (keytag, r) => [
+        keytag.toString("hex"),
+        r.kind == "Right" ? "Ok" : r.error,
+      ];
+      if (drop.kind == "keytags") {
+        const keytags = /** @type {types.Keytags} */ (drop.value);
+        return Promise.all(
+          keytags.map((keytagHex) => {
+            const keytag = Buffer.from(keytagHex, "hex");
+            return fastify.dropSubbit(keytag).then((r) => report(keytag, r));
+          }),
+        ).then(Object.fromEntries);
+      } else if (drop.kind == "time") {
+        const { olderThan } = /** @type {types.Time} */ (drop.value);
+        return fastify
+          .dropSuspended(BigInt(olderThan))
+          .then((rs) => Object.fromEntries(rs.map(([k, r]) => report(k, r))));
+      } else {
+        const { olderThan } = /** @type {types.Time} */ (drop.value);
+        return fastify
+          .dropEvents(BigInt(olderThan))
+          .then((rs) => Object.fromEntries(rs.map(([k, r]) => report(k, r))));
+      }
+    },
+  );
+
+  fastify.post(
+    "/exec/check",
+    {
+      schema: {
+        body: { ...schemas.$defs.checkBody, $defs: schemas.$defs },
+      },
+    },
+    function (req, res) {
+      const { repair } = /** @type {types.CheckBody} */ (req.body);
+      return fastify.checkDb(repair === true);
+    },
+  );
+
+  fastify.get(
+    "/exec/export",
+    {
+      schema: {
+        querystring: { ...schemas.$defs.exportQuery, $defs: schemas.$defs },
+      },
+    },
+    function (req, res) {
+      const q = /** @type {types.ExportQuery} */ (req.query);
+      const format = q.format == "ndjson" ? "ndjson" : "cbor";
+      res.type(archive.contentType(format));
+      res.header(
+        "content-disposition",
+        `attachment; filename="subbit-man-${Date.now()}.${format}"`,
+      );
+      return Readable.from(fastify.exportDb(format));
     },
   );
+
+  fastify.addContentTypeParser(
+    archive.formats.map(archive.contentType),
+    { parseAs: "buffer" },
+    (_req, body, done) => done(null, body),
+  );
+
+  fastify.post(
+    "/exec/restore",
+    {
+      schema: {
+        querystring: { ...schemas.$defs.restoreQuery, $defs: schemas.$defs },
+      },
+    },
+    function (req, res) {
+      const { force } = /** @type {types.RestoreQuery} */ (req.query);
+      const format = req.headers["content-type"]?.startsWith(
+        archive.contentType("ndjson"),
+      )
+        ? "ndjson"
+        : "cbor";
+      if (!Buffer.isBuffer(req.body)) {
+        res.code(415);
+        return JSON.stringify("UnsupportedMediaType");
+      }
+      return fastify
+        .restoreDb(req.body, format, force === true)
+        .then((r) => {
+          if (r.kind == "Right") {
+            return r.value;
+          } else {
+            res.code(
+              r.error == "NotEmpty" ? 409 : r.error == "Other" ? 500 : 400,
+            );
+            return r.error;
+          }
+        })
+        .then(JSON.stringify);
+    },
+  );
+}
+
+/**
+ * Lines of JSON, one per item, at most `limit` of them.
+ * @template T
+ * @param {AsyncGenerator<T>} items
+ * @param {number | undefined} limit
+ * @param {(item : T) => any} toJson
+ */
+async function* ndjson(items, limit, toJson) {
+  let cnt = 0;
+  for await (const item of items) {
+    yield JSON.stringify(toJson(item)) + "\n";
+    if (++cnt === limit) break;
+  }
+}
+
+/** Maximum, and default, number of events in a page */
+const EVENTS_LIMIT = 1000;
+
+/**
+ * @param {string} k - as in the query
+ * @returns {dbTypes.EventKind}
+ */
+function kind(k) {
+  // @ts-ignore
+  return { iou: "Iou", mod: "Mod", l1: "L1", edit: "Edit" }[k];
+}
+
+/**
+ * @param {dbTypes.LoggedEvent} logged
+ */
+function logged2json({ seq, timestamp, event }) {
+  const base = { seq: String(seq), timestamp: String(timestamp) };
+  if (event instanceof events.Iou) {
+    return {
+      ...base,
+      kind: "iou",
+      amount: String(event.amount),
+      signature: Buffer.from(event.signature).toString("hex"),
+    };
+  } else if (event instanceof events.Mod) {
+    return { ...base, kind: "mod", by: String(event.by) };
+  } else if (event instanceof events.L1) {
+    return {
+      ...base,
+      kind: "l1",
+      l1Subbits: event.l1Subbits.map((l) => ({
+        txId: Buffer.from(l.txId).toString("hex"),
+        outputIdx: String(l.outputIdx),
+        sub: String(l.sub),
+        subbitAmt: String(l.subbitAmt),
+      })),
+    };
+  } else {
+    return {
+      ...base,
+      kind: "edit",
+      edit: event.kind.toLowerCase(),
+      by: String(event.by),
+    };
+  }
 }
 
 /**
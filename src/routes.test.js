@@ -0,0 +1,109 @@
+import * as assert from "node:assert";
+import { test, before, after } from "node:test";
+import * as crypto from "node:crypto";
+import Fastify from "fastify";
+import sensible from "@fastify/sensible";
+
+import db from "./db/index.js";
+import * as keys from "./db/keys.js";
+import routes from "./routes.js";
+import * as cred from "./cred/index.js";
+import * as msg from "./cred/msg.js";
+
+const nowThreshold = 60n * 1000n;
+const skey = crypto.randomBytes(32).toString("hex");
+const tag = Buffer.from("0a0b", "hex");
+
+/**
+ * @param {number} stampSweepInterval
+ */
+function mkServer(stampSweepInterval) {
+  const fastify = Fastify();
+  fastify.register(sensible);
+  fastify.register(db, {
+    config: {
+      store: "memory",
+      dbPath: "",
+      initCost: 1000n,
+      stampSweepInterval,
+    },
+  });
+  fastify.register(routes, {
+    config: {
+      provider: Buffer.alloc(28),
+      currency: { kind: "Ada" },
+      closePeriod: 0n,
+      tagLength: 20,
+      nowThreshold,
+      fixedSeed: 0n,
+      stampReplay: true,
+    },
+  });
+  return fastify;
+}
+
+const fastify = mkServer(0);
+const swept = mkServer(20);
+
+before(() => Promise.all([fastify.ready(), swept.ready()]));
+after(() => Promise.all([fastify.close(), swept.close()]));
+
+/**
+ * @param {bigint} now
+ */
+function stamp(now) {
+  return cred.Cred.mk(skey, new msg.Stamp(tag, now));
+}
+
+/**
+ * @param {cred.Cred} c
+ */
+function info(c) {
+  return fastify.inject({
+    method: "GET",
+    url: `/l2/info?cred=${c.toB64()}`,
+  });
+}
+
+/**
+ * @param {import("fastify").FastifyInstance} f
+ */
+async function countStamps(f) {
+  let n = 0;
+  for await (const _ of f.store.iterator(keys.allStampBounds())) n++;
+  return n;
+}
+
+test("stamps: a replayed stamp is rejected", async () => {
+  const c = stamp(BigInt(Date.now()));
+  await fastify.putL1(c.keytag(), [
+    { txId: Buffer.alloc(32, 2), outputIdx: 0n, sub: 0n, subbitAmt: 5000n },
+  ]);
+  assert.strictEqual((await info(c)).statusCode, 200);
+  const replayed = await info(c);
+  assert.deepEqual(
+    [replayed.statusCode, replayed.payload],
+    [400, "StampReplayed"],
+  );
+  assert.strictEqual(
+    (await info(stamp(BigInt(Date.now()) + 1n))).statusCode,
+    200,
+  );
+
+  const old = await info(stamp(BigInt(Date.now()) - 2n * nowThreshold));
+  assert.deepEqual([old.statusCode, old.payload], [400, "StampTooOld"]);
+});
+
+test("stamps: the sweeper evicts expired stamps", async () => {
+  const c = stamp(BigInt(Date.now()));
+  const at = BigInt(Date.now());
+  await swept.putStamp(c.keytag(), c.signature, at - 1n);
+  await swept.putStamp(c.keytag(), Buffer.alloc(64, 1), at + nowThreshold);
+  assert.strictEqual(await countStamps(swept), 2);
+  await new Promise((resolve) => setTimeout(resolve, 100));
+  assert.strictEqual(await countStamps(swept), 1);
+  assert.deepEqual(
+    await swept.putStamp(c.keytag(), Buffer.alloc(64, 1), at + nowThreshold),
+    { kind: "Left", error: "StampReplayed" },
+  );
+});
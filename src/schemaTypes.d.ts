@@ -82,6 +82,20 @@ export type TxId = string;
  * via the `definition` "outputIdx".
  */
 export type OutputIdx = string;
+/**
+ * Event sequence number, int as string
+ *
+ * This interface was referenced by `SubbitMan`'s JSON-Schema
+ * via the `definition` "seq".
+ */
+export type Seq = string;
+/**
+ * Comma separated event kinds: iou, mod, l1, edit
+ *
+ * This interface was referenced by `SubbitMan`'s JSON-Schema
+ * via the `definition` "eventKinds".
+ */
+export type EventKinds = string;
 /**
  * Account credential, bytes in base64
  *
@@ -290,6 +304,59 @@ export interface ModQuery {
    */
   by: string;
 }
+/**
+ * events query string. Times are timestamps in milliseconds
+ *
+ * This interface was referenced by `SubbitMan`'s JSON-Schema
+ * via the `definition` "eventsQuery".
+ */
+export interface EventsQuery {
+  keytag: Keytag;
+  /**
+   * A positive integer, in digits
+   */
+  from?: string;
+  /**
+   * A positive integer, in digits
+   */
+  to?: string;
+  kinds?: EventKinds;
+  /**
+   * cursor, as returned by the previous page
+   */
+  after?: string;
+  limit?: PosInt;
+}
+/**
+ * show query string
+ *
+ * This interface was referenced by `SubbitMan`'s JSON-Schema
+ * via the `definition` "showQuery".
+ */
+export interface ShowQuery {
+  /**
+   * Keytag, hex encoded
+   */
+  after?: string;
+  limit?: PosInt;
+  /**
+   * json, or ndjson to stream one info per line
+   */
+  format?: string;
+}
+/**
+ * info at query string
+ *
+ * This interface was referenced by `SubbitMan`'s JSON-Schema
+ * via the `definition` "infoAtQuery".
+ */
+export interface InfoAtQuery {
+  keytag: Keytag;
+  /**
+   * A positive integer, in digits
+   */
+  at: string;
+}
 /**
  * Edit body content
  *
@@ -299,3 +366,39 @@ export interface ModQuery {
 export interface EditBody {
   [k: string]: Edit;
 }
+/**
+ * export query string
+ *
+ * This interface was referenced by `SubbitMan`'s JSON-Schema
+ * via the `definition` "exportQuery".
+ */
+export interface ExportQuery {
+  /**
+   * cbor (default) or ndjson
+   */
+  format?: string;
+}
+/**
+ * restore query string
+ *
+ * This interface was referenced by `SubbitMan`'s JSON-Schema
+ * via the `definition` "restoreQuery".
+ */
+export interface RestoreQuery {
+  /**
+   * Replace the entries of a non-empty DB
+   */
+  force?: boolean;
+}
+/**
+ * Check body content
+ *
+ * This interface was referenced by `SubbitMan`'s JSON-Schema
+ * via the `definition` "checkBody".
+ */
+export interface CheckBody {
+  /**
+   * Rewrite faulty state from events
+   */
+  repair?: boolean;
+}
@@ -0,0 +1,169 @@
+import fastifyPlugin from "fastify-plugin";
+import { settleRetryDelay } from "./decisions.js";
+
+/**
+ * @import { FastifyInstance } from "fastify";
+ * @import { ClosedSubbit } from "./db/types.ts";
+ */
+
+/**
+ * Settler plugin — settles each closed channel with an IOU before its
+ * deadline, after which the consumer may take back the funds. Sync-from-chain
+ * records the closed channels of the provider, each due to settle a margin
+ * (SUBBIT_MAN_SETTLE_MARGIN_MS of the lucid config) before its deadline.
+ *
+ * A run syncs, then settles the channels due, without each settle syncing
+ * again. A failed settle is tried again
+ * sooner as the deadline nears: after a quarter of the time left, within the
+ * min retry delay and the interval. The settler runs again when the next
+ * channel is due, or after the interval, whichever is sooner.
+ *
+ * Config via env vars:
+ *   SUBBIT_MAN_SETTLER_ENABLED       (default: "false")
+ *   SUBBIT_MAN_SETTLER_INTERVAL_MS   (default: "300000" = 5 min)
+ *   SUBBIT_MAN_SETTLE_RETRY_MIN_MS   (default: "30000" = 30 s)
+ *
+ * @param {FastifyInstance} fastify
+ */
+async function settler(fastify) {
+  const env = (/** @type {string} */ key, /** @type {string} */ fallback) =>
+    process.env[`SUBBIT_MAN_${key}`] ?? fallback;
+
+  if (env("SETTLER_ENABLED", "false") !== "true") {
+    fastify.log.info("[settler] Disabled");
+    return;
+  }
+
+  const ctx = /** @type {import("./lucid.js").LucidContext | undefined} */ (
+    /** @type {any} */ (fastify).lucidCtx
+  );
+  if (!ctx) {
+    fastify.log.warn("[settler] Lucid not initialised — settler disabled");
+    return;
+  }
+  const { now, config, withWallet } = ctx;
+
+  const intervalMs = parseInt(env("SETTLER_INTERVAL_MS", "300000"), 10);
+  const retryMinMs = parseInt(env("SETTLE_RETRY_MIN_MS", "30000"), 10);
+
+  let running = false;
+  let closing = false;
+  /** @type {NodeJS.Timeout | undefined} */
+  let timer;
+
+  /**
+   * Sync, then settle the closed channels due
+   * @param {string} trigger - What triggered this run (e.g. "scheduled", "manual")
+   */
+  async function settleDue(trigger) {
+    if (running) {
+      return { skipped: true, reason: "already running" };
+    }
+    running = true;
+    try {
+      await fastify.inject({
+        method: "POST",
+        url: `${fastify.prefix}/l1/sync-from-chain`,
+        payload: {},
+      });
+      /** @type {{ keytag : string, txHash : string }[]} */
+      const settled = [];
+      /** @type {{ keytag : string, error : string }[]} */
+      const failed = [];
+      // Not while the liaison or the confirmer spend from the wallet
+      await withWallet(async () => {
+        for (const c of await fastify.getClosed()) {
+          if (now() < c.dueAt) continue;
+          const next = await settleOne(c);
+          await fastify.putClosed(next);
+          if (next.error) {
+            failed.push({ keytag: c.keytag, error: next.error });
+          } else if (next.txHash) {
+            settled.push({ keytag: c.keytag, txHash: next.txHash });
+          }
+        }
+      });
+      return {
+        trigger,
+        settled,
+        failed,
+        timestamp: new Date().toISOString(),
+      };
+    } finally {
+      running = false;
+    }
+  }
+
+  /**
+   * Settle a channel, and when to try again, should the settle fail or not
+   * make it onto the chain before the next sync
+   * @param {ClosedSubbit} c
+   * @returns {Promise<ClosedSubbit>}
+   */
+  async function settleOne(c) {
+    const res = await fastify.inject({
+      method: "POST",
+      url: `${fastify.prefix}/l1/settle-channel`,
+      payload: { tagHex: c.tag, skipSync: true },
+    });
+    /** @type {{ success? : boolean, txHash? : string, error? : string, message? : string }} */
+    const r = JSON.parse(res.payload);
+    const at = now();
+    const remainingMs = c.deadline - at;
+    const next = {
+      ...c,
+      attempts: c.attempts + 1,
+      dueAt: at + settleRetryDelay(remainingMs, retryMinMs, intervalMs),
+    };
+    if (r.success && r.txHash) {
+      fastify.log.info(
+        `[settler] Settled ${c.keytag} in ${r.txHash}, ${Math.round(remainingMs / 1000)}s before its deadline`,
+      );
+      return { ...next, txHash: r.txHash, error: undefined };
+    }
+    const error = r.error ?? r.message ?? `Status ${res.statusCode}`;
+    fastify.log.warn(
+      `[settler] Settle of ${c.keytag} failed, ${Math.round(remainingMs / 1000)}s before its deadline: ${error}`,
+    );
+    return { ...next, error };
+  }
+
+  /**
+   * Run again when the next channel is due, within the interval
+   */
+  async function schedule() {
+    if (closing) return;
+    const dues = (await fastify.getClosed()).map((c) => c.dueAt);
+    const delay = Math.min(intervalMs, ...dues.map((d) => d - now()));
+    timer = setTimeout(run, Math.max(retryMinMs, delay));
+  }
+
+  function run() {
+    settleDue("scheduled")
+      .catch((err) => {
+        fastify.log.error(`[settler] Scheduled run error: ${err.message}`);
+      })
+      .then(schedule)
+      .catch((err) => {
+        fastify.log.error(`[settler] Scheduling error: ${err.message}`);
+      });
+  }
+
+  fastify.decorate("settleDue", settleDue);
+
+  fastify.ready().then(() => {
+    timer = setTimeout(run, 0);
+    fastify.log.info(
+      `[settler] Enabled — settling ${parseInt(config.SETTLE_MARGIN_MS, 10) / 1000}s before deadlines`,
+    );
+  });
+
+  // Stop before the db closes
+  fastify.addHook("preClose", (done) => {
+    closing = true;
+    clearTimeout(timer);
+    done();
+  });
+}
+
+export default fastifyPlugin(settler);
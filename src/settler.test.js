@@ -0,0 +1,128 @@
+import * as assert from "node:assert";
+import { test, before, after } from "node:test";
+import * as fs from "node:fs";
+import * as os from "node:os";
+import * as path from "node:path";
+import Fastify from "fastify";
+
+import db from "./db/index.js";
+import { mkSerial } from "./db/serial.js";
+import settler from "./settler.js";
+
+process.env.SUBBIT_MAN_SETTLER_ENABLED = "true";
+process.env.SUBBIT_MAN_SETTLER_INTERVAL_MS = String(60 * 60 * 1000);
+process.env.SUBBIT_MAN_SETTLE_RETRY_MIN_MS = "1000";
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "subbit-man-settler-"));
+
+let now = 1_000_000;
+/** @type {Record<string, { success : boolean, txHash? : string, error? : string }>} */
+const settles = {};
+/** @type {any[]} */
+const bodies = [];
+const serial = mkSerial();
+
+const fastify = Fastify();
+fastify.register(db, {
+  config: {
+    store: "memory",
+    dbPath: dir,
+    initCost: 1000n,
+    stampSweepInterval: 0,
+  },
+});
+fastify.decorate("lucidCtx", {
+  now: () => now,
+  config: { SETTLE_MARGIN_MS: "60000" },
+  withWallet: (/** @type {() => Promise<any>} */ task) =>
+    serial("wallet", task),
+});
+fastify.post("/l1/sync-from-chain", async () => ({}));
+fastify.post("/l1/settle-channel", async (/** @type {any} */ req) => {
+  bodies.push(req.body);
+  return settles[req.body.tagHex];
+});
+fastify.register(settler);
+
+before(() => fastify.ready());
+after(() => fastify.close().then(() => fs.rmSync(dir, { recursive: true })));
+
+/**
+ * Run, once the scheduled run, if any, is done
+ * @returns {Promise<any>}
+ */
+async function settleDue() {
+  const r = await /** @type {any} */ (fastify).settleDue("test");
+  if (!r.skipped) return r;
+  await new Promise((resolve) => setTimeout(resolve, 10));
+  return settleDue();
+}
+
+/**
+ * @param {number} n
+ * @param {number} deadline
+ */
+function closed(n, deadline) {
+  const tag = String(n).padStart(2, "0").repeat(20);
+  return {
+    keytag: "01".repeat(32) + tag,
+    tag,
+    txId: "22".repeat(32),
+    outputIdx: n,
+    deadline,
+    iouAmt: 5000n,
+    seenAt: now,
+    attempts: 0,
+    dueAt: deadline - 60000,
+  };
+}
+
+test("settler: settles channels due, retrying sooner near the deadline", async () => {
+  const late = closed(1, now + 10 * 60000);
+  const soon = closed(2, now + 30000);
+  await fastify.putClosed(late);
+  await fastify.putClosed(soon);
+  settles[soon.tag] = { success: false, error: "Wallet has no funds" };
+
+  const first = await settleDue();
+  // The run has synced, so each settle need not
+  assert.deepEqual(bodies.at(-1), { tagHex: soon.tag, skipSync: true });
+  assert.deepEqual(first.settled, []);
+  assert.deepEqual(first.failed, [
+    { keytag: soon.keytag, error: "Wallet has no funds" },
+  ]);
+  const retry = (await fastify.getClosed()).find((c) => c.tag == soon.tag);
+  assert.strictEqual(retry?.attempts, 1);
+  // A quarter of the time left, within the min retry delay
+  assert.strictEqual(retry?.dueAt, now + 7500);
+
+  settles[soon.tag] = { success: true, txHash: "33".repeat(32) };
+  now += 7500;
+  const second = await settleDue();
+  assert.deepEqual(second.settled, [
+    { keytag: soon.keytag, txHash: "33".repeat(32) },
+  ]);
+  const [l, s] = await fastify.getClosed();
+  assert.deepEqual(
+    [l.attempts, s.attempts, s.txHash, s.error],
+    [0, 2, "33".repeat(32), undefined],
+  );
+});
+
+test("settler: waits while another spends from the wallet", async () => {
+  const c = closed(3, now + 10000);
+  await fastify.putClosed(c);
+  settles[c.tag] = { success: true, txHash: "44".repeat(32) };
+
+  /** @type {(value? : any) => void} */
+  let release = () => {};
+  const held = serial("wallet", () => new Promise((r) => (release = r)));
+  const run = settleDue();
+  await new Promise((resolve) => setTimeout(resolve, 20));
+  assert.ok(!bodies.some((b) => b.tagHex == c.tag));
+
+  release();
+  await held;
+  const { settled } = await run;
+  assert.deepEqual(settled, [{ keytag: c.keytag, txHash: "44".repeat(32) }]);
+});